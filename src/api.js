@@ -1,97 +1,347 @@
+import { EventEmitter } from 'events'
 import { connect as mqttConnect } from 'mqtt'
-import { loadConfig } from './config.js'
+import { loadConfig, expandUrl } from './config.js'
 import { buildBrokerUrl, buildConnectOptions } from './subscriber.js'
+import { formatMessage, messageProperties } from './formatter.js'
+import { buildPublishOptions } from './publisher.js'
+import { compileSelect } from './select.js'
+import { createStats } from './stats.js'
+import { parseReconnectPolicy } from './reconnect.js'
+import { parseQos, parseCount, createPipeline } from './pipeline.js'
+import { parseQueueOptions, createMessageQueue } from './queue.js'
 
-function compileFilter(pattern) {
-  if (!pattern) return null
-  try { return new RegExp(pattern) }
-  catch (err) { throw new Error(`Invalid filter regex "${pattern}": ${err.message}`) }
+export { compileSelect, createStats }
+
+// --- Messages ----------------------------------------------------------------
+
+// Message object → { receivedAt, decoded } for format()
+const received = new WeakMap()
+
+/**
+ * Turns a message that passed the pipeline (see createPipeline()) into the
+ * message object of subscribe() and createTail().
+ */
+function toMessage({ topic, payload, packet, receivedAt, decoded }, projection) {
+  const msg = { topic, payload, packet, properties: messageProperties(packet) }
+  if (decoded) {
+    msg.decoded = decoded.value
+    if (decoded.error) msg.decodeError = decoded.error
+  }
+  if (projection) {
+    if (decoded && !decoded.error) msg.selected = projection(decoded.value)
+    else {
+      try { msg.selected = projection(JSON.parse(payload.toString())) }
+      catch { msg.selected = undefined }
+    }
+  }
+  received.set(msg, { receivedAt, decoded })
+  return msg
+}
+
+/**
+ * Renders a message from subscribe() or createTail() exactly like the CLI
+ * prints it.
+ *
+ * @param {{ topic: string, payload: Buffer, packet: object }} message
+ * @param {object} [opts] - output options as for the CLI: compact, outputJson, raw,
+ *                          output ('csv' | 'tsv'), fields, select, encoding, timestamp,
+ *                          timestampFormat, verbose
+ * @returns {string} without a trailing newline
+ *
+ * @example
+ * for await (const msg of subscribe('sensors/#')) console.log(format(msg, { compact: true }))
+ */
+export function format(message, opts = {}) {
+  const { receivedAt, decoded } = received.get(message) ?? { receivedAt: new Date(), decoded: null }
+  return formatMessage(message.topic, message.payload, message.packet ?? {}, opts, receivedAt, decoded)
 }
 
 /**
  * Subscribes to MQTT topics and yields messages as an async iterator.
  *
  * @param {string|string[]} topics  - MQTT topic(s), supports + and # wildcards
- * @param {object}          opts    - host, port, username, password, tls, ca, cert, key,
- *                                    filter, payloadFilter, qos, count, retained, config
- * @yields {{ topic: string, payload: Buffer, packet: object }}
+ * @param {object}          opts    - url, host, port, protocol, wsPath, username, password, tls,
+ *                                    ca, cert, key, mqttVersion, filter, payloadFilter, where, select,
+ *                                    decode, proto, protoType, decoders, dedupe, throttle,
+ *                                    onSuppressed, reconnect, reconnectDelay, reconnectMaxDelay,
+ *                                    reconnectJitter, reconnectAttempts, highWaterMark, overflow,
+ *                                    signal, qos, count, retained, config, profile
+ * @returns {AsyncGenerator} the messages; its `dropped` property counts the messages the
+ *          overflow policy discarded so far
+ * @yields {{ topic: string, payload: Buffer, packet: object, properties: object|null,
+ *            decoded?: any, decodeError?: Error, selected?: any }}
+ *          properties holds userProperties, contentType, responseTopic, correlationData and
+ *          messageExpiryInterval when connected with mqttVersion 5, otherwise null.
+ *          decoded is only set when a decoder (decode or decoders) applies to the topic:
+ *          the decoded value, or undefined with decodeError when decoding failed.
+ *          selected is only set with opts.select: the projected JSON (or decoded) payload,
+ *          or undefined for payloads that are not JSON
  *
  * @example
  * for await (const { topic, payload } of subscribe('sensors/#', { host: 'localhost' })) {
  *   console.log(topic, payload.toString())
  * }
  */
-export async function* subscribe(topics, opts = {}) {
+export function subscribe(topics, opts = {}) {
+  const state    = { queue: null }
+  const messages = iterate(topics, opts, state)
+  Object.defineProperty(messages, 'dropped', { get: () => state.queue?.dropped ?? 0, enumerable: true })
+  return messages
+}
+
+async function* iterate(topics, opts, state) {
   const topicList = Array.isArray(topics) ? topics : [topics]
 
-  const fileConfig = await loadConfig(opts.config)
-  const merged = { ...fileConfig, ...opts }
+  const fileConfig = await loadConfig(opts.config, opts.profile)
+  const merged = { ...fileConfig, ...expandUrl(opts) }
 
   const brokerUrl   = buildBrokerUrl(merged)
   const connectOpts = await buildConnectOptions(merged)
-  connectOpts.reconnectPeriod = 0   // no silent reconnection in library mode — throw instead
-
-  const qos           = parseInt(merged.qos ?? 0, 10)
-  const topicFilter   = compileFilter(merged.filter)
-  const payloadFilter = compileFilter(merged.payloadFilter)
-  const maxMessages   = merged.count ? parseInt(merged.count, 10) : Infinity
-  let count = 0
-
-  // --- push/pull bridge (queue + waiting promise) ---
-  const queue = []
-  let waiting      = null   // { resolve, reject }
-  let pendingError = null
-  let done         = false
-
-  const enqueue = (msg) => {
-    if (waiting) { const w = waiting; waiting = null; w.resolve({ msg }) }
-    else queue.push(msg)
-  }
+  // Without opts.reconnect a lost connection ends the iterator
+  const policy      = merged.reconnect ? parseReconnectPolicy(merged) : null
+  const qos         = parseQos(merged.qos)
+  const projection  = compileSelect(merged.select)
 
-  const finish = (err) => {
-    done = true
-    if (waiting) {
-      const w = waiting; waiting = null
-      err ? w.reject(err) : w.resolve({ done: true })
-    } else if (err) {
-      pendingError = err
-    }
-  }
+  // --- push/pull bridge ---
+  const queueOpts = parseQueueOptions(opts)
+  const queue     = state.queue = createMessageQueue(queueOpts)
+  const maxMessages = parseCount(merged.count)
+  const finish    = (err) => queue.end(err)
+  const signal    = opts.signal
 
-  const client = mqttConnect(brokerUrl, connectOpts)
+  let client        = null
+  let everConnected = false
+  let lastError     = null
+  let queued        = 0   // messages the queue took
 
-  await new Promise((resolve, reject) => {
-    client.once('connect', resolve)
-    client.once('error', reject)
-  })
+  // count is applied here rather than by the pipeline: only messages that
+  // reach the loop count, so drop-newest rejects and drop-oldest evictions do not
+  const take = (msg) => {
+    if (!queue.push(toMessage(msg, projection))) return false
+    queued++
+    const evicted = queueOpts.overflow === 'drop-oldest' ? queue.dropped : 0
+    if (queued - evicted >= maxMessages) { client.end(); finish() }
+  }
 
-  const subscribeMap = Object.fromEntries(topicList.map(t => [t, { qos }]))
-  await new Promise((resolve, reject) =>
-    client.subscribe(subscribeMap, (err) => err ? reject(err) : resolve())
-  )
+  const pipeline = await createPipeline({ ...merged, count: undefined }, {
+    sinks: [take],
+    hooks: {
+      onSuppressed: merged.onSuppressed,
+      // Subscribed again after every reconnect, the broker may not have kept the session
+      onConnect: (connack, subscribed) => {
+        everConnected = true
+        subscribed.catch(finish)
+      },
+      onGiveUp: ({ attempts }) => {
+        const reason = lastError ? `: ${lastError.message}` : ''
+        finish(new Error(`Lost connection to ${brokerUrl}, gave up after ${attempts} reconnect attempt${attempts === 1 ? '' : 's'}${reason}`))
+      },
+    },
+  })
+  if (signal?.aborted) return
 
-  client.on('message', (topic, payload, packet) => {
-    if (merged.retained === false && packet.retain) return
-    if (topicFilter   && !topicFilter.test(topic))              return
-    if (payloadFilter && !payloadFilter.test(payload.toString())) return
+  const subscriptions = new Map(topicList.map((t) => [t, qos]))
+  client = pipeline.connect({ brokerUrl, connectOpts, policy, subscriptions })
+  // overflow 'pause': mqtt.js reads no further packets until the callback runs
+  if (queueOpts.overflow === 'pause') {
+    client.handleMessage = (packet, callback) => queue.waitForRoom(callback)
+  }
 
-    enqueue({ topic, payload, packet })
-    if (++count >= maxMessages) { client.end(); finish() }
-  })
+  // Failing to connect ends the loop with the error, even with a reconnect policy
+  client.on('error', (err) => { if (policy && everConnected) lastError = err; else finish(err) })
+  client.on('close', () => { if (!policy) finish() })
 
-  client.on('error', (err) => finish(err))
-  client.on('close', () => { if (!done) finish() })
+  // Aborting ends the loop without an error and skips the queued messages
+  const onAbort = () => {
+    queue.clear()
+    finish()
+    client.end()
+  }
+  signal?.addEventListener('abort', onAbort, { once: true })
 
   try {
     while (true) {
-      if (pendingError) throw pendingError
-      if (queue.length > 0) { yield queue.shift(); continue }
+      const { value, done } = await queue.next()
       if (done) break
-      const result = await new Promise((resolve, reject) => { waiting = { resolve, reject } })
-      if (result.done) break
-      yield result.msg
+      yield value
     }
   } finally {
+    signal?.removeEventListener('abort', onAbort)
+    pipeline.close()
     if (!client.disconnected && !client.disconnecting) client.end()
   }
 }
+
+/**
+ * Creates a long-lived tail for services: one connection whose subscriptions
+ * can change at runtime, delivering messages as events. Messages go through
+ * the same filters, decoders, dedupe and throttle as subscribe() and the CLI.
+ *
+ * The connection is opened right away and reconnects with backoff when it
+ * drops (see reconnectDelay etc.); subscriptions are renewed on every
+ * reconnect. Listen for 'error', or errors are thrown as usual for emitters.
+ *
+ * Events:
+ *   message       (msg)                 a message, shaped as for subscribe()
+ *   connect       ({ sessionPresent })  connected or reconnected
+ *   offline       ()                    the connection dropped or cannot be established
+ *   reconnecting  ({ attempt, delay })  a reconnect is scheduled in delay ms
+ *   suppressed    (topic, count)        throttle held back count messages
+ *   error         (err)                 invalid options, connection errors, or the
+ *                                       reconnect attempts ran out (the tail is then closed)
+ *   close         ()                    after close()
+ *
+ * @param {object} opts - as for subscribe(), without count, highWaterMark, overflow
+ *                        and signal; qos is the default for tail.subscribe()
+ * @returns {EventEmitter & {
+ *   subscribe: (topics: string|string[], options?: { qos?: number }) => Promise<object[]>,
+ *   unsubscribe: (topics: string|string[]) => Promise<void>,
+ *   topics: () => string[], stats: () => object, close: () => Promise<void> }}
+ *
+ * @example
+ * const tail = createTail({ host: 'localhost' })
+ * tail.on('message', (msg) => console.log(format(msg, { compact: true })))
+ * tail.on('error', (err) => console.error(err.message))
+ * await tail.subscribe(['sensors/#', 'alerts/+'])
+ */
+export function createTail(opts = {}) {
+  const tail          = new EventEmitter()
+  const subscriptions = new Map()   // topic → qos, renewed on every connect
+  const stats         = createStats()
+  let client      = null
+  let pipeline    = null
+  let renewed     = Promise.resolve([])   // SUBSCRIBE sent on the latest connect
+  let closed      = false
+  let defaultQos  = 0
+
+  const toList = (topics) => Array.isArray(topics) ? topics : [topics]
+
+  const ready = (async () => {
+    const fileConfig = await loadConfig(opts.config, opts.profile)
+    const merged = { ...fileConfig, ...expandUrl(opts) }
+
+    const brokerUrl   = buildBrokerUrl(merged)
+    const connectOpts = await buildConnectOptions(merged)
+    const policy      = parseReconnectPolicy(merged)
+    const projection  = compileSelect(merged.select)
+    defaultQos = parseQos(merged.qos)
+    let offline = false
+
+    pipeline = await createPipeline({ ...merged, count: undefined }, {
+      sinks: [(msg) => {
+        stats.record(msg.topic, msg.payload, msg.receivedAt)
+        tail.emit('message', toMessage(msg, projection))
+      }],
+      hooks: {
+        onSuppressed: (topic, count) => tail.emit('suppressed', topic, count),
+        onConnect(connack, subscribed) {
+          offline = false
+          renewed = subscribed
+          renewed.catch((err) => tail.emit('error', err))
+          tail.emit('connect', { sessionPresent: connack.sessionPresent })
+        },
+        onReconnecting({ attempt, delay }) {
+          if (!offline) { offline = true; tail.emit('offline') }
+          tail.emit('reconnecting', { attempt, delay })
+        },
+        onGiveUp({ attempts }) {
+          if (!offline) tail.emit('offline')
+          tail.emit('error', new Error(`Lost connection to ${brokerUrl}, gave up after ${attempts} reconnect attempt${attempts === 1 ? '' : 's'}`))
+          tail.close()
+        },
+      },
+    })
+    if (closed) return
+
+    client = pipeline.connect({ brokerUrl, connectOpts, policy, subscriptions })
+    client.on('error', (err) => tail.emit('error', err))
+  })()
+  ready.catch((err) => tail.emit('error', err))
+
+  /**
+   * Adds subscriptions and resolves with the granted QoS per topic once the
+   * broker confirmed them; waits for the connection when offline.
+   */
+  tail.subscribe = async (topics, { qos } = {}) => {
+    await ready
+    if (closed) throw new Error('Tail is closed')
+    const list = toList(topics)
+    const map  = Object.fromEntries(list.map((t) => [t, { qos: qos ?? defaultQos }]))
+    for (const t of list) subscriptions.set(t, map[t].qos)
+
+    if (client.connected) return client.subscribeAsync(map)
+    // The next connect subscribes to everything in subscriptions
+    await new Promise((resolve, reject) => {
+      const onClose = () => reject(new Error('Tail is closed'))
+      tail.once('close', onClose)
+      client.once('connect', () => { tail.off('close', onClose); resolve() })
+    })
+    return (await renewed).filter((granted) => list.includes(granted.topic))
+  }
+
+  /** Removes subscriptions; resolves once the broker confirmed (right away when offline). */
+  tail.unsubscribe = async (topics) => {
+    await ready
+    const list = toList(topics)
+    for (const t of list) subscriptions.delete(t)
+    if (client?.connected) await client.unsubscribeAsync(list)
+  }
+
+  /** The topics currently subscribed to. */
+  tail.topics = () => [...subscriptions.keys()]
+
+  /** Per-topic counts, sizes and rates of the messages emitted so far (see createStats()). */
+  tail.stats = () => stats.summary()
+
+  /** Closes the connection; resolves once it is closed. */
+  tail.close = async () => {
+    if (closed) return
+    closed = true
+    await ready.catch(() => {})
+    pipeline?.close()
+    if (client) await client.endAsync()
+    tail.emit('close')
+  }
+
+  return tail
+}
+
+/**
+ * Publishes one or more messages to a topic, then disconnects.
+ *
+ * @param {string}                   topic    - MQTT topic (no wildcards)
+ * @param {string|Buffer|Array}      payloads - payload, or an array of payloads sent in order
+ * @param {object}                   opts     - connection options as for subscribe(), plus
+ *                                              qos, retain and userProperties (MQTT 5 only)
+ * @returns {Promise<number>} number of messages published
+ *
+ * @example
+ * await publish('devices/42/cmd', JSON.stringify({ on: true }), { qos: 1, retain: true })
+ */
+export async function publish(topic, payloads, opts = {}) {
+  const messages = Array.isArray(payloads) ? payloads : [payloads]
+
+  const fileConfig = await loadConfig(opts.config, opts.profile)
+  const merged = { ...fileConfig, ...expandUrl(opts) }
+
+  const brokerUrl   = buildBrokerUrl(merged)
+  const connectOpts = await buildConnectOptions(merged)
+  connectOpts.reconnectPeriod = 0
+  const publishOpts = buildPublishOptions(merged)
+
+  const client = mqttConnect(brokerUrl, connectOpts)
+
+  try {
+    await new Promise((resolve, reject) => {
+      client.once('connect', resolve)
+      client.once('error', reject)
+    })
+    for (const message of messages) {
+      await client.publishAsync(topic, message, publishOpts)
+    }
+    return messages.length
+  } finally {
+    await client.endAsync()
+  }
+}
+
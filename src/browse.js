@@ -0,0 +1,521 @@
+import { emitKeypressEvents } from 'readline'
+import chalk from 'chalk'
+import { buildBrokerUrl, buildConnectOptions } from './subscriber.js'
+import { parseQos, createPipeline } from './pipeline.js'
+import {
+  formatMessage, colorTopic, checkOutputOptions, previewPayload, truncate, visibleLength,
+} from './formatter.js'
+import { parseReconnectPolicy } from './reconnect.js'
+import { createRules } from './rules.js'
+
+const DEFAULT_HISTORY = 50
+const RATE_WINDOW     = 10   // seconds averaged for msg/s
+const REFRESH_MS      = 250
+const STATS_WIDTH     = 24   // count (8) + rate (9) + age (7)
+
+// --- Topic tree --------------------------------------------------------------
+
+function createNode(name, path) {
+  return {
+    name,
+    path,
+    children: new Map(),
+    count: 0,          // messages on exactly this topic
+    total: 0,          // messages on this topic and below
+    lastAt: 0,         // receive time (ms) of the latest message on or below
+    message: null,     // latest message on exactly this topic
+    history: [],       // recent messages on exactly this topic, oldest first
+    buckets: new Array(RATE_WINDOW).fill(0),
+    rateSec: 0,
+  }
+}
+
+/**
+ * Parses the browse --history option: messages kept per topic.
+ */
+export function parseHistorySize(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_HISTORY
+  const size = Number(value)
+  if (!Number.isInteger(size) || size < 1) {
+    throw new Error(`Invalid history size "${value}" (expected a positive integer)`)
+  }
+  return size
+}
+
+/**
+ * Creates an empty topic tree keeping the last historySize messages per topic.
+ */
+export function createTopicTree(historySize = DEFAULT_HISTORY) {
+  return { root: createNode('', ''), topics: 0, messages: 0, historySize }
+}
+
+// Drops the per-second buckets that fell out of the rate window
+function advance(node, sec) {
+  const gap = sec - node.rateSec
+  if (gap <= 0) return
+  if (gap >= RATE_WINDOW) node.buckets.fill(0)
+  else for (let s = node.rateSec + 1; s <= sec; s++) node.buckets[s % RATE_WINDOW] = 0
+  node.rateSec = sec
+}
+
+function touch(node, at) {
+  const sec = Math.floor(at / 1000)
+  advance(node, sec)
+  node.buckets[sec % RATE_WINDOW]++
+  node.total++
+  node.lastAt = Math.max(node.lastAt, at)
+}
+
+/**
+ * Adds a message to the tree, creating the nodes for its topic levels.
+ * @param {object} tree
+ * @param {string} topic
+ * @param {{ payload: Buffer, packet: object, receivedAt: Date, decoded?: object }} message
+ */
+export function addMessage(tree, topic, message) {
+  const at = message.receivedAt.getTime()
+  let node = tree.root
+  touch(node, at)
+
+  for (const level of topic.split('/')) {
+    let child = node.children.get(level)
+    if (!child) {
+      child = createNode(level, node === tree.root ? level : `${node.path}/${level}`)
+      node.children.set(level, child)
+    }
+    node = child
+    touch(node, at)
+  }
+
+  if (node.count === 0) tree.topics++
+  node.count++
+  node.message = message
+  node.history.push(message)
+  if (node.history.length > tree.historySize) node.history.shift()
+  tree.messages++
+}
+
+/**
+ * Copies the tree for the paused screen, so later messages only change the
+ * original. Messages are shared; they never change once added.
+ */
+export function snapshotTree(tree) {
+  const copy = (node) => ({
+    ...node,
+    children: new Map([...node.children].map(([name, child]) => [name, copy(child)])),
+    history: [...node.history],
+    buckets: [...node.buckets],
+  })
+  return { ...tree, root: copy(tree.root) }
+}
+
+/**
+ * Messages per second on and below a node, averaged over the last 10 seconds.
+ */
+export function messageRate(node, now = Date.now()) {
+  advance(node, Math.floor(now / 1000))
+  return node.buckets.reduce((sum, n) => sum + n, 0) / RATE_WINDOW
+}
+
+/**
+ * Looks up the node for a topic path, or null.
+ */
+export function findNode(tree, path) {
+  let node = tree.root
+  for (const level of path.split('/')) {
+    node = node.children.get(level)
+    if (!node) return null
+  }
+  return node
+}
+
+function sortedChildren(node) {
+  return [...node.children.values()].sort((a, b) => a.name.localeCompare(b.name))
+}
+
+function subtreeMatches(node, query) {
+  if (node.path.toLowerCase().includes(query)) return true
+  for (const child of node.children.values()) {
+    if (subtreeMatches(child, query)) return true
+  }
+  return false
+}
+
+/**
+ * Flattens the tree into the rows currently on screen: children of expanded
+ * nodes, sorted by name. A search shows only matching topics and their
+ * parents, fully expanded.
+ * @returns {{ node: object, depth: number }[]}
+ */
+export function visibleRows(tree, { expanded, search }) {
+  const query = search.toLowerCase()
+  const rows = []
+
+  const walk = (node, depth) => {
+    for (const child of sortedChildren(node)) {
+      if (query && !subtreeMatches(child, query)) continue
+      rows.push({ node: child, depth })
+      if (child.children.size > 0 && (query || expanded.has(child.path))) walk(child, depth + 1)
+    }
+  }
+  walk(tree.root, 0)
+  return rows
+}
+
+// --- Browser state and keys --------------------------------------------------
+
+export function createBrowserState() {
+  return {
+    expanded: new Set(),
+    cursor: null,        // path of the selected node
+    scroll: 0,           // first tree row on screen
+    paused: false,
+    search: '',
+    searching: false,    // typing a search query
+    history: null,       // topic path whose message history is open
+    historyScroll: 0,
+  }
+}
+
+function cursorIndex(state, rows) {
+  const index = rows.findIndex((r) => r.node.path === state.cursor)
+  return index === -1 ? 0 : index
+}
+
+function parentPath(path) {
+  const i = path.lastIndexOf('/')
+  return i === -1 ? null : path.slice(0, i)
+}
+
+function expandAll(node, expanded) {
+  for (const child of node.children.values()) {
+    if (child.children.size > 0) {
+      expanded.add(child.path)
+      expandAll(child, expanded)
+    }
+  }
+}
+
+function handleSearchKey(state, str, key) {
+  if (key.name === 'return') state.searching = false
+  else if (key.name === 'escape') { state.searching = false; state.search = '' }
+  else if (key.name === 'backspace') state.search = state.search.slice(0, -1)
+  else if (str && !key.ctrl && !key.meta && str >= ' ') state.search += str
+}
+
+function handleHistoryKey(state, key, pageSize) {
+  if (key.sequence === 'G') { state.historyScroll = Infinity; return }
+
+  switch (key.name) {
+    case 'up': case 'k':    state.historyScroll -= 1; break
+    case 'down': case 'j':  state.historyScroll += 1; break
+    case 'pageup':          state.historyScroll -= pageSize; break
+    case 'pagedown':        state.historyScroll += pageSize; break
+    case 'home': case 'g':  state.historyScroll = 0; break
+    case 'end':             state.historyScroll = Infinity; break
+    case 'escape': case 'left': case 'h': case 'q': case 'backspace':
+      state.history = null
+      break
+  }
+}
+
+/**
+ * Applies a keypress (as emitted by readline) to the browser state.
+ * Returns 'quit' when the browser should exit.
+ * @param {number} pageSize - tree rows on screen, for page up / page down
+ */
+export function handleKey(state, tree, str, key = {}, pageSize = 10) {
+  if (key.ctrl && key.name === 'c') return 'quit'
+  if (state.searching) return handleSearchKey(state, str, key)
+  if (state.history !== null) return handleHistoryKey(state, key, pageSize)
+
+  const rows  = visibleRows(tree, state)
+  const index = cursorIndex(state, rows)
+  const node  = rows[index]?.node
+  const moveTo = (i) => {
+    const row = rows[Math.max(0, Math.min(rows.length - 1, i))]
+    if (row) state.cursor = row.node.path
+  }
+
+  if (key.sequence === 'G') { moveTo(rows.length - 1); return }
+
+  switch (key.name) {
+    case 'q':               return 'quit'
+    case 'up': case 'k':    moveTo(index - 1); break
+    case 'down': case 'j':  moveTo(index + 1); break
+    case 'pageup':          moveTo(index - pageSize); break
+    case 'pagedown':        moveTo(index + pageSize); break
+    case 'home': case 'g':  moveTo(0); break
+    case 'end':             moveTo(rows.length - 1); break
+    case 'p':               state.paused = !state.paused; break
+    case 'e':               expandAll(tree.root, state.expanded); break
+    case 'c':               state.expanded.clear(); break
+    case 'escape':          state.search = ''; break
+
+    case 'right': case 'l':
+      if (!node || node.children.size === 0) break
+      if (state.expanded.has(node.path)) moveTo(index + 1)
+      else state.expanded.add(node.path)
+      break
+
+    case 'left': case 'h':
+      if (!node) break
+      if (state.expanded.has(node.path)) state.expanded.delete(node.path)
+      else if (parentPath(node.path) !== null) state.cursor = parentPath(node.path)
+      break
+
+    case 'space':
+      if (!node || node.children.size === 0) break
+      if (state.expanded.has(node.path)) state.expanded.delete(node.path)
+      else state.expanded.add(node.path)
+      break
+
+    case 'return':
+      if (node?.history.length > 0) {
+        state.history = node.path
+        state.historyScroll = 0
+      } else if (node?.children.size > 0) {
+        if (state.expanded.has(node.path)) state.expanded.delete(node.path)
+        else state.expanded.add(node.path)
+      }
+      break
+  }
+
+  if (str === '/') {
+    state.searching = true
+    state.search = ''
+  }
+}
+
+// --- Rendering ---------------------------------------------------------------
+
+function padEnd(str, width) {
+  return str + ' '.repeat(Math.max(0, width - visibleLength(str)))
+}
+
+/**
+ * Short age label: 4s, 12m, 3h, 2d.
+ */
+export function formatAge(ms) {
+  const sec = Math.max(0, Math.floor(ms / 1000))
+  if (sec < 60)    return `${sec}s`
+  if (sec < 3600)  return `${Math.floor(sec / 60)}m`
+  if (sec < 86400) return `${Math.floor(sec / 3600)}h`
+  return `${Math.floor(sec / 86400)}d`
+}
+
+function formatRate(rate) {
+  if (rate === 0) return ''
+  return rate >= 10 ? `${Math.round(rate)}/s` : `${rate.toFixed(1)}/s`
+}
+
+function renderRow({ node, depth }, state, opts, width, now) {
+  const isBranch = node.children.size > 0
+  const open     = isBranch && (state.search !== '' || state.expanded.has(node.path))
+  const marker   = isBranch ? chalk.dim(open ? '▾ ' : '▸ ') : '  '
+  const name     = node.name === '' ? chalk.dim('(empty)') : isBranch ? chalk.bold(node.name) : colorTopic(node.name)
+  const preview  = node.message ? '  ' + previewPayload(node.message, opts) : ''
+
+  const stats = [
+    String(isBranch ? node.total : node.count).padStart(8),
+    formatRate(messageRate(node, now)).padStart(9),
+    formatAge(now - node.lastAt).padStart(7),
+  ].join('')
+
+  const leftWidth = Math.max(0, width - STATS_WIDTH)
+  const left = padEnd(truncate('  '.repeat(depth) + marker + name + preview, leftWidth), leftWidth)
+  const line = left + chalk.dim(stats)
+  return node.path === state.cursor ? chalk.inverse(line) : line
+}
+
+function titleBar(tree, state, info, width) {
+  const parts = [
+    chalk.bold('mqtt-tail browse'),
+    info.brokerUrl,
+    info.status,
+    `${tree.topics} topics`,
+    `${tree.messages} msgs`,
+    `${formatRate(messageRate(tree.root, info.now)) || '0/s'}`,
+  ]
+  if (state.paused) parts.push(chalk.yellow.bold('PAUSED'))
+  return chalk.inverse(padEnd(truncate(' ' + parts.join('  '), width), width))
+}
+
+function renderTreeView(tree, state, opts, info) {
+  const { width, height, now } = info
+  const bodyHeight = Math.max(1, height - 2)
+  const rows = visibleRows(tree, state)
+
+  // Keep the cursor on a visible row and on screen
+  const index = cursorIndex(state, rows)
+  state.cursor = rows[index]?.node.path ?? null
+  if (index < state.scroll) state.scroll = index
+  if (index >= state.scroll + bodyHeight) state.scroll = index - bodyHeight + 1
+  state.scroll = Math.max(0, Math.min(state.scroll, Math.max(0, rows.length - bodyHeight)))
+
+  const lines = [titleBar(tree, state, info, width)]
+  for (const row of rows.slice(state.scroll, state.scroll + bodyHeight)) {
+    lines.push(renderRow(row, state, opts, width, now))
+  }
+  if (rows.length === 0) {
+    lines.push(chalk.dim(state.search ? `  No topics match "${state.search}"` : '  Waiting for messages...'))
+  }
+  while (lines.length < height - 1) lines.push('')
+
+  const footer = state.searching
+    ? `/${state.search}${chalk.inverse(' ')}`
+    : chalk.dim('↑↓ move  ←→ collapse/expand  enter history  / search  e/c expand/collapse all  p pause  q quit') +
+      (state.search ? '  ' + chalk.yellow(`filter: ${state.search}`) + chalk.dim(' (esc clears)') : '')
+  lines.push(truncate(footer, width))
+  return lines
+}
+
+function renderHistoryView(tree, state, opts, info) {
+  const { width, height } = info
+  const bodyHeight = Math.max(1, height - 2)
+  const node = findNode(tree, state.history)
+  const history = node ? [...node.history].reverse() : []
+
+  // Newest first, each message rendered like the default tail output
+  const renderOpts = { ...opts, verbose: true, compact: false, raw: false, outputJson: false, output: undefined }
+  const body = history.flatMap(({ payload, packet, receivedAt, decoded, diff, rule }) =>
+    [...formatMessage(state.history, payload, packet, renderOpts, receivedAt, decoded, diff, rule).split('\n'), '']
+  )
+
+  const maxScroll = Math.max(0, body.length - bodyHeight)
+  state.historyScroll = Math.max(0, Math.min(state.historyScroll, maxScroll))
+
+  const title = ` ${chalk.bold(state.history)}  ${node?.count ?? 0} messages, last ${history.length} shown`
+  const lines = [chalk.inverse(padEnd(truncate(title, width), width))]
+  for (const line of body.slice(state.historyScroll, state.historyScroll + bodyHeight)) {
+    lines.push(truncate(line, width))
+  }
+  while (lines.length < height - 1) lines.push('')
+  lines.push(truncate(chalk.dim('↑↓ scroll  pgup/pgdn page  esc back  ctrl+c quit'), width))
+  return lines
+}
+
+/**
+ * Renders the whole screen as exactly info.height lines.
+ * @param {object} info - { width, height, now, brokerUrl, status }
+ */
+export function renderScreen(tree, state, opts, info) {
+  return state.history !== null
+    ? renderHistoryView(tree, state, opts, info)
+    : renderTreeView(tree, state, opts, info)
+}
+
+// --- Main --------------------------------------------------------------------
+
+/**
+ * CLI `browse` command: a live, collapsible topic tree with last value,
+ * message count, rate and age per topic, and a per-topic message history.
+ * Messages go through the same pipeline as the tail (filters, --dedupe,
+ * --diff, --throttle, config rules) before they reach the tree.
+ */
+export async function browse(topics, opts) {
+  if (!process.stdout.isTTY || !process.stdin.isTTY) {
+    process.stderr.write(chalk.red('browse needs an interactive terminal\n'))
+    process.exit(1)
+  }
+
+  let brokerUrl, connectOpts, policy, qos, historySize, rules, pipeline
+  let status = chalk.dim('connecting...')
+  try {
+    brokerUrl   = buildBrokerUrl(opts)
+    connectOpts = await buildConnectOptions(opts)
+    policy      = parseReconnectPolicy(opts)
+    qos         = parseQos(opts.qos)
+    checkOutputOptions(opts)
+    historySize = parseHistorySize(opts.history)
+    // Rule failures show in the status line; stderr would garble the screen
+    rules = createRules(opts, { warn: (line) => { status = chalk.yellow(line) } })
+    pipeline = await createPipeline(opts, {
+      stages: rules ? [rules.stage] : [],
+      sinks: [(msg) => addMessage(tree, msg.topic, msg)],
+      hooks: {
+        onLimit:   (total) => { status = chalk.dim(`stopped after ${total} messages`) },
+        onConnect: (connack, subscribed) => connected(subscribed),
+        onReconnecting({ attempt, delay }) {
+          status = chalk.yellow(`offline, retry #${attempt} in ${Math.ceil(delay / 1000)}s`)
+        },
+        onGiveUp() {
+          status = chalk.red('offline, gave up')
+        },
+      },
+    })
+  } catch (err) {
+    process.stderr.write(chalk.red(`${err.message}\n`))
+    process.exit(1)
+  }
+
+  const tree  = createTopicTree(historySize)
+  const state = createBrowserState()
+
+  // While paused, the screen shows (and the keys move through) a copy of the
+  // tree taken when the pause started; messages still go to the live tree
+  let frozen = null   // { tree, now }
+  const view = () => frozen?.tree ?? tree
+
+  const { stdin, stdout } = process
+  const screenInfo = () => ({
+    width: stdout.columns || 80,
+    height: stdout.rows || 24,
+    now: frozen?.now ?? Date.now(),
+    brokerUrl,
+    status,
+  })
+  const render = () => {
+    const lines = renderScreen(view(), state, opts, screenInfo())
+    stdout.write('\x1b[H' + lines.map((line) => line + '\x1b[K').join('\n') + '\x1b[J')
+  }
+
+  const client = pipeline.connect({ brokerUrl, connectOpts, policy, subscriptions: new Map(topics.map((t) => [t, qos])) })
+  client.on('error', (err) => { status = chalk.red(`error: ${err.message}`) })
+
+  function connected(subscribed) {
+    status = chalk.green('connected')
+    subscribed.catch((err) => { status = chalk.red(`subscribe error: ${err.message}`) })
+  }
+
+  // Alternate screen, hidden cursor, raw keys
+  stdout.write('\x1b[?1049h\x1b[?25l')
+  emitKeypressEvents(stdin)
+  stdin.setRawMode(true)
+  stdin.resume()
+
+  // Gives the terminal back on every way out, before an uncaught error is printed
+  let restored = false
+  const restore = () => {
+    if (restored) return
+    restored = true
+    stdin.setRawMode(false)
+    stdout.write('\x1b[?25h\x1b[?1049l')
+  }
+  process.on('uncaughtExceptionMonitor', restore)
+  process.on('exit', restore)
+
+  const timer = setInterval(() => { if (!state.paused) render() }, REFRESH_MS)
+
+  const quit = () => {
+    clearInterval(timer)
+    pipeline.close()
+    restore()
+    client.end(false, {}, async () => {
+      if (rules) await rules.close()
+      process.exit(0)
+    })
+  }
+
+  stdin.on('keypress', (str, key) => {
+    const pageSize = Math.max(1, (stdout.rows || 24) - 2)
+    if (handleKey(state, view(), str, key, pageSize) === 'quit') return quit()
+    if (state.paused && !frozen) frozen = { tree: snapshotTree(tree), now: Date.now() }
+    if (!state.paused) frozen = null
+    render()
+  })
+  stdout.on('resize', render)
+  process.on('SIGTERM', quit)
+
+  render()
+}
@@ -0,0 +1,153 @@
+// Payload decoders: turn CBOR, MessagePack, Protobuf or Sparkplug B payloads
+// into plain values that the formatter renders like JSON.
+//
+// The codec libraries are imported lazily, so they only load when a decoder
+// is actually configured.
+
+export const DECODERS = ['cbor', 'msgpack', 'protobuf', 'sparkplug']
+
+// --- Topic matching ----------------------------------------------------------
+
+/**
+ * Tests whether a topic matches an MQTT subscription filter (+ and #
+ * wildcards). As in MQTT, wildcards at the first level never match $-topics.
+ */
+export function topicMatches(filter, topic) {
+  if (topic.startsWith('$') && (filter[0] === '+' || filter[0] === '#')) return false
+
+  const f = filter.split('/')
+  const t = topic.split('/')
+  for (let i = 0; i < f.length; i++) {
+    if (f[i] === '#') return true
+    if (i >= t.length) return false
+    if (f[i] !== '+' && f[i] !== t[i]) return false
+  }
+  return f.length === t.length
+}
+
+// --- Value normalisation -----------------------------------------------------
+
+/**
+ * Converts decoded values into JSON-safe ones: BigInts become numbers when
+ * they fit (strings otherwise), byte strings become base64, Dates ISO
+ * strings, Maps objects and Sets arrays.
+ */
+export function toPlain(value) {
+  if (value === undefined) return null
+  if (typeof value === 'bigint') {
+    return Number.isSafeInteger(Number(value)) ? Number(value) : String(value)
+  }
+  if (typeof value === 'number' && !Number.isFinite(value)) return String(value)
+  if (value === null || typeof value !== 'object') return value
+
+  if (value instanceof Uint8Array) {
+    return Buffer.from(value.buffer, value.byteOffset, value.byteLength).toString('base64')
+  }
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.toISOString()
+  if (value instanceof Map) {
+    return Object.fromEntries([...value].map(([k, v]) => [String(k), toPlain(v)]))
+  }
+  if (value instanceof Set || Array.isArray(value)) return [...value].map(toPlain)
+
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toPlain(v)]))
+}
+
+// --- Loaders -----------------------------------------------------------------
+
+const LOADERS = {
+  async cbor() {
+    const { decode } = await import('cbor-x')
+    return (payload) => decode(payload)
+  },
+
+  async msgpack() {
+    const { decode } = await import('@msgpack/msgpack')
+    return (payload) => decode(payload, { useBigInt64: true })
+  },
+
+  async protobuf(rule, label) {
+    if (!rule.proto) throw new Error(`${label}: protobuf needs a .proto file (--proto)`)
+    if (!rule.type)  throw new Error(`${label}: protobuf needs a message type (--proto-type)`)
+
+    const { default: protobuf } = await import('protobufjs')
+    let root
+    try {
+      root = await protobuf.load(rule.proto)
+    } catch (err) {
+      throw new Error(`Cannot load ${rule.proto}: ${err.message}`)
+    }
+
+    let messageType
+    try {
+      messageType = root.lookupType(rule.type)
+    } catch {
+      throw new Error(`Unknown message type "${rule.type}" in ${rule.proto}`)
+    }
+
+    // int64 as strings, enums by name, bytes as base64 (the proto3 JSON mapping)
+    return (payload) => messageType.toObject(messageType.decode(payload), {
+      longs: String,
+      enums: String,
+      bytes: String,
+    })
+  },
+
+  async sparkplug() {
+    const { createSparkplugDecoder } = await import('./sparkplug.js')
+    const decode = await createSparkplugDecoder()
+    return (payload, topic) => decode(topic, payload)
+  },
+}
+
+/**
+ * Collects the decoder rules from the merged options. --decode (with --proto
+ * and --proto-type) applies to every topic; otherwise the "decoders" list of
+ * the config file is used, where the first rule whose topic filter matches wins.
+ * --sparkplug claims the spBv1.0 namespace ahead of either.
+ */
+function decoderRules(opts) {
+  const rules = opts.sparkplug
+    ? [{ rule: { topic: 'spBv1.0/#', decode: 'sparkplug' }, label: '--sparkplug' }]
+    : []
+
+  if (opts.decode) {
+    rules.push({ rule: { decode: opts.decode, proto: opts.proto, type: opts.protoType }, label: '--decode' })
+  } else if (opts.decoders !== undefined) {
+    if (!Array.isArray(opts.decoders)) throw new Error('Invalid "decoders" config (expected an array)')
+    rules.push(...opts.decoders.map((rule, i) => ({ rule: rule ?? {}, label: `decoders[${i}]` })))
+  }
+  return rules
+}
+
+/**
+ * Builds the payload decoder for the given options.
+ * Loads codec libraries and .proto files up front, so configuration errors
+ * surface before connecting. Throws with a user-facing message.
+ *
+ * @returns {Promise<((topic: string, payload: Buffer) =>
+ *          { decoder: string, value?: any, error?: Error } | null) | null>}
+ *          null when no decoder is configured. The decoder returns null for
+ *          topics without a matching rule, else the decoded value, or the
+ *          error when the payload could not be decoded.
+ */
+export async function createDecoder(opts) {
+  const rules = decoderRules(opts)
+  if (rules.length === 0) return null
+
+  const compiled = await Promise.all(rules.map(async ({ rule, label }) => {
+    if (!DECODERS.includes(rule.decode)) {
+      throw new Error(`${label}: invalid decoder "${rule.decode}" (expected ${DECODERS.join('|')})`)
+    }
+    return { topic: rule.topic, name: rule.decode, decode: await LOADERS[rule.decode](rule, label) }
+  }))
+
+  return (topic, payload) => {
+    const match = compiled.find((r) => !r.topic || topicMatches(r.topic, topic))
+    if (!match) return null
+    try {
+      return { decoder: match.name, value: toPlain(match.decode(payload, topic)) }
+    } catch (err) {
+      return { decoder: match.name, error: err }
+    }
+  }
+}
@@ -0,0 +1,87 @@
+// Diff mode (--diff): compares each message with the previous one on the same
+// topic and reports which fields were added, removed or changed.
+
+import { detectEncoding, project } from './formatter.js'
+import { wherePayloadValue } from './where.js'
+
+// --- Paths -------------------------------------------------------------------
+
+// Object keys that read unambiguously after a dot (also --select names like "meta.id")
+const PLAIN_KEY = /^[\w$-][\w$.[\]-]*$/
+
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`
+  if (!PLAIN_KEY.test(key))   return `${path}[${JSON.stringify(key)}]`
+  return path ? `${path}.${key}` : key
+}
+
+// --- Diff --------------------------------------------------------------------
+
+const kind = (v) => Array.isArray(v) ? 'array' : v === null ? 'null' : typeof v
+
+/**
+ * Compares two JSON values field by field. Objects are compared by key and
+ * arrays by index; anything else (including a change of type) is a change of
+ * the whole value. The root value has the path "$".
+ *
+ * @returns {{ path: string, op: 'added'|'removed'|'changed', from?: any, to?: any }[]}
+ *          empty when the values are equal
+ */
+export function diffValues(before, after) {
+  const changes = []
+
+  const walk = (a, b, path) => {
+    const type = kind(a)
+    if (type !== kind(b) || (type !== 'object' && type !== 'array')) {
+      if (a !== b) changes.push({ path: path || '$', op: 'changed', from: a, to: b })
+      return
+    }
+
+    const keys = type === 'array'
+      ? Array.from({ length: Math.max(a.length, b.length) }, (_, i) => i)
+      : [...new Set([...Object.keys(a), ...Object.keys(b)])]
+
+    for (const key of keys) {
+      const p = childPath(path, key)
+      if (!Object.hasOwn(b, key))      changes.push({ path: p, op: 'removed', from: a[key] })
+      else if (!Object.hasOwn(a, key)) changes.push({ path: p, op: 'added', to: b[key] })
+      else walk(a[key], b[key], p)
+    }
+  }
+
+  walk(before, after, '')
+  return changes
+}
+
+/**
+ * The value --diff compares: the decoded payload, else the parsed JSON (or
+ * text), with --select applied. Binary payloads compare as hex.
+ */
+function diffValue(payload, opts, decoded) {
+  if (decoded && !decoded.error) return project(decoded.value, opts)
+  if (detectEncoding(payload) === 'binary') return payload.toString('hex')
+  return project(wherePayloadValue(payload), opts)
+}
+
+/**
+ * Creates the per-topic state for --diff.
+ *
+ * The returned function takes each shown message and returns its changes
+ * against the previous message on the same topic (an empty array when
+ * nothing changed), or null for the first message on a topic. The message
+ * becomes the baseline for the next one unless record is false (for a
+ * message that may still be held back).
+ *
+ * @returns {(topic: string, payload: Buffer, decoded?: object, record?: boolean) => object[] | null}
+ */
+export function createDiffer(opts) {
+  const last = new Map()
+
+  return (topic, payload, decoded, record = true) => {
+    const value = diffValue(payload, opts, decoded)
+    const seen  = last.has(topic)
+    const prev  = last.get(topic)
+    if (record) last.set(topic, value)
+    return seen ? diffValues(prev, value) : null
+  }
+}
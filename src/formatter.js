@@ -1,4 +1,6 @@
 import chalk from 'chalk'
+import { compileSelect, parsePathList } from './select.js'
+import { resolvePath } from './where.js'
 
 // --- Topic colors -------------------------------------------------------------
 
@@ -33,8 +35,7 @@ export function colorTopic(topic) {
 
 // --- Timestamp ----------------------------------------------------------------
 
-export function formatTimestamp(format) {
-  const now = new Date()
+export function formatTimestamp(format, now = new Date()) {
   switch (format) {
     case 'iso':
       return now.toISOString()
@@ -122,20 +123,125 @@ export function colorizeJson(src) {
   return out.join('')
 }
 
+// --- Binary payloads ----------------------------------------------------------
+
+const ENCODINGS = ['auto', 'utf8', 'hex', 'base64']
+
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true })
+
+/**
+ * Detects whether a payload is text ('utf8') or 'binary'. Text must be valid
+ * UTF-8 without control characters other than tab, CR and LF, so escape
+ * sequences and NUL bytes never reach the terminal.
+ */
+export function detectEncoding(payload) {
+  let str
+  try { str = utf8Decoder.decode(payload) }
+  catch { return 'binary' }
+  for (let i = 0; i < str.length; i++) {
+    const code = str.charCodeAt(i)
+    if ((code < 0x20 && code !== 0x09 && code !== 0x0a && code !== 0x0d) || code === 0x7f) return 'binary'
+  }
+  return 'utf8'
+}
+
+/**
+ * Resolves how a payload is rendered: 'utf8', 'hex' or 'base64' as forced by
+ * --encoding, or the detected 'utf8' / 'binary' with --encoding auto (default).
+ */
+function payloadEncoding(payload, opts) {
+  const encoding = opts.encoding || 'auto'
+  return encoding === 'auto' ? detectEncoding(payload) : encoding
+}
+
+/**
+ * Renders a Buffer like `hexdump -C`: offset, 16 hex bytes, printable ASCII.
+ *   00000000  7b 22 61 22 3a 31 7d 00  ff 10 80 0a 41 42 43 44  |{"a":1}.....ABCD|
+ */
+export function hexdump(payload) {
+  const lines = []
+  for (let offset = 0; offset < payload.length; offset += 16) {
+    const chunk = payload.subarray(offset, offset + 16)
+    const hex = [...chunk].map((b) => b.toString(16).padStart(2, '0'))
+    const left  = hex.slice(0, 8).join(' ')
+    const right = hex.slice(8).join(' ')
+    const ascii = [...chunk].map((b) => (b >= 0x20 && b < 0x7f ? String.fromCharCode(b) : '.')).join('')
+    lines.push(
+      chalk.dim(offset.toString(16).padStart(8, '0')) + '  ' +
+      `${left.padEnd(23)}  ${right.padEnd(23)}` + '  ' +
+      chalk.dim(`|${ascii}|`)
+    )
+  }
+  return lines.join('\n')
+}
+
+/**
+ * Encodes a non-text payload for machine-readable output (--output-json, csv):
+ * binary defaults to base64, --encoding hex / base64 are honored.
+ */
+function encodePayload(payload, encoding) {
+  return encoding === 'hex'
+    ? { encoding: 'hex',    value: payload.toString('hex') }
+    : { encoding: 'base64', value: payload.toString('base64') }
+}
+
 // --- Payload formatting -------------------------------------------------------
 
-function formatPayload(payload, opts) {
+// Compiled --select projections, keyed by the option value
+const projections = new Map()
+
+/**
+ * Applies opts.select to a parsed payload (identity without --select).
+ */
+export function project(obj, opts) {
+  if (!opts.select) return obj
+  const key = String(opts.select)
+  if (!projections.has(key)) projections.set(key, compileSelect(opts.select))
+  const projection = projections.get(key)
+  return projection ? projection(obj) : obj
+}
+
+/**
+ * Renders a parsed or decoded payload value like JSON.
+ */
+function formatValue(value, opts) {
+  const obj = project(value, opts)
+  if (opts.compact || opts.outputJson) return JSON.stringify(obj)
+  return colorizeJson(JSON.stringify(obj, null, 2))
+}
+
+/**
+ * True when a payload decoder (--decode) produced a value for this message.
+ */
+function hasDecodedValue(decoded) {
+  return Boolean(decoded) && !decoded.error
+}
+
+/**
+ * Renders a payload body: decoded and JSON values pretty-printed and colorized
+ * (one line with opts.compact), binary as a hex dump, other text unchanged.
+ * @param {Buffer} payload
+ * @param {object} opts      - merged CLI options
+ * @param {object} [decoded] - result of the createDecoder() decoder for this message
+ */
+export function formatPayload(payload, opts, decoded) {
+  if (hasDecodedValue(decoded) && !opts.raw) return formatValue(decoded.value, opts)
+
+  const encoding = payloadEncoding(payload, opts)
+
+  if (encoding === 'base64') return payload.toString('base64')
+  if (encoding === 'hex' || (encoding === 'binary' && !opts.raw)) {
+    return opts.compact || opts.raw ? payload.toString('hex') : hexdump(payload)
+  }
+
   const str = payload.toString()
 
   if (opts.raw) return str
 
-  try {
-    const obj = JSON.parse(str)
-    if (opts.compact || opts.outputJson) return JSON.stringify(obj)
-    return colorizeJson(JSON.stringify(obj, null, 2))
-  } catch {
-    return str
-  }
+  let parsed
+  try { parsed = JSON.parse(str) }
+  catch { return str }
+  return formatValue(parsed, opts)
 }
 
 /**
@@ -148,6 +254,165 @@ function addLeftBorder(str, border) {
     .join('\n')
 }
 
+// --- Diff --------------------------------------------------------------------
+
+const DIFF_STYLES = {
+  added:   { sign: '+', color: chalk.green },
+  removed: { sign: '-', color: chalk.red },
+  changed: { sign: '~', color: chalk.yellow },
+}
+
+/**
+ * Renders --diff changes, one per line (on one line with opts.compact):
+ *   ~ temp: 21 → 22
+ *   + alarm: true
+ */
+function formatChanges(changes, opts) {
+  if (changes.length === 0) return chalk.dim('(no changes)')
+
+  const lines = changes.map(({ path, op, from, to }) => {
+    const { sign, color } = DIFF_STYLES[op]
+    const value = op === 'changed' ? `${JSON.stringify(from)} → ${JSON.stringify(to)}`
+      : JSON.stringify(op === 'added' ? to : from)
+    return color(`${sign} ${path}: `) + value
+  })
+  return lines.join(opts.compact ? '  ' : '\n')
+}
+
+// --- CSV / TSV ---------------------------------------------------------------
+
+const DELIMITERS = { csv: ',', tsv: '\t' }
+const FIXED_COLUMNS = ['timestamp', 'topic', 'qos', 'retain', 'size', 'payload']
+
+// Parsed --fields lists, keyed by the option value
+const fieldLists = new Map()
+
+function fieldColumns(opts) {
+  if (!opts.fields) return []
+  const key = String(opts.fields)
+  if (!fieldLists.has(key)) fieldLists.set(key, parsePathList(opts.fields, '--fields'))
+  return fieldLists.get(key)
+}
+
+/**
+ * Quotes a CSV/TSV cell when it contains the delimiter, a quote, CR or LF
+ * (RFC 4180 style; TSV uses the same rules with a tab delimiter).
+ */
+export function escapeDelimited(value, delimiter) {
+  const str = String(value)
+  if (!str.includes(delimiter) && !/["\r\n]/.test(str)) return str
+  return '"' + str.replace(/"/g, '""') + '"'
+}
+
+function cellValue(value) {
+  if (value === undefined || value === null) return ''
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+/**
+ * Returns the header line for tabular outputs (--output csv|tsv), or null for
+ * the other output modes. Print it once before the first message.
+ */
+export function formatHeader(opts) {
+  const delimiter = DELIMITERS[opts.output]
+  if (!delimiter) return null
+  const columns = [...FIXED_COLUMNS, ...fieldColumns(opts).map((f) => f.name)]
+  return columns.map((c) => escapeDelimited(c, delimiter)).join(delimiter)
+}
+
+function formatDelimitedRow(topic, payload, packet, opts, receivedAt, decoded) {
+  const delimiter = DELIMITERS[opts.output]
+
+  let parsed
+  if (hasDecodedValue(decoded)) parsed = decoded.value
+  else {
+    try { parsed = JSON.parse(payload.toString()) }
+    catch { parsed = undefined }
+  }
+
+  const encoding = hasDecodedValue(decoded) ? 'utf8' : payloadEncoding(payload, opts)
+
+  const cells = [
+    formatTimestamp(opts.timestampFormat || 'iso', receivedAt),
+    topic,
+    packet.qos,
+    packet.retain,
+    payload.length,
+    encoding === 'utf8' ? formatPayload(payload, { ...opts, compact: true }, decoded) : encodePayload(payload, encoding).value,
+    ...fieldColumns(opts).map((f) => cellValue(resolvePath(parsed, f.segments))),
+  ]
+  return cells.map((c) => escapeDelimited(c, delimiter)).join(delimiter)
+}
+
+/**
+ * Validates the output options (--output, --encoding, --select, --fields) up front, so
+ * bad values fail before connecting instead of on the first message.
+ * Throws with a user-facing message.
+ */
+export function checkOutputOptions(opts) {
+  if (opts.output !== undefined && !(opts.output in DELIMITERS)) {
+    throw new Error(`Invalid output format "${opts.output}" (expected csv|tsv)`)
+  }
+  if (opts.encoding !== undefined && !ENCODINGS.includes(opts.encoding)) {
+    throw new Error(`Invalid encoding "${opts.encoding}" (expected ${ENCODINGS.join('|')})`)
+  }
+  compileSelect(opts.select)
+  fieldColumns(opts)
+}
+
+// --- MQTT 5 properties --------------------------------------------------------
+
+/**
+ * Extracts the MQTT 5 publish properties mqtt-tail cares about from a packet.
+ * Returns null for MQTT 3.1/3.1.1 packets or when none are set.
+ * @param {object} packet - raw mqtt.js packet
+ * @returns {{ userProperties?: object, contentType?: string, responseTopic?: string,
+ *             correlationData?: Buffer, messageExpiryInterval?: number } | null}
+ */
+export function messageProperties(packet) {
+  const props = packet.properties
+  if (!props) return null
+
+  const out = {}
+  if (props.userProperties && Object.keys(props.userProperties).length > 0) {
+    out.userProperties = props.userProperties
+  }
+  if (props.contentType !== undefined)           out.contentType           = props.contentType
+  if (props.responseTopic !== undefined)         out.responseTopic         = props.responseTopic
+  if (props.correlationData !== undefined)       out.correlationData       = props.correlationData
+  if (props.messageExpiryInterval !== undefined) out.messageExpiryInterval = props.messageExpiryInterval
+
+  return Object.keys(out).length > 0 ? out : null
+}
+
+/**
+ * Correlation data is binary; show it as text when it is valid UTF-8, else as 0x-prefixed hex.
+ */
+function formatCorrelationData(data) {
+  const buf = Buffer.isBuffer(data) ? data : Buffer.from(data)
+  try { return utf8Decoder.decode(buf) }
+  catch { return '0x' + buf.toString('hex') }
+}
+
+function propertiesToJson(props) {
+  if (!props.correlationData) return props
+  return { ...props, correlationData: formatCorrelationData(props.correlationData) }
+}
+
+function buildProperties(props) {
+  const parts = []
+  if (props.contentType !== undefined)     parts.push(`content-type: ${props.contentType}`)
+  if (props.responseTopic !== undefined)   parts.push(`response-topic: ${props.responseTopic}`)
+  if (props.correlationData !== undefined) parts.push(`correlation-data: ${formatCorrelationData(props.correlationData)}`)
+  if (props.messageExpiryInterval !== undefined) parts.push(`expiry: ${props.messageExpiryInterval}s`)
+  for (const [key, value] of Object.entries(props.userProperties ?? {})) {
+    // Repeated user property keys arrive as arrays
+    for (const v of [].concat(value)) parts.push(`${key}=${v}`)
+  }
+  return parts
+}
+
 // --- Full message formatting --------------------------------------------------
 
 /**
@@ -156,46 +421,150 @@ function addLeftBorder(str, border) {
  * @param {Buffer} payload
  * @param {object} packet - raw mqtt.js packet (.qos, .retain)
  * @param {object} opts   - merged CLI options
+ * @param {Date}   [receivedAt] - receive time shown as timestamp (default: now)
+ * @param {object} [decoded] - result of the createDecoder() decoder for this message
+ * @param {object[]} [diff]  - with opts.diff: changes since the previous message
+ *                             on the topic (from createDiffer()); null for the first one
+ * @param {object} [rule]    - matching highlight rule (from createRules()): its color
+ *                             replaces the topic color and its badge goes before the
+ *                             topic; JSON output names it in "rule"
  */
-export function formatMessage(topic, payload, packet, opts) {
+export function formatMessage(topic, payload, packet, opts, receivedAt = new Date(), decoded = null, diff = null, rule = null) {
+  if (DELIMITERS[opts.output]) {
+    return formatDelimitedRow(topic, payload, packet, opts, receivedAt, decoded)
+  }
+
   // JSON-lines output for piping
   if (opts.outputJson) {
-    let payloadParsed
-    try { payloadParsed = JSON.parse(payload.toString()) }
-    catch { payloadParsed = payload.toString() }
+    const encoding = payloadEncoding(payload, opts)
+
+    // Decoded and text payloads are inlined (parsed if JSON); anything else is
+    // encoded and tagged with "encoding": "base64" | "hex"
+    let payloadParsed, encoded
+    if (hasDecodedValue(decoded)) {
+      payloadParsed = project(decoded.value, opts)
+    } else if (encoding === 'utf8') {
+      try { payloadParsed = project(JSON.parse(payload.toString()), opts) }
+      catch { payloadParsed = payload.toString() }
+    } else {
+      encoded = encodePayload(payload, encoding)
+      payloadParsed = encoded.value
+    }
+
+    // "decoder": name of the --decode decoder, or "decodeError" when it failed
+    const decodeInfo = !decoded ? {}
+      : decoded.error ? { decodeError: decoded.error.message }
+      : { decoder: decoded.decoder }
+
+    const props = messageProperties(packet)
 
     return JSON.stringify({
-      timestamp: new Date().toISOString(),
+      timestamp: receivedAt.toISOString(),
       topic,
       payload: payloadParsed,
+      ...(encoded ? { encoding: encoded.encoding } : {}),
+      ...decodeInfo,
+      ...(opts.diff ? { diff } : {}),
       qos: packet.qos,
       retain: packet.retain,
       size: payload.length,
+      ...(props ? { properties: propertiesToJson(props) } : {}),
+      ...(rule ? { rule: rule.name } : {}),
     })
   }
 
-  const color = topicColor(topic)
+  const color = rule?.color ? chalk[rule.color] : topicColor(topic)
+  const props = opts.verbose ? messageProperties(packet) : null
+  const badge = rule?.badge ? chalk.bold(color(`[${rule.badge}]`)) + ' ' : ''
 
-  // Header: ▶ TOPIC  timestamp  (meta)
+  // Header: ▶ [BADGE] TOPIC  timestamp  (meta)
   const header = [
-    color('▶') + ' ' + chalk.bold(color(topic)),
-    opts.timestamp !== false ? chalk.dim(formatTimestamp(opts.timestampFormat || 'local')) : null,
-    opts.verbose ? chalk.dim(buildMeta(packet, payload)) : null,
+    color('▶') + ' ' + badge + chalk.bold(color(topic)),
+    opts.timestamp !== false ? chalk.dim(formatTimestamp(opts.timestampFormat || 'local', receivedAt)) : null,
+    opts.verbose ? chalk.dim(buildMeta(packet, payload, opts, decoded)) : null,
   ].filter(Boolean).join('  ')
 
+  // --diff shows the changes instead of the payload, once there is a previous message
+  const content = opts.diff && diff && !opts.raw
+    ? formatChanges(diff, opts)
+    : formatPayload(payload, opts, decoded)
+
   if (opts.compact) {
-    return `${header}  ${formatPayload(payload, opts)}`
+    const propsLabel = props ? '  ' + chalk.dim(`[${buildProperties(props).join(' ')}]`) : ''
+    return `${header}${propsLabel}  ${content}`
   }
 
-  // Body: each line prefixed with a colored border
-  const body = addLeftBorder(formatPayload(payload, opts), color('│') + ' ')
+  // Body: each line prefixed with a colored border, MQTT 5 properties first
+  const border = color('│') + ' '
+  const propsLine = props ? border + chalk.dim(buildProperties(props).join('  ')) + '\n' : ''
+  const body = addLeftBorder(content, border)
 
-  return `${header}\n${body}`
+  return `${header}\n${propsLine}${body}`
 }
 
-function buildMeta(packet, payload) {
+/**
+ * Marker line for messages held back by --throttle:
+ *   ⋯ sensors/flood  37 suppressed
+ */
+export function formatSuppressed(topic, count) {
+  const color = topicColor(topic)
+  return `${color('⋯')} ${chalk.bold(color(topic))}  ${chalk.dim(`${count} suppressed`)}`
+}
+
+function buildMeta(packet, payload, opts, decoded) {
   const parts = [`qos:${packet.qos}`]
   if (packet.retain) parts.push(chalk.yellow('retained'))
   parts.push(`${payload.length}B`)
+  if (hasDecodedValue(decoded) && !opts.raw) {
+    parts.push(decoded.decoder)
+  } else {
+    const detected = detectEncoding(payload)
+    const shown    = payloadEncoding(payload, opts)
+    parts.push(shown === detected ? detected : `${detected} as ${shown}`)
+    if (decoded?.error) parts.push(chalk.red(`${decoded.decoder} failed: ${decoded.error.message}`))
+  }
   return `(${parts.join(' ')})`
 }
+
+// --- One-line previews --------------------------------------------------------
+
+// SGR color sequences, captured so that split() keeps them
+const ANSI_PATTERN = /(\x1b\[[0-9;]*m)/
+
+/** Length of a colored string as shown, in characters. */
+export function visibleLength(str) {
+  return str.split(ANSI_PATTERN).reduce((len, part, i) => len + (i % 2 ? 0 : [...part].length), 0)
+}
+
+/**
+ * Cuts a colored string to width visible characters, ending in "…" when cut.
+ */
+export function truncate(str, width) {
+  if (visibleLength(str) <= width) return str
+  let out = ''
+  let len = 0
+  for (const [i, part] of str.split(ANSI_PATTERN).entries()) {
+    if (i % 2) { out += part; continue }
+    for (const ch of part) {
+      if (len >= width - 1) break
+      out += ch
+      len++
+    }
+  }
+  return out + '…' + (out.includes('\x1b[') ? '\x1b[0m' : '')
+}
+
+/**
+ * One-line payload preview, through the same formatPayload rendering as the
+ * tail output (JSON, decoders, --select, hex for binary).
+ */
+export function previewPayload({ payload, decoded }, opts) {
+  const text = formatPayload(payload, { ...opts, compact: true, raw: false, outputJson: false }, decoded)
+    .replace(/[\r\n\t]+/g, ' ')
+  try {
+    JSON.parse(text)
+    return colorizeJson(text)
+  } catch {
+    return text
+  }
+}
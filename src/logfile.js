@@ -0,0 +1,242 @@
+// --out: writes the formatted messages to a file instead of stdout, with
+// optional rotation by size (--rotate 100MB) or calendar period (--rotate
+// hourly|daily). Rotated files are renamed to <name>-<start time><ext>,
+// optionally gzipped (--rotate-gzip), and only the newest --rotate-keep of
+// them are kept.
+
+import { createReadStream, createWriteStream, fstatSync, openSync, readdirSync, renameSync, existsSync } from 'fs'
+import { unlink } from 'fs/promises'
+import { basename, dirname, extname, join } from 'path'
+import { pipeline } from 'stream/promises'
+import { createGzip } from 'zlib'
+import { stripVTControlCharacters } from 'util'
+
+// --- Options -----------------------------------------------------------------
+
+const SIZE_UNITS = { b: 1, k: 1024, kb: 1024, m: 1024 ** 2, mb: 1024 ** 2, g: 1024 ** 3, gb: 1024 ** 3 }
+const PERIODS    = ['hourly', 'daily']
+
+/**
+ * Parses --rotate: a size such as "500KB", "100MB" or "1GB" (units of 1024,
+ * bare numbers are bytes), or "hourly" / "daily". Throws with a user-facing message.
+ * @returns {{ size: number } | { period: 'hourly'|'daily' }}
+ */
+export function parseRotate(value) {
+  const spec = String(value).trim().toLowerCase()
+  if (PERIODS.includes(spec)) return { period: spec }
+
+  const match = /^(\d+(?:\.\d+)?)\s*(b|kb?|mb?|gb?)?$/.exec(spec)
+  const size = match ? Math.floor(Number(match[1]) * SIZE_UNITS[match[2] ?? 'b']) : 0
+  if (!(size >= 1)) {
+    throw new Error(`Invalid --rotate "${value}" (expected a size like 100MB, hourly or daily)`)
+  }
+  return { size }
+}
+
+/**
+ * Validates --out and its rotation options. Throws with a user-facing message.
+ * @returns {{ path: string, rotate: object|null, keep: number, gzip: boolean } | null}
+ *          null without --out; keep is Infinity when unset
+ */
+export function parseOutOptions(opts) {
+  const rotation = opts.rotate ?? opts.rotateKeep ?? opts.rotateGzip
+  if (!opts.out) {
+    if (rotation !== undefined) throw new Error('--rotate, --rotate-keep and --rotate-gzip need --out <path>')
+    return null
+  }
+  if (opts.stats || opts.statsJson) throw new Error('--out cannot be combined with --stats or --stats-json')
+  if ((opts.rotateKeep !== undefined || opts.rotateGzip) && !opts.rotate) {
+    throw new Error('--rotate-keep and --rotate-gzip need --rotate')
+  }
+
+  let keep = Infinity
+  if (opts.rotateKeep !== undefined) {
+    keep = Number(opts.rotateKeep)
+    if (!(Number.isInteger(keep) && keep >= 1)) {
+      throw new Error(`Invalid --rotate-keep "${opts.rotateKeep}" (expected an integer >= 1)`)
+    }
+  }
+
+  return {
+    path: opts.out,
+    rotate: opts.rotate ? parseRotate(opts.rotate) : null,
+    keep,
+    gzip: Boolean(opts.rotateGzip),
+  }
+}
+
+// --- Rotation ----------------------------------------------------------------
+
+/** Start of the hour or (local) day that contains time. */
+export function periodStart(period, time) {
+  const start = new Date(time)
+  start.setMinutes(0, 0, 0)
+  if (period === 'daily') start.setHours(0)
+  return start
+}
+
+/** Start of the period after the one that contains time. */
+export function nextPeriod(period, time) {
+  const next = periodStart(period, time)
+  if (period === 'daily') next.setDate(next.getDate() + 1)
+  else next.setHours(next.getHours() + 1)
+  return next
+}
+
+const pad = (n) => String(n).padStart(2, '0')
+
+/** Local time as used in rotated file names: 2024-01-15T16-42-03. */
+export function formatStamp(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+         `T${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * Lists the rotated files of path, oldest first. Names are
+ * <name>-<stamp>[-<n>]<ext>[.gz]; n tells apart files started in the same second.
+ * @returns {string[]} full paths
+ */
+export function listRotated(path) {
+  const ext  = extname(path)
+  const name = basename(path, ext)
+  const re   = new RegExp(`^${escapeRegex(name)}-(\\d{4}-\\d\\d-\\d\\dT\\d\\d-\\d\\d-\\d\\d)(?:-(\\d+))?${escapeRegex(ext)}(?:\\.gz)?$`)
+
+  const rotated = []
+  for (const entry of readdirSync(dirname(path))) {
+    const match = re.exec(entry)
+    if (match) rotated.push({ file: join(dirname(path), entry), stamp: match[1], n: Number(match[2] ?? 0) })
+  }
+  rotated.sort((a, b) => a.stamp.localeCompare(b.stamp) || a.n - b.n)
+  return rotated.map((r) => r.file)
+}
+
+// First free rotated name for a file started at startedAt
+function rotatedName(path, startedAt) {
+  const ext  = extname(path)
+  const base = join(dirname(path), `${basename(path, ext)}-${formatStamp(startedAt)}`)
+  for (let n = 0; ; n++) {
+    const name = `${base}${n ? `-${n}` : ''}${ext}`
+    if (!existsSync(name) && !existsSync(`${name}.gz`)) return name
+  }
+}
+
+// --- Log file ----------------------------------------------------------------
+
+/**
+ * Opens path for appending formatted output lines. Colors are stripped. Each
+ * line goes out in one write, and rotation renames the file between two lines,
+ * so no line is split across files. The rotated file keeps receiving the
+ * writes still buffered for it (the descriptor moves with the rename) before
+ * it is gzipped. An existing file's period starts at its last change (mtime),
+ * so old lines are not filed under the current period. Throws with a
+ * user-facing message when path cannot be opened.
+ *
+ * Only write errors go to onError. A failed rename, compression or cleanup
+ * goes to onWarning and writing goes on, after a failed rename in the same
+ * file; a failing rename is reported once until a rotation succeeds.
+ *
+ * @param {{ path: string, rotate: object|null, keep: number, gzip: boolean }} out - from parseOutOptions()
+ * @param {object}   [options]
+ * @param {string}   [options.header] - written at the top of every new file (csv / tsv)
+ * @param {Function} [options.onError]   - called with write errors (default: rethrow)
+ * @param {Function} [options.onWarning] - called with rotation, gzip and cleanup errors (default: ignore)
+ * @returns {{ write: (line: string, now?: Date) => void, close: () => Promise<void> }}
+ *          close() also waits for rotated files still being compressed
+ */
+export function createLogFile({ path, rotate, keep, gzip }, {
+  header = null,
+  onError = (err) => { throw err },
+  onWarning = () => {},
+} = {}) {
+  let tasks = Promise.resolve()   // gzip and cleanup of rotated files, one at a time
+  const waiting = new Set()       // rotated files whose task has not run yet
+  let renameFailed = false        // the last rename failed and was reported
+  let stream, size, startedAt, rotateAt
+
+  const start = (now) => {
+    startedAt = now
+    rotateAt  = rotate?.period ? nextPeriod(rotate.period, now) : null
+  }
+
+  const open = (now) => {
+    let fd
+    try {
+      fd = openSync(path, 'a')
+    } catch (err) {
+      throw new Error(`Cannot write ${path}: ${err.message}`)
+    }
+    const stat = fstatSync(fd)
+    size   = stat.size
+    stream = createWriteStream(null, { fd })
+    stream.on('error', onError)
+    start(size > 0 ? stat.mtime : now)
+  }
+
+  // Whether bytes written at now belong in a new file
+  const due = (bytes, now) => rotate.size ? size + bytes > rotate.size : now >= rotateAt
+
+  // Renames the file and starts a new one; compression and cleanup run in the background
+  const rotateFile = (now) => {
+    const from = rotate.period ? periodStart(rotate.period, startedAt) : startedAt
+    const to   = rotatedName(path, from)
+    try {
+      renameSync(path, to)
+    } catch (err) {
+      // Keep writing to the current file; the next period, or the next write over the size, tries again
+      start(now)
+      if (!renameFailed) onWarning(new Error(`Cannot rotate ${path}: ${err.message}`))
+      renameFailed = true
+      return
+    }
+    renameFailed = false
+    const finished = new Promise((resolve) => stream.end(resolve))
+    try {
+      open(now)
+    } catch (err) {
+      onError(err)
+    }
+
+    waiting.add(to)
+    tasks = tasks
+      .then(() => finished)
+      .then(() => gzip && compress(to))
+      .then(() => { waiting.delete(to); return prune() })
+      .catch((err) => onWarning(new Error(`Cannot compress or clean up rotated files of ${path}: ${err.message}`)))
+  }
+
+  const compress = async (file) => {
+    await pipeline(createReadStream(file), createGzip(), createWriteStream(`${file}.gz`))
+    await unlink(file)
+  }
+
+  // Deletes the oldest rotated files beyond keep; the waiting ones are newer than any other
+  const prune = async () => {
+    const done = listRotated(path).filter((file) => !waiting.has(file))
+    for (const file of done.slice(0, Math.max(0, done.length + waiting.size - keep))) await unlink(file)
+  }
+
+  open(new Date())
+
+  return {
+    write(line, now = new Date()) {
+      const data = stripVTControlCharacters(line) + '\n'
+      const bytes = Buffer.byteLength(data)
+      // An empty file is never rotated; its period starts with its first line
+      if (size === 0) start(now)
+      else if (rotate && due(bytes, now)) rotateFile(now)
+      if (size === 0 && header) {
+        stream.write(header + '\n')
+        size += Buffer.byteLength(header) + 1
+      }
+      stream.write(data)
+      size += bytes
+    },
+
+    async close() {
+      await new Promise((resolve) => stream.end(resolve))
+      await tasks
+    },
+  }
+}
@@ -0,0 +1,236 @@
+// Message-processing core shared by the CLI (subscriber.js) and the library
+// (api.js): connect → subscribe → stages → sinks.
+//
+// Every received message becomes a context object
+//   { topic, payload, packet, receivedAt, decoded, diff }
+// that runs through the stages in order. A stage returns null to pass the
+// message on or a reason string to drop it (shown by --verbose), and may add
+// fields to the context. Messages that pass every stage go to each sink.
+// Stages that remember what was shown (dedupe, diff, throttle) only do so in commit(),
+// once the sinks took the message, so a message dropped by a later stage is
+// never the baseline for the next one.
+
+import { connect as mqttConnect } from 'mqtt'
+import { compileWhere } from './where.js'
+import { createDecoder } from './decoders.js'
+import { createDiffer } from './diff.js'
+import { parseDuration, parseThrottle, createDeduper, createThrottle } from './ratelimit.js'
+import { createReconnector } from './reconnect.js'
+
+// --- Option parsing ----------------------------------------------------------
+
+/** Parses --qos: 0, 1 or 2 (default 0). Throws with a user-facing message. */
+export function parseQos(value) {
+  const qos = parseInt(value ?? 0, 10)
+  if (![0, 1, 2].includes(qos)) throw new Error(`Invalid QoS "${value}" (expected 0|1|2)`)
+  return qos
+}
+
+/** Parses --count: a positive integer, Infinity when unset or 0. Throws with a user-facing message. */
+export function parseCount(value) {
+  if (!value) return Infinity
+  const count = Number(value)
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`Invalid count "${value}" (expected an integer >= 1)`)
+  }
+  return count
+}
+
+/** Throws with a user-facing message for invalid patterns. */
+export function compileFilter(pattern, label) {
+  if (!pattern) return null
+  try {
+    return new RegExp(pattern)
+  } catch (err) {
+    throw new Error(`Invalid ${label} regex "${pattern}": ${err.message}`)
+  }
+}
+
+/**
+ * Builds the message filter from --no-retained, --filter, --payload-filter
+ * and --where. The returned function gives the reason a message is dropped,
+ * or null to keep it. --where sees the decoded value when a decoder applies.
+ * Throws with a user-facing message.
+ */
+export function buildMessageFilter(opts) {
+  const topicFilter   = compileFilter(opts.filter, '--filter')
+  const payloadFilter = compileFilter(opts.payloadFilter, '--payload-filter')
+  const where         = compileWhere(opts.where)
+
+  return (topic, payload, packet, decoded) => {
+    if (opts.retained === false && packet.retain)                 return 'retained'
+    if (topicFilter && !topicFilter.test(topic))                   return 'topic filter'
+    if (payloadFilter && !payloadFilter.test(payload.toString()))  return 'payload filter'
+    if (where && !where(payload, decoded?.value))                  return 'where'
+    return null
+  }
+}
+
+// --- Stages ------------------------------------------------------------------
+
+/**
+ * Builds the standard stages from opts, in this order: decode (--decode,
+ * --sparkplug, config decoders), filter (--no-retained, --filter,
+ * --payload-filter, --where), dedupe, diff and throttle. Stages whose
+ * options are unset are left out. Throws with a user-facing message.
+ *
+ * The dedupe and throttle windows follow msg.receivedAt, so a replayed
+ * recording is thinned out by its original timing.
+ *
+ * @param {object} opts
+ * @param {(topic: string, count: number) => void} [onSuppressed] - see createThrottle()
+ * @returns {Promise<{ stages: Array<{ name: string, run: (msg: object) => string|null,
+ *                                     commit?: (msg: object) => void }>,
+ *                     close: () => void }>} close() reports pending throttle counts
+ */
+export async function createStages(opts, onSuppressed = () => {}) {
+  const dropReason = buildMessageFilter(opts)
+  const decode     = await createDecoder(opts)
+  const dedupe     = opts.dedupe ? createDeduper(parseDuration(opts.dedupe, '--dedupe window')) : null
+  const differ     = opts.diff ? createDiffer(opts) : null
+  const throttle   = opts.throttle ? createThrottle(parseThrottle(opts.throttle), onSuppressed) : null
+
+  const stages = [
+    decode && { name: 'decode', run: (msg) => { msg.decoded = decode(msg.topic, msg.payload) ?? null; return null } },
+    { name: 'filter', run: (msg) => dropReason(msg.topic, msg.payload, msg.packet, msg.decoded) },
+    dedupe && {
+      name: 'dedupe',
+      run: (msg) => dedupe(msg.topic, msg.payload, msg.receivedAt.getTime(), false) ? 'duplicate' : null,
+      commit: (msg) => dedupe(msg.topic, msg.payload, msg.receivedAt.getTime()),
+    },
+    // --diff: null for the first message on a topic, [] when nothing changed
+    differ && {
+      name: 'diff',
+      run: (msg) => {
+        msg.diff = differ(msg.topic, msg.payload, msg.decoded, false) ?? null
+        return msg.diff?.length === 0 && !opts.diffShowUnchanged ? 'unchanged' : null
+      },
+      commit: (msg) => differ(msg.topic, msg.payload, msg.decoded),
+    },
+    throttle && {
+      name: 'throttle',
+      run: (msg) => throttle.allow(msg.topic, msg.receivedAt.getTime(), false) ? null : 'throttled',
+      commit: (msg) => throttle.allow(msg.topic, msg.receivedAt.getTime()),
+    },
+  ]
+
+  return { stages: stages.filter(Boolean), close: () => throttle?.close() }
+}
+
+// --- Pipeline ----------------------------------------------------------------
+
+/**
+ * Creates the pipeline for opts: the standard stages followed by extra
+ * stages, then the sinks. Throws with a user-facing message, so callers can
+ * validate everything before connecting.
+ *
+ * A sink receives each message that passed all stages; returning false
+ * means it did not take the message, which then does not count towards
+ * opts.count. After opts.count messages no further messages are processed.
+ *
+ * @param {object} opts - CLI options or merged library options
+ * @param {object} [setup]
+ * @param {Array<Function|object>} [setup.stages] - extra stages, run last: functions
+ *   (msg) => string|null named after the stage, or { name, run, commit? } as from createStages()
+ * @param {Array<(msg: object) => boolean|void>} [setup.sinks]
+ * @param {object} [setup.hooks] - optional callbacks:
+ *   onReceive(msg)                before the stages
+ *   onDrop(msg, reason)           a stage dropped the message
+ *   onDeliver(msg, total)         the sinks took the message
+ *   onLimit(total)                opts.count was reached
+ *   onSuppressed(topic, count)    see createThrottle()
+ *   onConnect(connack, subscribed) connected; subscribed resolves with the granted
+ *                                 subscriptions (or rejects)
+ *   onReconnecting(info), onGiveUp(info)  see createReconnector()
+ */
+export async function createPipeline(opts, { stages: extra = [], sinks = [], hooks = {} } = {}) {
+  const maxMessages = parseCount(opts.count)
+  const { stages, close: closeStages } = await createStages(opts, hooks.onSuppressed)
+  for (const stage of extra) stages.push(typeof stage === 'function' ? { name: stage.name || 'custom', run: stage } : stage)
+
+  let delivered   = 0
+  let reconnector = null
+
+  /**
+   * Runs a received message through the stages and sinks.
+   * @returns {string|null} the reason it was dropped, or null
+   */
+  const processMessage = (msg) => {
+    if (delivered >= maxMessages) return 'limit'
+    hooks.onReceive?.(msg)
+
+    for (const stage of stages) {
+      const reason = stage.run(msg)
+      if (reason) {
+        hooks.onDrop?.(msg, reason)
+        return reason
+      }
+    }
+
+    let taken = true
+    for (const sink of sinks) {
+      if (sink(msg) === false) taken = false
+    }
+    if (!taken) return null
+
+    for (const stage of stages) stage.commit?.(msg)
+    delivered++
+    hooks.onDeliver?.(msg, delivered)
+    if (delivered >= maxMessages) hooks.onLimit?.(delivered)
+    return null
+  }
+
+  /**
+   * Connects with mqtt.js and feeds every message into process(). The
+   * subscriptions are (re)sent on every connect, so a map changed in between
+   * takes effect on the next reconnect. Reconnects follow policy; without a
+   * policy the client stays disconnected once the connection drops.
+   *
+   * @param {object} connection
+   * @param {string} connection.brokerUrl
+   * @param {object} connection.connectOpts   - from buildConnectOptions()
+   * @param {object|null} connection.policy   - from parseReconnectPolicy(), or null
+   * @param {Map<string, number>} connection.subscriptions - topic → QoS
+   * @returns {object} the mqtt.js client
+   */
+  const connect = ({ brokerUrl, connectOpts, policy, subscriptions }) => {
+    const client = mqttConnect(brokerUrl, connectOpts)
+
+    client.on('connect', (connack) => {
+      const map = Object.fromEntries([...subscriptions].map(([topic, qos]) => [topic, { qos }]))
+      const subscribed = Object.keys(map).length > 0 ? client.subscribeAsync(map) : Promise.resolve([])
+      subscribed.catch(() => {})   // reported through onConnect
+      hooks.onConnect?.(connack, subscribed)
+    })
+
+    client.on('message', (topic, payload, packet) => {
+      processMessage({ topic, payload, packet, receivedAt: new Date(), decoded: null, diff: null })
+    })
+
+    if (policy) {
+      reconnector = createReconnector(client, policy, {
+        onReconnecting: hooks.onReconnecting,
+        onGiveUp: hooks.onGiveUp,
+      })
+    }
+    return client
+  }
+
+  return {
+    /** Names of the stages in the order they run. */
+    stages: stages.map((stage) => stage.name),
+    process: processMessage,
+    connect,
+
+    /** Number of messages the sinks took so far. */
+    get delivered() {
+      return delivered
+    },
+
+    /** Stops reconnecting and reports pending throttle counts; the client is closed by the caller. */
+    close() {
+      reconnector?.stop()
+      closeStages()
+    },
+  }
+}
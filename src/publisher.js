@@ -0,0 +1,135 @@
+import { readFile } from 'fs/promises'
+import { connect as mqttConnect } from 'mqtt'
+import chalk from 'chalk'
+import { buildBrokerUrl, buildConnectOptions, parseMqttVersion } from './subscriber.js'
+import { colorTopic } from './formatter.js'
+import { parseQos } from './pipeline.js'
+
+// --- Debug logger ------------------------------------------------------------
+
+function dbg(opts, msg) {
+  if (opts.verbose) {
+    process.stderr.write(chalk.dim(`[debug] ${msg}\n`))
+  }
+}
+
+// --- Builders ----------------------------------------------------------------
+
+/**
+ * Parses repeated `key=value` strings into an MQTT 5 user properties object.
+ * Repeated keys become arrays. Throws on entries without "=".
+ */
+export function parseUserProperties(list = []) {
+  const props = {}
+  for (const entry of list) {
+    const eq = entry.indexOf('=')
+    if (eq <= 0) throw new Error(`Invalid user property "${entry}" (expected key=value)`)
+    const key   = entry.slice(0, eq)
+    const value = entry.slice(eq + 1)
+    if (key in props) props[key] = [].concat(props[key], value)
+    else props[key] = value
+  }
+  return props
+}
+
+/**
+ * Builds the mqtt.js publish options from qos, retain and userProperties.
+ * User properties need MQTT 5, anything else is rejected instead of silently dropped.
+ */
+export function buildPublishOptions(opts) {
+  const publishOpts = { qos: parseQos(opts.qos), retain: Boolean(opts.retain) }
+
+  const userProperties = opts.userProperties ?? {}
+  if (Object.keys(userProperties).length > 0) {
+    if (parseMqttVersion(opts.mqttVersion) !== 5) {
+      throw new Error('User properties require MQTT version 5 (--mqtt-version 5)')
+    }
+    publishOpts.properties = { userProperties }
+  }
+
+  return publishOpts
+}
+
+/**
+ * Splits a byte stream into lines, as Buffers so binary payloads keep their
+ * bytes. Lines end at "\n"; a "\r" before it (CRLF) is removed too.
+ */
+export async function* readLines(input) {
+  let rest = Buffer.alloc(0)
+  for await (const chunk of input) {
+    rest = Buffer.concat([rest, chunk])
+    let end
+    while ((end = rest.indexOf(0x0a)) !== -1) {
+      yield trimCR(rest.subarray(0, end))
+      rest = rest.subarray(end + 1)
+    }
+  }
+  if (rest.length > 0) yield trimCR(rest)
+}
+
+const trimCR = (line) => line.at(-1) === 0x0d ? line.subarray(0, -1) : line
+
+// --- Main --------------------------------------------------------------------
+
+/**
+ * CLI `pub` command: publishes the payload argument, the contents of
+ * opts.file, or every line of stdin, then disconnects and exits.
+ */
+export async function publish(topic, payload, opts) {
+  let brokerUrl, connectOpts, publishOpts
+  try {
+    brokerUrl   = buildBrokerUrl(opts)
+    connectOpts = await buildConnectOptions(opts)
+    publishOpts = buildPublishOptions({ ...opts, userProperties: parseUserProperties(opts.userProperty) })
+  } catch (err) {
+    process.stderr.write(chalk.red(`${err.message}\n`))
+    process.exit(1)
+  }
+
+  let messages
+  if (payload !== undefined) {
+    messages = [payload]
+  } else if (opts.file) {
+    try {
+      messages = [await readFile(opts.file)]
+    } catch (err) {
+      process.stderr.write(chalk.red(`Cannot read ${opts.file}: ${err.message}\n`))
+      process.exit(1)
+    }
+  } else {
+    dbg(opts, 'no payload argument, reading lines from stdin')
+    messages = readLines(process.stdin)
+  }
+
+  dbg(opts, `broker URL : ${brokerUrl}`)
+  dbg(opts, `client ID  : ${connectOpts.clientId}`)
+  dbg(opts, `publish    : qos=${publishOpts.qos}  retain=${publishOpts.retain}`)
+
+  const asUser = connectOpts.username ? chalk.dim(` as ${connectOpts.username}`) : ''
+  process.stderr.write(chalk.dim(`Connecting to ${brokerUrl}${asUser}...\n`))
+
+  const client = mqttConnect(brokerUrl, connectOpts)
+
+  try {
+    await new Promise((resolve, reject) => {
+      client.once('connect', resolve)
+      client.once('error', reject)
+    })
+
+    let sent = 0
+    for await (const message of messages) {
+      await client.publishAsync(topic, message, publishOpts)
+      sent++
+      dbg(opts, `published  topic="${topic}"  size=${Buffer.byteLength(message)}B`)
+    }
+
+    process.stderr.write(chalk.green(`Published ${sent} message${sent === 1 ? '' : 's'} to `) + colorTopic(topic) + '\n')
+    await client.endAsync()
+    process.exit(0)
+  } catch (err) {
+    const code = err.code ? chalk.bold(` [${err.code}]`) : ''
+    process.stderr.write(chalk.red(`Error: ${err.message}${code}\n`))
+    client.end(true)
+    process.exit(1)
+  }
+}
@@ -0,0 +1,120 @@
+// Bounded message queue between the MQTT client (push) and the async
+// iterator of subscribe() (pull). When the consumer falls behind by
+// highWaterMark messages, the overflow policy decides what happens.
+
+export const OVERFLOW_POLICIES = ['drop-oldest', 'drop-newest', 'error', 'pause']
+
+// --- Options -----------------------------------------------------------------
+
+/**
+ * Validates the highWaterMark and overflow options of subscribe().
+ * Throws with a user-facing message.
+ * @returns {{ highWaterMark: number, overflow: string }} highWaterMark is Infinity when unset
+ */
+export function parseQueueOptions({ highWaterMark, overflow } = {}) {
+  const limit = highWaterMark ?? Infinity
+  if (limit !== Infinity && !(Number.isInteger(limit) && limit >= 1)) {
+    throw new Error(`Invalid highWaterMark "${highWaterMark}" (expected an integer >= 1)`)
+  }
+  const policy = overflow ?? 'drop-oldest'
+  if (!OVERFLOW_POLICIES.includes(policy)) {
+    throw new Error(`Invalid overflow "${overflow}" (expected ${OVERFLOW_POLICIES.join(', ')})`)
+  }
+  return { highWaterMark: limit, overflow: policy }
+}
+
+// --- Queue -------------------------------------------------------------------
+
+/**
+ * Creates the queue. Once it holds highWaterMark messages, push() applies
+ * the overflow policy:
+ *   drop-oldest  discards the oldest queued message to make room
+ *   drop-newest  discards the pushed message
+ *   error        ends the queue with an error, thrown by the next next()
+ *   pause        accepts the message; the producer waits for room with
+ *                waitForRoom() before it reads any further
+ *
+ * @param {{ highWaterMark: number, overflow: string }} options - from parseQueueOptions()
+ * @returns {{ push: (msg: any) => boolean, next: () => Promise<{ value?: any, done: boolean }>,
+ *             end: (err?: Error) => void, clear: () => void,
+ *             waitForRoom: (cb: () => void) => void, size: number, dropped: number }}
+ *          push() returns false when the message was not queued
+ */
+export function createMessageQueue({ highWaterMark, overflow }) {
+  const items   = []
+  const roomFor = []      // waitForRoom() callbacks
+  let waiting = null      // { resolve, reject } of a pending next()
+  let error   = null
+  let ended   = false
+  let dropped = 0
+
+  const releaseRoom = () => {
+    while (roomFor.length > 0 && (ended || items.length < highWaterMark)) roomFor.shift()()
+  }
+
+  const queue = {
+    push(msg) {
+      if (ended) return false
+      if (waiting) {
+        const w = waiting; waiting = null
+        w.resolve({ value: msg, done: false })
+        return true
+      }
+      if (items.length >= highWaterMark) {
+        if (overflow === 'drop-newest') { dropped++; return false }
+        if (overflow === 'drop-oldest') { items.shift(); dropped++ }
+        if (overflow === 'error') {
+          queue.end(new Error(`Message queue overflow: the consumer is ${highWaterMark} messages behind (highWaterMark)`))
+          return false
+        }
+      }
+      items.push(msg)
+      return true
+    },
+
+    async next() {
+      if (error) throw error
+      if (items.length > 0) {
+        const value = items.shift()
+        releaseRoom()
+        return { value, done: false }
+      }
+      if (ended) return { done: true }
+      return new Promise((resolve, reject) => { waiting = { resolve, reject } })
+    },
+
+    /** Ends the queue; queued messages are still returned unless err is given. */
+    end(err) {
+      if (ended) return
+      ended = true
+      if (err) error = err
+      if (waiting) {
+        const w = waiting; waiting = null
+        err ? w.reject(err) : w.resolve({ done: true })
+      }
+      releaseRoom()
+    },
+
+    /** Discards the queued messages (they do not count as dropped). */
+    clear() {
+      items.length = 0
+      releaseRoom()
+    },
+
+    waitForRoom(cb) {
+      if (ended || items.length < highWaterMark) cb()
+      else roomFor.push(cb)
+    },
+
+    get size() {
+      return items.length
+    },
+
+    /** Messages discarded by the drop-oldest and drop-newest policies. */
+    get dropped() {
+      return dropped
+    },
+  }
+
+  return queue
+}
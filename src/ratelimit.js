@@ -0,0 +1,137 @@
+// Flood control for noisy topics: --dedupe hides repeated payloads,
+// --throttle caps the messages shown per topic and interval.
+
+// --- Parsing -----------------------------------------------------------------
+
+const UNITS = { ms: 1, s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000 }
+
+/**
+ * Parses a duration such as "500ms", "5s", "1m", "1h" or "1d" into ms.
+ * Bare numbers are seconds. Throws with a user-facing message.
+ * @param {string|number} value
+ * @param {string} label - names the option in error messages
+ */
+export function parseDuration(value, label = 'duration') {
+  const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/.exec(String(value).trim())
+  const ms = match ? Number(match[1]) * UNITS[match[2] ?? 's'] : NaN
+  if (!(ms > 0)) {
+    throw new Error(`Invalid ${label} "${value}" (expected a duration like 500ms, 5s or 1m)`)
+  }
+  return ms
+}
+
+/**
+ * Parses a --throttle spec "<n>/<interval>", e.g. "10/1s", "100/m" or "5/2s".
+ * Throws with a user-facing message.
+ * @returns {{ limit: number, interval: number }} interval in ms
+ */
+export function parseThrottle(value) {
+  const match = /^(\d+)\s*\/\s*(\S+)$/.exec(String(value).trim())
+  const limit = match ? Number(match[1]) : 0
+  if (limit < 1) {
+    throw new Error(`Invalid --throttle "${value}" (expected <n>/<interval>, e.g. 10/1s)`)
+  }
+  // "10/s" reads as ten per second
+  const interval = match[2] in UNITS ? UNITS[match[2]] : parseDuration(match[2], '--throttle interval')
+  return { limit, interval }
+}
+
+// --- Dedupe ------------------------------------------------------------------
+
+/**
+ * Creates the --dedupe check. It returns true for a payload that is identical
+ * to the last one shown on the same topic less than windowMs ago; such
+ * duplicates do not restart the window. Other payloads are remembered as
+ * shown, unless record is false (for a message that may still be held back).
+ * Topics whose window has passed are forgotten, at most once per window.
+ *
+ * @param {number} windowMs
+ * @returns {((topic: string, payload: Buffer, now?: number, record?: boolean) => boolean) & { size: number }}
+ *          size is the number of topics remembered
+ */
+export function createDeduper(windowMs) {
+  const last = new Map()   // topic → { payload, at } of the last shown message
+  let sweepAt = -Infinity
+
+  const isDuplicate = (topic, payload, now = Date.now(), record = true) => {
+    if (now >= sweepAt) {
+      for (const [key, prev] of last) if (now - prev.at >= windowMs) last.delete(key)
+      sweepAt = now + windowMs
+    }
+    const prev = last.get(topic)
+    if (prev && now - prev.at < windowMs && prev.payload.equals(payload)) return true
+    if (record) last.set(topic, { payload, at: now })
+    return false
+  }
+  Object.defineProperty(isDuplicate, 'size', { get: () => last.size, enumerable: true })
+  return isDuplicate
+}
+
+// --- Throttle ----------------------------------------------------------------
+
+/**
+ * Creates the --throttle state: at most `limit` messages per topic in each
+ * `interval` (a fixed window that starts with the topic's first message).
+ *
+ * allow() takes one of the window's slots unless record is false (for a
+ * message that may still be held back; take the slot once it is shown).
+ *
+ * When a window in which messages were held back ends, onSuppressed(topic,
+ * count) is called from a timer, so the count shows up even if the topic
+ * falls silent. Ended windows are dropped, at most once per interval.
+ * close() stops the timers and reports what is still pending.
+ *
+ * @param {{ limit: number, interval: number }} spec - from parseThrottle()
+ * @param {(topic: string, count: number) => void} onSuppressed
+ * @returns {{ allow: (topic: string, now?: number, record?: boolean) => boolean, close: () => void,
+ *             size: number }} size is the number of topics with an open window
+ */
+export function createThrottle({ limit, interval }, onSuppressed) {
+  const windows = new Map()   // topic → { start, shown, suppressed, timer }
+  let sweepAt = -Infinity
+
+  const report = (topic, w) => {
+    clearTimeout(w.timer)
+    if (w.suppressed > 0) onSuppressed(topic, w.suppressed)
+    w.suppressed = 0
+  }
+
+  return {
+    allow(topic, now = Date.now(), record = true) {
+      if (now >= sweepAt) {
+        for (const [key, w] of windows) {
+          if (now - w.start < interval) continue
+          report(key, w)
+          windows.delete(key)
+        }
+        sweepAt = now + interval
+      }
+
+      let w = windows.get(topic)
+      if (!w || now - w.start >= interval) {
+        if (w) report(topic, w)
+        w = { start: now, shown: 0, suppressed: 0, timer: null }
+        windows.set(topic, w)
+      }
+
+      if (w.shown < limit) {
+        if (record) w.shown++
+        return true
+      }
+      if (w.suppressed++ === 0) {
+        w.timer = setTimeout(() => report(topic, w), w.start + interval - now)
+        w.timer.unref?.()
+      }
+      return false
+    },
+
+    close() {
+      for (const [topic, w] of windows) report(topic, w)
+      windows.clear()
+    },
+
+    get size() {
+      return windows.size
+    },
+  }
+}
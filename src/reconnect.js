@@ -0,0 +1,109 @@
+// Reconnection policy: exponential backoff with jitter and an optional limit
+// on attempts. mqtt.js only knows a fixed reconnectPeriod, so clients are
+// created with reconnectPeriod: 0 and createReconnector() schedules the
+// reconnects instead.
+
+import { parseDuration } from './ratelimit.js'
+
+const DEFAULT_DELAY     = 1000     // ms before the first attempt, doubled per attempt
+const DEFAULT_MAX_DELAY = 30_000
+const DEFAULT_JITTER    = 0.2      // ± fraction of the delay
+
+// --- Policy ------------------------------------------------------------------
+
+/**
+ * Builds the reconnect policy from --reconnect-delay, --reconnect-max-delay,
+ * --reconnect-jitter, --reconnect-attempts and --fail-fast (no attempts at all).
+ * Throws with a user-facing message.
+ * @returns {{ delay: number, maxDelay: number, jitter: number, attempts: number }}
+ *          delays in ms; attempts is Infinity when unlimited
+ */
+export function parseReconnectPolicy(opts) {
+  const delay = opts.reconnectDelay !== undefined
+    ? parseDuration(opts.reconnectDelay, '--reconnect-delay')
+    : DEFAULT_DELAY
+  const maxDelay = opts.reconnectMaxDelay !== undefined
+    ? parseDuration(opts.reconnectMaxDelay, '--reconnect-max-delay')
+    : Math.max(DEFAULT_MAX_DELAY, delay)
+  if (maxDelay < delay) {
+    throw new Error(`--reconnect-max-delay (${opts.reconnectMaxDelay}) is shorter than --reconnect-delay (${opts.reconnectDelay})`)
+  }
+
+  const jitter = opts.reconnectJitter !== undefined ? Number(opts.reconnectJitter) : DEFAULT_JITTER
+  if (!(jitter >= 0 && jitter <= 1)) {
+    throw new Error(`Invalid --reconnect-jitter "${opts.reconnectJitter}" (expected 0 to 1)`)
+  }
+
+  let attempts = Infinity
+  if (opts.failFast) {
+    attempts = 0
+  } else if (opts.reconnectAttempts !== undefined) {
+    attempts = Number(opts.reconnectAttempts)
+    if (!Number.isInteger(attempts) || attempts < 0) {
+      throw new Error(`Invalid --reconnect-attempts "${opts.reconnectAttempts}" (expected an integer >= 0)`)
+    }
+  }
+
+  return { delay, maxDelay, jitter, attempts }
+}
+
+/**
+ * Delay before reconnect attempt n (1-based): delay · 2^(n-1), capped at
+ * maxDelay, then spread by ±jitter so many clients do not retry in lockstep.
+ * @param {() => number} [random] - returns [0, 1), for tests
+ */
+export function reconnectDelay(policy, attempt, random = Math.random) {
+  const base = Math.min(policy.delay * 2 ** (attempt - 1), policy.maxDelay)
+  return Math.round(base * (1 + policy.jitter * (2 * random() - 1)))
+}
+
+// --- Reconnector -------------------------------------------------------------
+
+/**
+ * Reconnects an mqtt.js client (created with reconnectPeriod: 0) whenever
+ * its connection closes or cannot be established, until it connects again
+ * or the policy runs out of attempts. Closing the client with end() does not
+ * trigger a reconnect.
+ *
+ * @param {object} client - mqtt.js client
+ * @param {object} policy - from parseReconnectPolicy()
+ * @param {object} [hooks]
+ * @param {(info: { attempt: number, delay: number }) => void} [hooks.onReconnecting]
+ *        an attempt is scheduled in `delay` ms
+ * @param {(info: { attempts: number }) => void} [hooks.onGiveUp]
+ *        the last attempt failed; the client stays disconnected
+ * @returns {{ stop: () => void }} stop() cancels a scheduled attempt
+ */
+export function createReconnector(client, policy, { onReconnecting, onGiveUp } = {}) {
+  let attempt = 0
+  let timer   = null
+  let stopped = false
+
+  client.on('connect', () => { attempt = 0 })
+
+  client.on('close', () => {
+    if (stopped || timer || client.disconnecting) return
+    if (attempt >= policy.attempts) {
+      stopped = true
+      onGiveUp?.({ attempts: attempt })
+      return
+    }
+
+    attempt++
+    const delay = reconnectDelay(policy, attempt)
+    onReconnecting?.({ attempt, delay })
+    timer = setTimeout(() => {
+      timer = null
+      // Pass the stores on, or mqtt.js replaces them with empty ones
+      client.reconnect({ incomingStore: client.incomingStore, outgoingStore: client.outgoingStore })
+    }, delay)
+  })
+
+  return {
+    stop() {
+      stopped = true
+      clearTimeout(timer)
+      timer = null
+    },
+  }
+}
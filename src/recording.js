@@ -0,0 +1,96 @@
+import { createReadStream, createWriteStream } from 'fs'
+import { createInterface } from 'readline'
+import { messageProperties } from './formatter.js'
+
+// Recordings are newline-delimited JSON, one message per line:
+//   {"ts":"2024-01-15T16:42:03.112Z","topic":"a/b","qos":0,"retain":false,"payload":"<base64>"}
+// MQTT 5 messages also carry "properties" (correlationData as base64).
+
+// --- Record format -----------------------------------------------------------
+
+/**
+ * Serializes one received message into a recording line (without newline).
+ * @param {string} topic
+ * @param {Buffer} payload
+ * @param {object} packet     - raw mqtt.js packet (.qos, .retain, .properties)
+ * @param {Date}   receivedAt
+ */
+export function serializeRecord(topic, payload, packet, receivedAt) {
+  const props = messageProperties(packet)
+  if (props?.correlationData) {
+    props.correlationData = Buffer.from(props.correlationData).toString('base64')
+  }
+
+  return JSON.stringify({
+    ts: receivedAt.toISOString(),
+    topic,
+    qos: packet.qos,
+    retain: packet.retain,
+    payload: payload.toString('base64'),
+    ...(props ? { properties: props } : {}),
+  })
+}
+
+/**
+ * Parses a recording line back into { topic, payload, packet, receivedAt }.
+ * Throws on lines that are not valid records.
+ */
+export function parseRecord(line) {
+  const rec = JSON.parse(line)
+  if (typeof rec.topic !== 'string' || typeof rec.payload !== 'string' || !rec.ts) {
+    throw new Error('missing ts, topic or payload')
+  }
+
+  const receivedAt = new Date(rec.ts)
+  if (Number.isNaN(receivedAt.getTime())) throw new Error(`invalid ts "${rec.ts}"`)
+
+  const packet = { qos: rec.qos ?? 0, retain: Boolean(rec.retain) }
+  if (rec.properties) {
+    packet.properties = { ...rec.properties }
+    if (rec.properties.correlationData !== undefined) {
+      packet.properties.correlationData = Buffer.from(rec.properties.correlationData, 'base64')
+    }
+  }
+
+  return { topic: rec.topic, payload: Buffer.from(rec.payload, 'base64'), packet, receivedAt }
+}
+
+// --- Reading / writing -------------------------------------------------------
+
+/**
+ * Opens a recording file for appending.
+ * @param {string}   path
+ * @param {Function} [onError] - called with write errors (default: rethrow)
+ * @returns {{ write: Function, close: () => Promise<void> }}
+ */
+export function createRecorder(path, onError = (err) => { throw err }) {
+  const stream = createWriteStream(path, { flags: 'a' })
+  stream.on('error', onError)
+
+  return {
+    write(topic, payload, packet, receivedAt = new Date()) {
+      stream.write(serializeRecord(topic, payload, packet, receivedAt) + '\n')
+    },
+    close() {
+      return new Promise((resolve) => stream.end(resolve))
+    },
+  }
+}
+
+/**
+ * Reads a recording file and yields parsed records in order.
+ * Blank lines are skipped; malformed lines throw with their line number.
+ */
+export async function* readRecording(path) {
+  const rl = createInterface({ input: createReadStream(path), crlfDelay: Infinity })
+  let lineNo = 0
+  for await (const line of rl) {
+    lineNo++
+    if (!line.trim()) continue
+    try {
+      yield parseRecord(line)
+    } catch (err) {
+      throw new Error(`${path}:${lineNo}: invalid record (${err.message})`)
+    }
+  }
+}
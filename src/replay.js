@@ -0,0 +1,153 @@
+import { setTimeout as sleep } from 'timers/promises'
+import chalk from 'chalk'
+import { buildBrokerUrl, buildConnectOptions, parseMqttVersion } from './subscriber.js'
+import { createPipeline } from './pipeline.js'
+import { formatMessage, formatHeader, formatSuppressed, checkOutputOptions } from './formatter.js'
+import { readRecording } from './recording.js'
+import { createRules } from './rules.js'
+
+// Drop reasons of the stages that only thin out the output; --republish
+// still sends these messages
+const OUTPUT_ONLY = new Set(['duplicate', 'unchanged', 'throttled'])
+
+// --- Debug logger ------------------------------------------------------------
+
+function dbg(opts, msg) {
+  if (opts.verbose) {
+    process.stderr.write(chalk.dim(`[debug] ${msg}\n`))
+  }
+}
+
+// --- Timing ------------------------------------------------------------------
+
+/**
+ * Parses --speed: a positive factor (1 = original speed, 2 = twice as fast)
+ * or "max" for no delays at all. Returns Infinity for "max".
+ */
+export function parseSpeed(value) {
+  if (value === undefined || value === null || value === '') return 1
+  if (String(value).toLowerCase() === 'max') return Infinity
+  const speed = Number(value)
+  if (!(speed > 0) || !Number.isFinite(speed)) {
+    throw new Error(`Invalid speed "${value}" (expected a positive number or "max")`)
+  }
+  return speed
+}
+
+/**
+ * Milliseconds to wait before sending a record, relative to when replay started.
+ * Scheduling against the first record (not the previous one) keeps long
+ * replays from drifting.
+ * @param {number} firstAt  - receive time of the first replayed record (ms)
+ * @param {number} at       - receive time of this record (ms)
+ * @param {number} startedAt - wall-clock replay start (ms)
+ * @param {number} now      - current wall-clock time (ms)
+ * @param {number} speed    - result of parseSpeed()
+ */
+export function replayDelay(firstAt, at, startedAt, now, speed) {
+  if (speed === Infinity) return 0
+  const due = startedAt + (at - firstAt) / speed
+  return Math.max(0, due - now)
+}
+
+// --- Main --------------------------------------------------------------------
+
+/**
+ * CLI `replay` command: feeds a recording through the message pipeline
+ * (filters, --dedupe, --diff, --throttle, config rules) and formatMessage.
+ * With opts.republish, also publishes every replayed message that passed the
+ * filters to the configured broker, paced by opts.speed.
+ */
+export async function replay(file, opts) {
+  let speed, rules, pipeline
+  let shown = null     // the record the pipeline just delivered
+  let limit = false    // -n reached
+  try {
+    speed = parseSpeed(opts.speed)
+    checkOutputOptions(opts)
+    rules = createRules(opts, {
+      log:  (line) => dbg(opts, line),
+      warn: (line) => process.stderr.write(chalk.yellow(`${line}\n`)),
+    })
+    pipeline = await createPipeline(opts, {
+      stages: rules ? [rules.stage] : [],
+      sinks: [(msg) => { shown = msg }],
+      hooks: {
+        onDrop:       (msg, reason) => dbg(opts, `record  topic="${msg.topic}"  -> dropped (${reason})`),
+        onLimit:      () => { limit = true },
+        onSuppressed: (topic, count) => suppressed(topic, count),
+      },
+    })
+  } catch (err) {
+    process.stderr.write(chalk.red(`${err.message}\n`))
+    process.exit(1)
+  }
+
+  dbg(opts, `stages     : ${pipeline.stages.join(' → ')}`)
+  const withProps = parseMqttVersion(opts.mqttVersion) === 5
+
+  // Suppressed markers stay out of output meant for machines
+  function suppressed(topic, count) {
+    const machine = opts.outputJson || opts.output || opts.raw
+    if (machine) process.stderr.write(formatSuppressed(topic, count) + '\n')
+    else process.stdout.write(formatSuppressed(topic, count) + '\n')
+  }
+
+  let client = null
+
+  try {
+    if (opts.republish) {
+      const brokerUrl   = buildBrokerUrl(opts)
+      const connectOpts = await buildConnectOptions(opts)
+
+      process.stderr.write(chalk.dim(`Connecting to ${brokerUrl}...\n`))
+      client = pipeline.connect({ brokerUrl, connectOpts, policy: null, subscriptions: new Map() })
+      await new Promise((resolve, reject) => {
+        client.once('connect', resolve)
+        client.once('error', reject)
+      })
+      const pace = speed === Infinity ? 'as fast as possible' : `at ${speed}x speed`
+      process.stderr.write(chalk.green(`Republishing to ${brokerUrl} ${pace}\n\n`))
+    }
+
+    let firstAt   = null
+    let startedAt = null
+
+    for await (const record of readRecording(file)) {
+      shown = null
+      const reason = pipeline.process({ ...record, decoded: null, diff: null })
+      if (reason === 'limit') break
+      const { topic, payload, packet, receivedAt } = record
+
+      if (client && (!reason || OUTPUT_ONLY.has(reason))) {
+        const at = receivedAt.getTime()
+        if (firstAt === null) { firstAt = at; startedAt = Date.now() }
+        const delay = replayDelay(firstAt, at, startedAt, Date.now(), speed)
+        if (delay > 0) await sleep(delay)
+
+        await client.publishAsync(topic, payload, {
+          qos: packet.qos,
+          retain: packet.retain,
+          ...(withProps && packet.properties ? { properties: packet.properties } : {}),
+        })
+      }
+
+      if (shown) {
+        const header = pipeline.delivered === 1 ? formatHeader(opts) : null
+        if (header) process.stdout.write(header + '\n')
+        process.stdout.write(formatMessage(topic, payload, packet, opts, receivedAt, shown.decoded, shown.diff, shown.rule) + '\n')
+      }
+      if (limit) break
+    }
+  } catch (err) {
+    process.stderr.write(chalk.red(`Error: ${err.message}\n`))
+    client?.end(true)
+    process.exit(1)
+  }
+
+  pipeline.close()
+  if (rules) await rules.close()
+  dbg(opts, `replayed ${pipeline.delivered} message(s)`)
+  if (client) await client.endAsync()
+  process.exit(0)
+}
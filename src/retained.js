@@ -0,0 +1,219 @@
+// `retained` command: subscribes, collects the retained messages the broker
+// sends for the topics until none arrived for --idle, prints them sorted by
+// topic and exits. --clear then deletes them by publishing an empty retained
+// payload to each topic.
+
+import { confirm } from '@inquirer/prompts'
+import chalk from 'chalk'
+import { buildBrokerUrl, buildConnectOptions } from './subscriber.js'
+import { parseQos, createPipeline } from './pipeline.js'
+import {
+  formatMessage, formatHeader, colorTopic, checkOutputOptions, previewPayload, truncate,
+} from './formatter.js'
+import { formatBytes } from './stats.js'
+import { parseDuration } from './ratelimit.js'
+
+const DEFAULT_IDLE = '2s'
+
+// --- Debug logger ------------------------------------------------------------
+
+function dbg(opts, msg) {
+  if (opts.verbose) {
+    process.stderr.write(chalk.dim(`[debug] ${msg}\n`))
+  }
+}
+
+// --- Options -----------------------------------------------------------------
+
+/**
+ * Validates the `retained` options. Throws with a user-facing message.
+ * @param {object}  opts
+ * @param {boolean} interactive - whether a confirmation can be asked (stdin is a terminal)
+ * @returns {{ idle: number, clear: boolean, dryRun: boolean, confirm: boolean }} idle in ms
+ */
+export function parseRetainedOptions(opts, interactive) {
+  const idle = parseDuration(opts.idle ?? DEFAULT_IDLE, '--idle')
+  if (!opts.clear && (opts.dryRun || opts.yes)) throw new Error('--dry-run and --yes need --clear')
+  if (opts.retained === false) throw new Error('--no-retained cannot be used with the retained command')
+
+  const clear = Boolean(opts.clear)
+  const dryRun = Boolean(opts.dryRun)
+  const ask = clear && !dryRun && !opts.yes
+  if (ask && !interactive) throw new Error('--clear asks for confirmation: pass --yes when stdin is not a terminal')
+  return { idle, clear, dryRun, confirm: ask }
+}
+
+// --- Snapshot ----------------------------------------------------------------
+
+/**
+ * Orders topics level by level, so "a/b" sorts with "a" and before "a-b".
+ */
+export function compareTopics(a, b) {
+  const left = a.split('/')
+  const right = b.split('/')
+  for (let i = 0; i < Math.min(left.length, right.length); i++) {
+    if (left[i] !== right[i]) return left[i] < right[i] ? -1 : 1
+  }
+  return left.length - right.length
+}
+
+/**
+ * Renders the snapshot as a table: topic, QoS, size and a one-line payload
+ * preview, cut to fit width.
+ * @param {object[]} messages - sorted pipeline messages
+ * @param {object}   opts     - output options for the preview (--select, --decode, ...)
+ * @param {number}   [width]  - terminal width, Infinity when not a terminal
+ */
+export function formatRetainedTable(messages, opts, width = Infinity) {
+  const sizes      = messages.map((msg) => formatBytes(msg.payload.length))
+  const topicWidth = Math.max(5, ...messages.map((msg) => msg.topic.length))
+  const sizeWidth  = Math.max(4, ...sizes.map((size) => size.length))
+  const previewWidth = Math.max(10, width - topicWidth - sizeWidth - 9)
+
+  const line = (topic, qos, size, payload) => `${topic}  ${qos.padEnd(3)}  ${size.padStart(sizeWidth)}  ${payload}`
+
+  const lines = [chalk.dim(line('TOPIC'.padEnd(topicWidth), 'QOS', 'SIZE', 'PAYLOAD'))]
+  messages.forEach((msg, i) => {
+    const topic = colorTopic(msg.topic) + ' '.repeat(topicWidth - msg.topic.length)
+    lines.push(line(topic, String(msg.packet.qos), sizes[i], truncate(previewPayload(msg, opts), previewWidth)))
+  })
+  return lines.join('\n')
+}
+
+function printSnapshot(messages, opts) {
+  if (!opts.outputJson && !opts.output) {
+    const width = process.stdout.isTTY ? process.stdout.columns : Infinity
+    process.stdout.write(formatRetainedTable(messages, opts, width) + '\n')
+    return
+  }
+  const header = formatHeader(opts)
+  if (header) process.stdout.write(header + '\n')
+  for (const { topic, payload, packet, receivedAt, decoded } of messages) {
+    process.stdout.write(formatMessage(topic, payload, packet, opts, receivedAt, decoded, null) + '\n')
+  }
+}
+
+// Only retained messages make it into the snapshot; live ones are dropped
+function retainedOnly(msg) {
+  return msg.packet.retain ? null : 'not retained'
+}
+
+// --- Main --------------------------------------------------------------------
+
+/**
+ * CLI `retained` command: prints the retained messages under topics (after
+ * the usual filters), then with opts.clear deletes them.
+ */
+export async function retained(topics, opts) {
+  let brokerUrl, connectOpts, qos, settings, pipeline
+  const found = new Map()   // topic → its retained message
+
+  try {
+    settings    = parseRetainedOptions(opts, process.stdin.isTTY)
+    brokerUrl   = buildBrokerUrl(opts)
+    connectOpts = await buildConnectOptions(opts)
+    qos         = parseQos(opts.qos)
+    checkOutputOptions(opts)
+    pipeline = await createPipeline(opts, {
+      stages: [retainedOnly],
+      sinks: [(msg) => collect(msg)],
+      hooks: {
+        onDrop:    (msg, reason) => dbg(opts, `message  topic="${msg.topic}"  -> dropped (${reason})`),
+        onLimit:   () => finish(),
+        onConnect: (connack, subscribed) => connected(subscribed),
+      },
+    })
+  } catch (err) {
+    process.stderr.write(chalk.red(`${err.message}\n`))
+    process.exit(1)
+  }
+
+  dbg(opts, `broker URL : ${brokerUrl}`)
+  dbg(opts, `client ID  : ${connectOpts.clientId}`)
+  dbg(opts, `topics     : ${topics.join(', ')} (QoS ${qos})`)
+  dbg(opts, `idle       : ${settings.idle}ms`)
+  dbg(opts, `stages     : ${pipeline.stages.join(' → ')}`)
+
+  const asUser = connectOpts.username ? chalk.dim(` as ${connectOpts.username}`) : ''
+  process.stderr.write(chalk.dim(`Connecting to ${brokerUrl}${asUser}...\n`))
+
+  let done  = false
+  let timer = null
+  const client = pipeline.connect({ brokerUrl, connectOpts, policy: null, subscriptions: new Map(topics.map((t) => [t, qos])) })
+
+  function fail(message) {
+    process.stderr.write(chalk.red(`${message}\n`))
+    client.end(true)
+    process.exit(1)
+  }
+
+  client.on('error', (err) => fail(`Error: ${err.message}`))
+  client.on('close', () => {
+    if (!done) fail('Connection closed before the snapshot was complete')
+  })
+
+  // The broker sends the retained messages right after the subscription;
+  // the snapshot is complete once none arrived for the idle time
+  const armIdle = () => {
+    clearTimeout(timer)
+    timer = setTimeout(finish, settings.idle)
+  }
+
+  function connected(subscribed) {
+    subscribed.then((granted) => {
+      const refused = granted.filter((g) => g.qos === 128).map((g) => g.topic)
+      if (refused.length > 0) fail(`Subscription refused for ${refused.join(', ')}`)
+      process.stderr.write(chalk.dim(`Collecting retained messages under ${topics.join(', ')}...\n`))
+      armIdle()
+    }, (err) => fail(`Subscribe failed: ${err.message}`))
+  }
+
+  function collect(msg) {
+    if (done) return false
+    found.set(msg.topic, msg)
+    armIdle()
+  }
+
+  async function finish() {
+    if (done) return
+    done = true
+    clearTimeout(timer)
+    pipeline.close()
+
+    const messages = [...found.values()].sort((a, b) => compareTopics(a.topic, b.topic))
+    if (messages.length === 0) {
+      process.stderr.write(chalk.dim(`No retained messages under ${topics.join(', ')}\n`))
+    } else {
+      printSnapshot(messages, opts)
+      process.stderr.write(chalk.dim(`${messages.length} retained message(s)\n`))
+    }
+
+    try {
+      if (settings.clear && messages.length > 0) await clear(messages)
+    } catch (err) {
+      fail(`Error: ${err.message}`)
+    }
+    await client.endAsync()
+    process.exit(0)
+  }
+
+  async function clear(messages) {
+    if (settings.dryRun) {
+      process.stderr.write(chalk.yellow(`Dry run: would clear ${messages.length} retained message(s)\n`))
+      return
+    }
+    if (settings.confirm) {
+      const ok = await confirm({ message: `Clear ${messages.length} retained message(s) on ${brokerUrl}?`, default: false })
+      if (!ok) {
+        process.stderr.write(chalk.dim('Nothing cleared\n'))
+        return
+      }
+    }
+    // An empty retained payload deletes the topic's retained message
+    for (const { topic } of messages) {
+      await client.publishAsync(topic, '', { qos, retain: true })
+      dbg(opts, `cleared ${topic}`)
+    }
+    process.stderr.write(chalk.green(`Cleared ${messages.length} retained message(s)\n`))
+  }
+}
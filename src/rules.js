@@ -0,0 +1,199 @@
+// Highlight and alert rules from the "rules" list of the config file. A rule
+// matches a topic filter plus an optional payload regex and --where style
+// condition; matching messages are highlighted in the output, and the rule's
+// actions (terminal bell, local command, webhook) fire at most "rate" times.
+//
+//   { "name": "hot", "topic": "sensors/+/temp", "where": "value > 30",
+//     "color": "red", "badge": "HOT", "bell": true, "rate": "1/1m",
+//     "exec": "notify-send 'Too hot'", "webhook": "https://hooks.example.com/mqtt" }
+
+import { spawn } from 'child_process'
+import { foregroundColorNames } from 'chalk'
+import { topicMatches } from './decoders.js'
+import { compileFilter } from './pipeline.js'
+import { compileWhere } from './where.js'
+import { parseThrottle, createThrottle } from './ratelimit.js'
+import { formatMessage } from './formatter.js'
+
+const DEFAULT_RATE    = '1/10s'
+const WEBHOOK_TIMEOUT = 10_000
+
+// --- Compiling ---------------------------------------------------------------
+
+function compileRule(rule, i) {
+  const label = `rules[${i}]`
+  if (rule === null || typeof rule !== 'object' || Array.isArray(rule)) throw new Error(`${label}: expected an object`)
+  const name = rule.name ?? label
+
+  if (rule.topic !== undefined && typeof rule.topic !== 'string') throw new Error(`${label}: "topic" must be a topic filter string`)
+  if (rule.color !== undefined && !foregroundColorNames.includes(rule.color)) {
+    throw new Error(`${label}: invalid color "${rule.color}" (expected ${foregroundColorNames.join('|')})`)
+  }
+  if (rule.exec !== undefined && !(typeof rule.exec === 'string' && rule.exec.trim())) {
+    throw new Error(`${label}: "exec" must be a command line`)
+  }
+  if (rule.webhook !== undefined && !/^https?:$/.test(protocolOf(rule.webhook))) {
+    throw new Error(`${label}: invalid webhook URL "${rule.webhook}" (expected http:// or https://)`)
+  }
+  if (!(rule.color || rule.badge || rule.bell || rule.exec || rule.webhook)) {
+    throw new Error(`${label}: nothing to do (expected color, badge, bell, exec or webhook)`)
+  }
+
+  let rate
+  try {
+    rate = parseThrottle(rule.rate ?? DEFAULT_RATE)
+  } catch {
+    throw new Error(`${label}: invalid rate "${rule.rate}" (expected <n>/<interval>, e.g. 1/10s)`)
+  }
+
+  return {
+    name: String(name),
+    topic: rule.topic ?? null,
+    payload: compileFilter(rule.payload, `${label} payload`),
+    where: compileWhere(rule.where, `${label} where`),
+    color: rule.color ?? null,
+    badge: rule.badge !== undefined ? String(rule.badge) : null,
+    bell: Boolean(rule.bell),
+    exec: rule.exec ?? null,
+    webhook: rule.webhook ?? null,
+    rate,
+  }
+}
+
+function protocolOf(url) {
+  try {
+    return new URL(url).protocol
+  } catch {
+    return ''
+  }
+}
+
+/**
+ * Validates and compiles the "rules" config list. Throws with a user-facing
+ * message naming the rule, e.g. "rules[2]: invalid color".
+ * @returns {object[]} compiled rules, in config order
+ */
+export function compileRules(rules) {
+  if (rules === undefined) return []
+  if (!Array.isArray(rules)) throw new Error('Invalid "rules" config (expected an array)')
+  return rules.map(compileRule)
+}
+
+/**
+ * The compiled rules that match a message. The payload regex is tested
+ * against the payload text, the condition against the decoded value when a
+ * decoder applies.
+ */
+export function matchRules(rules, { topic, payload, decoded }) {
+  return rules.filter((rule) =>
+    (!rule.topic || topicMatches(rule.topic, topic)) &&
+    (!rule.payload || rule.payload.test(payload.toString())) &&
+    (!rule.where || rule.where(payload, decoded?.value)))
+}
+
+// --- Actions -----------------------------------------------------------------
+
+// Runs command through the shell with the message on stdin; its output goes to stderr
+function runCommand(command, input, env) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, { shell: true, stdio: ['pipe', 2, 2], env: { ...process.env, ...env } })
+    child.on('error', reject)
+    child.on('close', (code) => code === 0 ? resolve() : reject(new Error(`command exited with ${code ?? 'a signal'}`)))
+    child.stdin.on('error', () => {})   // the command need not read its input
+    child.stdin.end(input)
+  })
+}
+
+async function postWebhook(url, body) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT),
+  })
+  if (!res.ok) throw new Error(`webhook returned ${res.status} ${res.statusText}`)
+}
+
+// --- Runner ------------------------------------------------------------------
+
+/**
+ * Creates the rules stage for the "rules" in opts, or returns null when there
+ * are none. Throws with a user-facing message for invalid rules.
+ *
+ * The stage never drops a message. It sets msg.rule to the first matching
+ * rule with a color or badge (else the first matching rule) for
+ * formatMessage(). Its commit() fires the actions of every matching rule, so
+ * they only fire for messages the sinks took. Each rule fires at most
+ * rate.limit times per rate.interval; highlighting is not limited.
+ *
+ * Actions run in the background; their failures go to warn and never stop the tail.
+ *
+ * @param {object} opts
+ * @param {object} [options]
+ * @param {(line: string) => void} [options.log]  - one line per firing (-v)
+ * @param {(line: string) => void} [options.warn] - failed commands and webhooks
+ * @param {() => void}             [options.bell] - rings the terminal bell
+ * @returns {{ stage: { name: 'rules', run: (msg: object) => null, commit: (msg: object) => void },
+ *            rules: object[], close: () => Promise<void> } | null}
+ *          close() reports rate-limited firings and waits for running actions
+ */
+export function createRules(opts, {
+  log = () => {},
+  warn = () => {},
+  bell = () => process.stderr.write('\x07'),
+} = {}) {
+  const compiled = compileRules(opts.rules)
+  if (compiled.length === 0) return null
+
+  const limits = new Map(compiled.map((rule) => [rule, createThrottle(rule.rate, (_, count) => {
+    log(`rule "${rule.name}": ${count} firing(s) rate-limited`)
+  })]))
+  const running = new Set()
+
+  const track = (rule, what, promise) => {
+    const task = promise
+      .catch((err) => warn(`rule "${rule.name}": ${what} failed: ${err.cause?.message ?? err.message}`))
+      .finally(() => running.delete(task))
+    running.add(task)
+  }
+
+  const fire = (rule, msg) => {
+    const { topic, payload, packet, receivedAt, decoded, diff } = msg
+    const actions = [rule.bell && 'bell', rule.exec && 'exec', rule.webhook && 'webhook'].filter(Boolean)
+    if (actions.length === 0) return
+    if (!limits.get(rule).allow(rule.name)) return
+
+    log(`rule "${rule.name}" fired on ${topic}: ${actions.join(', ')}`)
+    const json = formatMessage(topic, payload, packet, { ...opts, outputJson: true, output: undefined },
+      receivedAt, decoded, diff, rule)
+
+    if (rule.bell) bell()
+    if (rule.exec) track(rule, 'command', runCommand(rule.exec, json + '\n', { MQTT_TOPIC: topic, MQTT_RULE: rule.name }))
+    if (rule.webhook) track(rule, 'webhook', postWebhook(rule.webhook, json))
+  }
+
+  const matches = new WeakMap()   // message → its matching rules, until commit()
+
+  const stage = {
+    name: 'rules',
+    run(msg) {
+      const matched = matchRules(compiled, msg)
+      msg.rule = matched.find((rule) => rule.color || rule.badge) ?? matched[0] ?? null
+      matches.set(msg, matched)
+      return null
+    },
+    commit(msg) {
+      for (const rule of matches.get(msg) ?? []) fire(rule, msg)
+      matches.delete(msg)
+    },
+  }
+
+  return {
+    stage,
+    rules: compiled,
+    async close() {
+      for (const limit of limits.values()) limit.close()
+      await Promise.all(running)
+    },
+  }
+}
@@ -0,0 +1,70 @@
+import { parseFieldPath, resolvePath } from './where.js'
+
+/**
+ * Splits a --select list on commas that are not inside quotes or brackets,
+ * so `a["x,y"],b` yields two paths.
+ */
+function splitPathList(spec) {
+  const parts = []
+  let current = ''
+  let quote   = null
+  let depth   = 0
+
+  for (let i = 0; i < spec.length; i++) {
+    const ch = spec[i]
+    if (quote) {
+      if (ch === '\\') { current += ch + (spec[++i] ?? ''); continue }
+      if (ch === quote) quote = null
+    } else if (ch === '"' || ch === "'") {
+      quote = ch
+    } else if (ch === '[') {
+      depth++
+    } else if (ch === ']') {
+      depth--
+    } else if (ch === ',' && depth === 0) {
+      parts.push(current)
+      current = ''
+      continue
+    }
+    current += ch
+  }
+  parts.push(current)
+
+  return parts.map((p) => p.trim()).filter(Boolean)
+}
+
+/**
+ * Parses a comma-separated list (or array) of field paths into
+ * [{ name, segments }], where name is the path as written.
+ * label names the option in error messages. Throws on invalid paths.
+ */
+export function parsePathList(spec, label = '--select') {
+  const list = Array.isArray(spec) ? spec.flatMap(splitPathList) : splitPathList(spec ?? '')
+  return list.map((name) => ({ name, segments: parseFieldPath(name, `${label} path "${name}"`) }))
+}
+
+/**
+ * Compiles a --select field list into a projection function.
+ *
+ * The projection maps a parsed payload to a flat object keyed by the paths as
+ * written, e.g. `a.b,c[0].d` → { "a.b": 1, "c[0].d": 2 }. Missing paths are
+ * left out. Values that are not objects or arrays (text, numbers, ...) are
+ * returned unchanged, since they have no fields to select.
+ *
+ * @param {string|string[]} spec - comma-separated list or array of paths
+ * @returns {((value: any) => any) | null} null when spec is empty
+ */
+export function compileSelect(spec) {
+  const paths = parsePathList(spec)
+  if (paths.length === 0) return null
+
+  return (value) => {
+    if (value === null || typeof value !== 'object') return value
+    const out = {}
+    for (const { name, segments } of paths) {
+      const v = resolvePath(value, segments)
+      if (v !== undefined) out[name] = v
+    }
+    return out
+  }
+}
@@ -1,5 +1,5 @@
 import { input, password, confirm, select } from '@inquirer/prompts'
-import { writeFile, access } from 'fs/promises'
+import { readFile, writeFile, access } from 'fs/promises'
 import { homedir } from 'os'
 import { join } from 'path'
 import chalk from 'chalk'
@@ -7,6 +7,13 @@ import chalk from 'chalk'
 const GLOBAL_CONFIG_PATH = join(homedir(), '.mqtttailrc.json')
 const LOCAL_ENV_PATH     = join(process.cwd(), '.env')
 
+// Config keys that describe a broker connection, moved into the "default"
+// profile by addProfile(); everything else stays shared
+const CONNECTION_KEYS = [
+  'url', 'host', 'port', 'protocol', 'wsPath', 'mqttVersion',
+  'username', 'password', 'clientId', 'tls', 'ca', 'cert', 'key',
+]
+
 async function fileExists(path) {
   try { await access(path); return true }
   catch { return false }
@@ -19,6 +26,40 @@ async function saveGlobalJson(config) {
   process.stderr.write(chalk.green('Saved ') + chalk.bold.green(GLOBAL_CONFIG_PATH) + '\n\n')
 }
 
+/**
+ * Adds or replaces one profile in a config file object, keeping everything else.
+ * The connection keys of a flat (profile-less) config are moved into the
+ * "default" profile first, so it keeps working as before; other keys such as
+ * "rules" and "decoders" stay at the top level, shared by all profiles.
+ * Exported for testing.
+ */
+export function addProfile(existing, name, config) {
+  const { profiles, ...rest } = existing
+  if (profiles) return { ...existing, profiles: { ...profiles, [name]: config } }
+
+  const connection = {}
+  const shared = {}
+  for (const [key, value] of Object.entries(rest)) {
+    if (CONNECTION_KEYS.includes(key)) connection[key] = value
+    else shared[key] = value
+  }
+  const migrated = Object.keys(connection).length > 0 ? { default: connection } : {}
+  return { ...shared, profiles: { ...migrated, [name]: config } }
+}
+
+async function saveGlobalProfile(filePath, name, config) {
+  const existing = (await fileExists(filePath))
+    ? JSON.parse(await readFile(filePath, 'utf-8'))
+    : {}
+  const next = addProfile(existing, name, config)
+
+  await writeFile(filePath, JSON.stringify(next, null, 2) + '\n', 'utf-8')
+  process.stderr.write(
+    chalk.green('Saved profile ') + chalk.bold.green(name) +
+    chalk.green(' to ') + chalk.bold.green(filePath) + '\n\n'
+  )
+}
+
 async function saveLocalEnv(config) {
   const lines = []
   if (config.host && config.host !== 'localhost') lines.push(`MQTT_HOST=${config.host}`)
@@ -34,10 +75,30 @@ async function saveLocalEnv(config) {
 
 // --- Wizard ------------------------------------------------------------------
 
+async function promptBrokerConfig() {
+  const host     = await input({ message: 'Broker host',  default: 'localhost' })
+  const port     = await input({ message: 'Broker port',  default: '1883', validate: v => /^\d+$/.test(v) || 'Must be a number' })
+  const tls      = await confirm({ message: 'Use TLS/SSL?', default: false })
+  const username = await input({ message: 'Username (blank = none)', default: '' })
+  const pwd      = username
+    ? await password({ message: 'Password', mask: '*' })
+    : ''
+
+  return {
+    host,
+    port: parseInt(port, 10),
+    ...(tls      ? { tls: true }    : {}),
+    ...(username ? { username }      : {}),
+    ...(pwd      ? { password: pwd } : {}),
+  }
+}
+
 export async function runSetupIfNeeded(cliOpts) {
   if (await fileExists(GLOBAL_CONFIG_PATH)) return
   if (await fileExists(LOCAL_ENV_PATH))     return
   if (cliOpts.username || cliOpts.password) return
+  // A broker URL names the whole connection
+  if (cliOpts.url || process.env.MQTT_URL)  return
 
   process.stderr.write(
     '\n' +
@@ -46,13 +107,7 @@ export async function runSetupIfNeeded(cliOpts) {
     '\n\n'
   )
 
-  const host     = await input({ message: 'Broker host',  default: 'localhost' })
-  const port     = await input({ message: 'Broker port',  default: '1883', validate: v => /^\d+$/.test(v) || 'Must be a number' })
-  const tls      = await confirm({ message: 'Use TLS/SSL?', default: false })
-  const username = await input({ message: 'Username (blank = none)', default: '' })
-  const pwd      = username
-    ? await password({ message: 'Password', mask: '*' })
-    : ''
+  const config = await promptBrokerConfig()
 
   const destination = await select({
     message: 'Where should the config be saved?',
@@ -64,17 +119,28 @@ export async function runSetupIfNeeded(cliOpts) {
 
   process.stderr.write('\n')
 
-  const config = {
-    host,
-    port: parseInt(port, 10),
-    ...(tls      ? { tls: true }    : {}),
-    ...(username ? { username }      : {}),
-    ...(pwd      ? { password: pwd } : {}),
-  }
-
   if (destination === 'global') {
     await saveGlobalJson(config)
   } else {
     await saveLocalEnv(config)
   }
 }
+
+/**
+ * Runs the wizard for a named profile and stores it in the JSON config file
+ * (default: ~/.mqtttailrc.json) without touching other profiles.
+ */
+export async function runProfileSetup(name, configFile) {
+  const filePath = configFile || GLOBAL_CONFIG_PATH
+
+  process.stderr.write(
+    '\n' +
+    chalk.yellow(`Set up profile "${name}".`) + ' ' +
+    chalk.dim('(Ctrl+C to cancel)') +
+    '\n\n'
+  )
+
+  const config = await promptBrokerConfig()
+  process.stderr.write('\n')
+  await saveGlobalProfile(filePath, name, config)
+}
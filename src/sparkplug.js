@@ -0,0 +1,366 @@
+// Sparkplug B: topic namespace parsing and payload decoding.
+//
+//   spBv1.0/<group_id>/<message_type>/<edge_node_id>[/<device_id>]
+//   spBv1.0/STATE/<host_id>
+//
+// Payloads are decoded with the Sparkplug B protobuf schema into metrics
+// with names, aliases, datatypes and timestamps. Metric aliases are learned
+// from NBIRTH/DBIRTH messages, so later NDATA/DDATA metrics that only carry
+// an alias get their name (and datatype) back.
+
+import { toPlain } from './decoders.js'
+
+export const SPARKPLUG_NAMESPACE = 'spBv1.0'
+
+const MESSAGE_TYPES = new Set(['NBIRTH', 'NDEATH', 'DBIRTH', 'DDEATH', 'NDATA', 'DDATA', 'NCMD', 'DCMD'])
+const DEVICE_TYPES  = new Set(['DBIRTH', 'DDEATH', 'DDATA', 'DCMD'])
+
+// Sparkplug B payload schema (org.eclipse.tahu.protobuf), without the
+// extension points, which carry nothing mqtt-tail can show.
+const SCHEMA = `
+syntax = "proto2";
+package org.eclipse.tahu.protobuf;
+
+message Payload {
+  message Template {
+    message Parameter {
+      optional string name = 1;
+      optional uint32 type = 2;
+      oneof value {
+        uint32 int_value     = 3;
+        uint64 long_value    = 4;
+        float  float_value   = 5;
+        double double_value  = 6;
+        bool   boolean_value = 7;
+        string string_value  = 8;
+      }
+    }
+    optional string    version       = 1;
+    repeated Metric    metrics       = 2;
+    repeated Parameter parameters    = 3;
+    optional string    template_ref  = 4;
+    optional bool      is_definition = 5;
+  }
+
+  message DataSet {
+    message DataSetValue {
+      oneof value {
+        uint32 int_value     = 1;
+        uint64 long_value    = 2;
+        float  float_value   = 3;
+        double double_value  = 4;
+        bool   boolean_value = 5;
+        string string_value  = 6;
+      }
+    }
+    message Row {
+      repeated DataSetValue elements = 1;
+    }
+    optional uint64 num_of_columns = 1;
+    repeated string columns        = 2;
+    repeated uint32 types          = 3;
+    repeated Row    rows           = 4;
+  }
+
+  message PropertyValue {
+    optional uint32 type    = 1;
+    optional bool   is_null = 2;
+    oneof value {
+      uint32          int_value          = 3;
+      uint64          long_value         = 4;
+      float           float_value        = 5;
+      double          double_value       = 6;
+      bool            boolean_value      = 7;
+      string          string_value       = 8;
+      PropertySet     propertyset_value  = 9;
+      PropertySetList propertysets_value = 10;
+    }
+  }
+
+  message PropertySet {
+    repeated string        keys   = 1;
+    repeated PropertyValue values = 2;
+  }
+
+  message PropertySetList {
+    repeated PropertySet propertyset = 1;
+  }
+
+  message MetaData {
+    optional bool   is_multi_part = 1;
+    optional string content_type  = 2;
+    optional uint64 size          = 3;
+    optional uint64 seq           = 4;
+    optional string file_name     = 5;
+    optional string file_type     = 6;
+    optional string md5           = 7;
+    optional string description   = 8;
+  }
+
+  message Metric {
+    optional string      name          = 1;
+    optional uint64      alias         = 2;
+    optional uint64      timestamp     = 3;
+    optional uint32      datatype      = 4;
+    optional bool        is_historical = 5;
+    optional bool        is_transient  = 6;
+    optional bool        is_null       = 7;
+    optional MetaData    metadata      = 8;
+    optional PropertySet properties    = 9;
+    oneof value {
+      uint32   int_value      = 10;
+      uint64   long_value     = 11;
+      float    float_value    = 12;
+      double   double_value   = 13;
+      bool     boolean_value  = 14;
+      string   string_value   = 15;
+      bytes    bytes_value    = 16;
+      DataSet  dataset_value  = 17;
+      Template template_value = 18;
+    }
+  }
+
+  optional uint64 timestamp = 1;
+  repeated Metric metrics   = 2;
+  optional uint64 seq       = 3;
+  optional string uuid      = 4;
+  optional bytes  body      = 5;
+}
+`
+
+/** Sparkplug B datatype names by their numeric code. */
+export const DATATYPES = [
+  'Unknown', 'Int8', 'Int16', 'Int32', 'Int64', 'UInt8', 'UInt16', 'UInt32', 'UInt64',
+  'Float', 'Double', 'Boolean', 'String', 'DateTime', 'Text', 'UUID', 'DataSet', 'Bytes',
+  'File', 'Template', 'PropertySet', 'PropertySetList', 'Int8Array', 'Int16Array',
+  'Int32Array', 'Int64Array', 'UInt8Array', 'UInt16Array', 'UInt32Array', 'UInt64Array',
+  'FloatArray', 'DoubleArray', 'BooleanArray', 'StringArray', 'DateTimeArray',
+]
+
+// --- Topics ------------------------------------------------------------------
+
+/**
+ * Parses a Sparkplug B topic into its parts. Returns null for topics outside
+ * the spBv1.0 namespace. Throws on malformed topics inside it.
+ * @returns {{ messageType: string, groupId?: string, edgeNodeId?: string,
+ *             deviceId?: string, hostId?: string } | null}
+ */
+export function parseSparkplugTopic(topic) {
+  const parts = topic.split('/')
+  if (parts[0] !== SPARKPLUG_NAMESPACE) return null
+
+  if (parts[1] === 'STATE' && parts.length === 3) {
+    return { messageType: 'STATE', hostId: parts[2] }
+  }
+
+  const [, groupId, messageType, edgeNodeId, deviceId] = parts
+  const expectedLength = DEVICE_TYPES.has(messageType) ? 5 : 4
+  if (!MESSAGE_TYPES.has(messageType) || parts.length !== expectedLength) {
+    throw new Error(`Not a Sparkplug B topic: "${topic}"`)
+  }
+
+  return deviceId === undefined
+    ? { messageType, groupId, edgeNodeId }
+    : { messageType, groupId, edgeNodeId, deviceId }
+}
+
+// --- Values ------------------------------------------------------------------
+
+function toDate(ms) {
+  const date = new Date(Number(ms))
+  return Number.isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+// Packed little-endian array datatypes: [element size, reader]
+const ARRAY_READERS = {
+  Int8Array:     [1, (buf, i) => buf.readInt8(i)],
+  Int16Array:    [2, (buf, i) => buf.readInt16LE(i)],
+  Int32Array:    [4, (buf, i) => buf.readInt32LE(i)],
+  Int64Array:    [8, (buf, i) => toPlain(buf.readBigInt64LE(i))],
+  UInt8Array:    [1, (buf, i) => buf.readUInt8(i)],
+  UInt16Array:   [2, (buf, i) => buf.readUInt16LE(i)],
+  UInt32Array:   [4, (buf, i) => buf.readUInt32LE(i)],
+  UInt64Array:   [8, (buf, i) => toPlain(buf.readBigUInt64LE(i))],
+  FloatArray:    [4, (buf, i) => buf.readFloatLE(i)],
+  DoubleArray:   [8, (buf, i) => buf.readDoubleLE(i)],
+  DateTimeArray: [8, (buf, i) => toDate(buf.readBigInt64LE(i))],
+}
+
+function decodeArray(datatype, bytes) {
+  const buf = Buffer.from(bytes)
+
+  if (datatype === 'StringArray') {
+    // Null-terminated UTF-8 strings
+    const strings = buf.toString('utf8').split('\0')
+    if (strings.at(-1) === '') strings.pop()
+    return strings
+  }
+  if (datatype === 'BooleanArray') {
+    // 4-byte little-endian count, then the values packed MSB first
+    const count = buf.readUInt32LE(0)
+    return Array.from({ length: count }, (_, i) => Boolean(buf[4 + (i >> 3)] & (0x80 >> (i & 7))))
+  }
+
+  const [size, read] = ARRAY_READERS[datatype]
+  return Array.from({ length: Math.floor(buf.length / size) }, (_, i) => read(buf, i * size))
+}
+
+/**
+ * Converts a decoded value (metric, parameter, dataset or property value) by
+ * its Sparkplug datatype. Integers narrower than 64 bits travel as uint32, so
+ * signed types are sign-extended; 64-bit values arrive as decimal strings.
+ */
+function convertValue(datatype, holder) {
+  const field = holder.value
+  if (field === undefined) return null
+  const raw = holder[field]
+
+  switch (datatype) {
+    case 'Int8':     return (raw << 24) >> 24
+    case 'Int16':    return (raw << 16) >> 16
+    case 'Int32':    return raw | 0
+    case 'Int64':    return toPlain(BigInt.asIntN(64, BigInt(raw)))
+    case 'UInt64':   return toPlain(BigInt(raw))
+    case 'DateTime': return toDate(raw)
+  }
+  if (datatype in ARRAY_READERS || datatype === 'StringArray' || datatype === 'BooleanArray') {
+    return decodeArray(datatype, raw)
+  }
+
+  switch (field) {
+    case 'longValue':         return toPlain(BigInt(raw))
+    case 'datasetValue':      return convertDataSet(raw)
+    case 'templateValue':     return convertTemplate(raw)
+    case 'propertysetValue':  return convertPropertySet(raw)
+    case 'propertysetsValue': return (raw.propertyset ?? []).map(convertPropertySet)
+  }
+  return toPlain(raw)
+}
+
+function convertDataSet(dataset) {
+  const types = (dataset.types ?? []).map((t) => DATATYPES[t] ?? 'Unknown')
+  return {
+    columns: dataset.columns ?? [],
+    types,
+    rows: (dataset.rows ?? []).map((row) =>
+      (row.elements ?? []).map((el, i) => convertValue(types[i], el))
+    ),
+  }
+}
+
+function convertTemplate(template) {
+  const out = {}
+  if (template.templateRef !== undefined)  out.templateRef  = template.templateRef
+  if (template.isDefinition !== undefined) out.isDefinition = template.isDefinition
+  if (template.version !== undefined)      out.version      = template.version
+  out.metrics = (template.metrics ?? []).map((m) => convertMetric(m, m.datatype))
+  if (template.parameters?.length) {
+    out.parameters = template.parameters.map((p) => ({
+      name: p.name,
+      type: DATATYPES[p.type] ?? 'Unknown',
+      value: convertValue(DATATYPES[p.type], p),
+    }))
+  }
+  return out
+}
+
+function convertPropertySet(set) {
+  const keys = set.keys ?? []
+  return Object.fromEntries(keys.map((key, i) => {
+    const prop = set.values?.[i] ?? {}
+    return [key, prop.isNull ? null : convertValue(DATATYPES[prop.type], prop)]
+  }))
+}
+
+/**
+ * Converts one metric. datatype is the metric's own code, or the one learned
+ * from its birth message when the metric omits it (usual in NDATA/DDATA).
+ */
+function convertMetric(metric, datatype, name = metric.name) {
+  const type = DATATYPES[datatype] ?? 'Unknown'
+  const out = {}
+  if (name !== undefined)            out.name     = name
+  if (metric.alias !== undefined)    out.alias    = toPlain(BigInt(metric.alias))
+  out.datatype = type
+  out.value    = metric.isNull ? null : convertValue(type, metric)
+  if (metric.timestamp !== undefined) out.timestamp = toDate(metric.timestamp)
+  if (metric.isHistorical)           out.historical = true
+  if (metric.isTransient)            out.transient  = true
+  if (metric.properties)             out.properties = convertPropertySet(metric.properties)
+  if (metric.metadata)               out.metadata   = toPlain(metric.metadata)
+  return out
+}
+
+// --- Decoder -----------------------------------------------------------------
+
+/**
+ * Decodes STATE messages: JSON `{ online, timestamp }` in Sparkplug 3.0,
+ * plain "ONLINE" / "OFFLINE" text in older versions.
+ */
+function decodeState(topicParts, payload) {
+  const text = payload.toString()
+  let state
+  try { state = JSON.parse(text) }
+  catch { state = { online: text.trim() === 'ONLINE' } }
+
+  const out = { ...topicParts, online: Boolean(state.online) }
+  if (state.timestamp !== undefined) out.timestamp = toDate(state.timestamp)
+  return out
+}
+
+/**
+ * Creates a Sparkplug B decoder that remembers metric aliases per edge node
+ * for the lifetime of the decoder (one mqtt-tail session). An NBIRTH starts a
+ * new node session and forgets the node's previous aliases.
+ *
+ * @returns {Promise<(topic: string, payload: Buffer) => object>}
+ *          decodes a message into { messageType, groupId, edgeNodeId, deviceId?,
+ *          timestamp?, seq?, uuid?, body?, metrics: [...] }; throws for payloads
+ *          that are not Sparkplug B
+ */
+export async function createSparkplugDecoder() {
+  const { default: protobuf } = await import('protobufjs')
+  const Payload = protobuf.parse(SCHEMA).root.lookupType('org.eclipse.tahu.protobuf.Payload')
+
+  // "group/edgeNode" -> { aliases: Map(alias -> { name, datatype }), datatypes: Map(name -> datatype) }
+  const nodes = new Map()
+
+  const nodeState = (key, reset) => {
+    if (reset || !nodes.has(key)) nodes.set(key, { aliases: new Map(), datatypes: new Map() })
+    return nodes.get(key)
+  }
+
+  return (topic, payload) => {
+    const topicParts = parseSparkplugTopic(topic)
+    if (!topicParts) throw new Error(`Not a Sparkplug B topic: "${topic}"`)
+    if (topicParts.messageType === 'STATE') return decodeState(topicParts, payload)
+
+    const message = Payload.toObject(Payload.decode(payload), { longs: String, oneofs: true })
+    const { messageType, groupId, edgeNodeId } = topicParts
+    const isBirth = messageType === 'NBIRTH' || messageType === 'DBIRTH'
+    const node    = nodeState(`${groupId}/${edgeNodeId}`, messageType === 'NBIRTH')
+
+    const metrics = (message.metrics ?? []).map((metric) => {
+      const alias = metric.alias !== undefined ? String(metric.alias) : undefined
+
+      if (isBirth) {
+        if (alias !== undefined) node.aliases.set(alias, { name: metric.name, datatype: metric.datatype })
+        if (metric.name !== undefined) node.datatypes.set(metric.name, metric.datatype)
+        return convertMetric(metric, metric.datatype)
+      }
+
+      const learned = alias !== undefined ? node.aliases.get(alias) : undefined
+      const name    = metric.name ?? learned?.name
+      const datatype = metric.datatype ?? learned?.datatype ?? node.datatypes.get(name)
+      return convertMetric(metric, datatype, name)
+    })
+
+    const out = { ...topicParts }
+    if (message.timestamp !== undefined) out.timestamp = toDate(message.timestamp)
+    if (message.seq !== undefined)       out.seq       = Number(message.seq)
+    if (message.uuid !== undefined)      out.uuid      = message.uuid
+    if (message.body !== undefined)      out.body      = toPlain(message.body)
+    out.metrics = metrics
+    return out
+  }
+}
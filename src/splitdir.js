@@ -0,0 +1,134 @@
+// --split-dir: appends each message to a file per topic, with the topic
+// levels as directories: sensors/living/temp → <dir>/sensors/living/temp.log
+//
+// Levels that are not safe file names are escaped (see encodeLevel()), and at
+// most --split-max-open files are kept open; the least recently written one
+// is closed to make room.
+
+import { closeSync, fstatSync, mkdirSync, openSync, writeSync } from 'fs'
+import { dirname, join } from 'path'
+import { stripVTControlCharacters } from 'util'
+
+const DEFAULT_MAX_OPEN = 64
+
+// --- Options -----------------------------------------------------------------
+
+/**
+ * Validates --split-dir and --split-max-open. Throws with a user-facing message.
+ * @returns {{ dir: string, maxOpen: number } | null} null without --split-dir
+ */
+export function parseSplitOptions(opts) {
+  if (!opts.splitDir) {
+    if (opts.splitMaxOpen !== undefined) throw new Error('--split-max-open needs --split-dir <dir>')
+    return null
+  }
+  if (opts.stats || opts.statsJson) throw new Error('--split-dir cannot be combined with --stats or --stats-json')
+
+  const maxOpen = Number(opts.splitMaxOpen ?? DEFAULT_MAX_OPEN)
+  if (!(Number.isInteger(maxOpen) && maxOpen >= 1)) {
+    throw new Error(`Invalid --split-max-open "${opts.splitMaxOpen}" (expected an integer >= 1)`)
+  }
+  return { dir: opts.splitDir, maxOpen }
+}
+
+/** File extension for the output format: .ndjson, .csv, .tsv or .log. */
+export function fileExtension(opts) {
+  if (opts.outputJson) return '.ndjson'
+  if (opts.output === 'csv' || opts.output === 'tsv') return `.${opts.output}`
+  return '.log'
+}
+
+// --- Topic → path ------------------------------------------------------------
+
+// Letters and digits of any script, and punctuation that is safe on all platforms
+const SAFE = /[\p{L}\p{N}_\-+=,@~$.]/u
+
+const percentEncode = (char) =>
+  [...Buffer.from(char)].map((byte) => `%${byte.toString(16).toUpperCase().padStart(2, '0')}`).join('')
+
+/**
+ * Turns a topic level into a file name. Unsafe characters, including "%"
+ * itself, are percent-encoded as UTF-8 bytes; "." and ".." are encoded
+ * completely, an empty level becomes "%", and a level ending in ext has that
+ * dot encoded so that it cannot clash with a topic's file.
+ */
+export function encodeLevel(level, ext) {
+  if (level === '') return '%'
+  if (level === '.' || level === '..') return level.replaceAll('.', '%2E')
+
+  let name = ''
+  for (const char of level) name += SAFE.test(char) ? char : percentEncode(char)
+  if (name.toLowerCase().endsWith(ext)) name = `${name.slice(0, -ext.length)}%2E${name.slice(-ext.length + 1)}`
+  return name
+}
+
+/** Path of a topic's file relative to the split directory, e.g. "a/b/c.log". */
+export function topicPath(topic, ext) {
+  return join(...topic.split('/').map((level) => encodeLevel(level, ext))) + ext
+}
+
+// --- Writer ------------------------------------------------------------------
+
+/**
+ * Creates the per-topic writer. Writes are synchronous, so a file that is
+ * closed to make room and opened again later never receives lines out of
+ * order, and nothing is left buffered on exit. Colors are stripped.
+ * Throws with a user-facing message when dir cannot be created.
+ *
+ * @param {{ dir: string, maxOpen: number }} split - from parseSplitOptions()
+ * @param {object}   options
+ * @param {string}   options.ext       - from fileExtension()
+ * @param {string}   [options.header]  - written at the top of every new file (csv / tsv)
+ * @param {Function} [options.onError] - called with errors creating or writing files (default: rethrow)
+ * @returns {{ write: (topic: string, line: string) => void, close: () => void, open: number }}
+ */
+export function createSplitWriter({ dir, maxOpen }, { ext, header = null, onError = (err) => { throw err } }) {
+  try {
+    mkdirSync(dir, { recursive: true })
+  } catch (err) {
+    throw new Error(`Cannot create ${dir}: ${err.message}`)
+  }
+  const files = new Map()   // path → fd, least recently written first
+
+  const fileFor = (topic) => {
+    const path = join(dir, topicPath(topic, ext))
+    let fd = files.get(path)
+    if (fd !== undefined) {
+      // Move to the end: most recently written
+      files.delete(path)
+      files.set(path, fd)
+      return fd
+    }
+
+    if (files.size >= maxOpen) {
+      const [oldest, oldestFd] = files.entries().next().value
+      files.delete(oldest)
+      closeSync(oldestFd)
+    }
+    mkdirSync(dirname(path), { recursive: true })
+    fd = openSync(path, 'a')
+    files.set(path, fd)
+    if (header && fstatSync(fd).size === 0) writeSync(fd, header + '\n')
+    return fd
+  }
+
+  return {
+    write(topic, line) {
+      try {
+        writeSync(fileFor(topic), stripVTControlCharacters(line) + '\n')
+      } catch (err) {
+        onError(err)
+      }
+    },
+
+    close() {
+      for (const fd of files.values()) closeSync(fd)
+      files.clear()
+    },
+
+    /** Number of files currently open. */
+    get open() {
+      return files.size
+    },
+  }
+}
@@ -0,0 +1,206 @@
+import chalk from 'chalk'
+import { formatTimestamp } from './formatter.js'
+
+const DEFAULT_INTERVAL = 5   // seconds
+
+// --- Aggregator --------------------------------------------------------------
+
+const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits
+
+/**
+ * Creates a per-topic statistics aggregator.
+ *
+ * snapshot() reports rates over the interval since the previous snapshot (or
+ * the start) and starts a new interval; summary() reports rates over the
+ * whole run. Both return:
+ *   { timestamp, interval, total: { topics, count, bytes, rate, byteRate },
+ *     topics: [{ topic, count, bytes, rate, byteRate, lastSeen, age,
+ *                minSize, avgSize, maxSize }] }
+ * with interval and age in seconds, rates per second and sizes in bytes.
+ *
+ * @param {number} [startedAt] - start time in ms (default: now)
+ * @example
+ * const stats = createStats()
+ * for await (const { topic, payload } of subscribe('#')) stats.record(topic, payload)
+ * setInterval(() => console.log(stats.snapshot()), 5000)
+ */
+export function createStats(startedAt = Date.now()) {
+  const topics = new Map()
+  let intervalStart = startedAt
+
+  function build(now, since, rateOf) {
+    const seconds = Math.max((now - since) / 1000, 0.001)
+    const rows = [...topics].map(([topic, t]) => {
+      const { count, bytes } = rateOf(t)
+      return {
+        topic,
+        count: t.count,
+        bytes: t.bytes,
+        rate: round(count / seconds),
+        byteRate: round(bytes / seconds),
+        lastSeen: new Date(t.lastAt).toISOString(),
+        age: round(Math.max(0, now - t.lastAt) / 1000, 1),
+        minSize: t.min,
+        avgSize: round(t.bytes / t.count, 1),
+        maxSize: t.max,
+      }
+    })
+
+    const total = { topics: rows.length, count: 0, bytes: 0, rate: 0, byteRate: 0 }
+    for (const t of topics.values()) {
+      const { count, bytes } = rateOf(t)
+      total.count    += t.count
+      total.bytes    += t.bytes
+      total.rate     += count
+      total.byteRate += bytes
+    }
+    total.rate     = round(total.rate / seconds)
+    total.byteRate = round(total.byteRate / seconds)
+
+    return { timestamp: new Date(now).toISOString(), interval: round(seconds, 1), total, topics: rows }
+  }
+
+  return {
+    /**
+     * Counts one message. payload is a Buffer or string (only its size is kept).
+     */
+    record(topic, payload, receivedAt = new Date()) {
+      const size = Buffer.byteLength(payload)
+      let t = topics.get(topic)
+      if (!t) {
+        t = { count: 0, bytes: 0, min: size, max: size, lastAt: 0, intervalCount: 0, intervalBytes: 0 }
+        topics.set(topic, t)
+      }
+      t.count++
+      t.bytes += size
+      t.min = Math.min(t.min, size)
+      t.max = Math.max(t.max, size)
+      t.lastAt = Math.max(t.lastAt, receivedAt.getTime())
+      t.intervalCount++
+      t.intervalBytes += size
+    },
+
+    /** Stats with rates since the previous snapshot; starts a new interval. */
+    snapshot(now = Date.now()) {
+      const result = build(now, intervalStart, (t) => ({ count: t.intervalCount, bytes: t.intervalBytes }))
+      for (const t of topics.values()) { t.intervalCount = 0; t.intervalBytes = 0 }
+      intervalStart = now
+      return result
+    },
+
+    /** Stats with rates averaged over the whole run. */
+    summary(now = Date.now()) {
+      return build(now, startedAt, (t) => ({ count: t.count, bytes: t.bytes }))
+    },
+  }
+}
+
+// --- Table -------------------------------------------------------------------
+
+/**
+ * Human-readable byte count: 512B, 1.5KB, 3.2MB.
+ */
+export function formatBytes(n) {
+  if (n < 1024)        return `${Math.round(n)}B`
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)}KB`
+  return `${(n / 1024 / 1024).toFixed(1)}MB`
+}
+
+function formatSeconds(sec) {
+  if (sec < 60)   return `${Math.floor(sec)}s`
+  if (sec < 3600) return `${Math.floor(sec / 60)}m`
+  return `${Math.floor(sec / 3600)}h`
+}
+
+const COLUMNS = [
+  ['MSG/S', (t) => t.rate.toFixed(1)],
+  ['B/S',   (t) => formatBytes(t.byteRate)],
+  ['TOTAL', (t) => String(t.count)],
+  ['LAST',  (t) => formatSeconds(t.age)],
+  ['MIN',   (t) => formatBytes(t.minSize)],
+  ['AVG',   (t) => formatBytes(t.avgSize)],
+  ['MAX',   (t) => formatBytes(t.maxSize)],
+]
+
+/**
+ * Renders a snapshot (or summary) as a table, busiest topics first.
+ * @param {object} stats - result of snapshot() / summary()
+ * @param {object} [options] - title: first line label; maxRows: topic rows to show
+ */
+export function formatStatsTable(stats, { title = 'stats', maxRows = Infinity } = {}) {
+  const { total } = stats
+  const header = [
+    chalk.bold(`mqtt-tail ${title}`),
+    chalk.dim(`${formatTimestamp('local', new Date(stats.timestamp))}  (${stats.interval}s)`),
+    `${total.topics} topics`,
+    `${total.count} msgs`,
+    `${total.rate.toFixed(1)} msg/s`,
+    `${formatBytes(total.byteRate)}/s`,
+  ].join('  ')
+
+  const sorted = [...stats.topics].sort((a, b) => b.rate - a.rate || b.count - a.count || a.topic.localeCompare(b.topic))
+  const shown  = sorted.slice(0, maxRows)
+
+  const cells = shown.map((t) => COLUMNS.map(([, cell]) => cell(t)))
+  const widths = COLUMNS.map(([name], i) => Math.max(name.length, ...cells.map((row) => row[i].length)))
+  const topicWidth = Math.max(5, ...shown.map((t) => t.topic.length))
+
+  const line = (topic, values) => topic.padEnd(topicWidth) + values.map((v, i) => '  ' + v.padStart(widths[i])).join('')
+
+  const lines = [header, chalk.dim(line('TOPIC', COLUMNS.map(([name]) => name)))]
+  shown.forEach((t, i) => lines.push(line(t.topic, cells[i])))
+  if (sorted.length > shown.length) lines.push(chalk.dim(`… ${sorted.length - shown.length} more topics`))
+  return lines.join('\n')
+}
+
+// --- CLI reporter ------------------------------------------------------------
+
+/**
+ * Parses --stats-interval (seconds, default 5) into ms.
+ */
+export function parseStatsInterval(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_INTERVAL * 1000
+  const seconds = Number(value)
+  if (!(seconds > 0) || !Number.isFinite(seconds)) {
+    throw new Error(`Invalid stats interval "${value}" (expected seconds > 0)`)
+  }
+  return seconds * 1000
+}
+
+/**
+ * CLI side of --stats / --stats-json: collects messages and writes tables
+ * and/or NDJSON snapshots every --stats-interval seconds. The table goes to
+ * stdout, or to stderr when --stats-json takes stdout. Throws on an invalid interval.
+ * @returns {{ record: Function, finish: Function }} finish() stops the timers
+ *          and writes the final summary
+ */
+export function createStatsReporter(opts) {
+  const every   = parseStatsInterval(opts.statsInterval)
+  const table   = opts.stats ? createStats() : null
+  const json    = opts.statsJson ? createStats() : null
+  const tableTo = opts.statsJson ? process.stderr : process.stdout
+  const timers  = []
+
+  const writeTable = (stats, title) => {
+    // Redraw in place on a terminal, append otherwise
+    const clear = tableTo.isTTY ? '\x1b[H\x1b[2J' : ''
+    const maxRows = tableTo.isTTY && tableTo.rows ? Math.max(1, tableTo.rows - 4) : Infinity
+    tableTo.write(clear + formatStatsTable(stats, { title, maxRows }) + '\n\n')
+  }
+
+  if (table) timers.push(setInterval(() => writeTable(table.snapshot(), 'stats'), every))
+  if (json)  timers.push(setInterval(() => process.stdout.write(JSON.stringify(json.snapshot()) + '\n'), every))
+
+  return {
+    record(topic, payload, receivedAt) {
+      table?.record(topic, payload, receivedAt)
+      json?.record(topic, payload, receivedAt)
+    },
+
+    finish() {
+      timers.forEach(clearInterval)
+      if (table) writeTable(table.summary(), 'summary')
+      if (json)  process.stdout.write(JSON.stringify({ ...json.summary(), final: true }) + '\n')
+    },
+  }
+}
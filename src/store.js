@@ -0,0 +1,101 @@
+// On-disk packet store (--store) for persistent sessions: keeps QoS 1/2
+// packets that are still in flight across restarts of mqtt-tail.
+//
+// Implements the mqtt.js Store interface (put / get / del / createStream /
+// close). Each store is a JSON file that is rewritten on every change, which
+// is fine for the handful of packets a tail has in flight at a time.
+
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs'
+import { join } from 'path'
+import { Readable } from 'stream'
+
+// Buffers (payloads, correlation data) serialize as { type: 'Buffer', data: [...] }
+function reviveBuffers(key, value) {
+  return value?.type === 'Buffer' && Array.isArray(value.data) ? Buffer.from(value.data) : value
+}
+
+function readPackets(file) {
+  let text
+  try {
+    text = readFileSync(file, 'utf8')
+  } catch (err) {
+    if (err.code === 'ENOENT') return []
+    throw new Error(`Cannot read packet store ${file}: ${err.message}`)
+  }
+  try {
+    return JSON.parse(text, reviveBuffers)
+  } catch (err) {
+    throw new Error(`Invalid packet store ${file}: ${err.message}`)
+  }
+}
+
+/**
+ * Creates an mqtt.js-compatible store backed by a JSON file, loading the
+ * packets left by a previous run. Throws when the file cannot be read.
+ * @param {string} file
+ */
+export function createFileStore(file) {
+  const packets = new Map(readPackets(file).map((p) => [p.messageId, p]))
+
+  // Write to a temp file first, so a crash never leaves a truncated store
+  const save = () => {
+    writeFileSync(`${file}.tmp`, JSON.stringify([...packets.values()]))
+    renameSync(`${file}.tmp`, file)
+  }
+
+  const missing = () => new Error('missing packet')
+
+  return {
+    put(packet, cb) {
+      packets.set(packet.messageId, packet)
+      try { save() } catch (err) { cb?.(err); return this }
+      cb?.()
+      return this
+    },
+
+    get(packet, cb) {
+      const stored = packets.get(packet.messageId)
+      stored ? cb(null, stored) : cb?.(missing())
+      return this
+    },
+
+    del(packet, cb) {
+      const stored = packets.get(packet.messageId)
+      if (!stored) { cb?.(missing()); return this }
+      packets.delete(packet.messageId)
+      try { save() } catch (err) { cb?.(err); return this }
+      cb?.(null, stored)
+      return this
+    },
+
+    createStream() {
+      return Readable.from([...packets.values()])
+    },
+
+    close(cb) {
+      cb?.()
+    },
+
+    /** Number of packets currently stored. */
+    get size() {
+      return packets.size
+    },
+  }
+}
+
+/**
+ * Opens the incoming and outgoing stores in dir (created if needed), as the
+ * incomingStore / outgoingStore connect options of mqtt.js.
+ * Throws with a user-facing message.
+ */
+export function openPacketStores(dir) {
+  try {
+    mkdirSync(dir, { recursive: true })
+  } catch (err) {
+    throw new Error(`Cannot create packet store directory ${dir}: ${err.message}`)
+  }
+  return {
+    incomingStore: createFileStore(join(dir, 'incoming.json')),
+    outgoingStore: createFileStore(join(dir, 'outgoing.json')),
+  }
+}
@@ -1,7 +1,17 @@
 import { readFile } from 'fs/promises'
-import { connect as mqttConnect } from 'mqtt'
+import { createHash } from 'crypto'
+import { hostname, userInfo } from 'os'
 import chalk from 'chalk'
-import { formatMessage, colorTopic } from './formatter.js'
+import { formatMessage, formatHeader, formatSuppressed, checkOutputOptions, colorTopic } from './formatter.js'
+import { createRecorder } from './recording.js'
+import { parseOutOptions, createLogFile } from './logfile.js'
+import { parseSplitOptions, fileExtension, createSplitWriter } from './splitdir.js'
+import { createStatsReporter } from './stats.js'
+import { parseDuration } from './ratelimit.js'
+import { openPacketStores } from './store.js'
+import { parseReconnectPolicy } from './reconnect.js'
+import { parseQos, createPipeline } from './pipeline.js'
+import { createRules } from './rules.js'
 
 // --- Debug logger ------------------------------------------------------------
 
@@ -13,18 +23,109 @@ function dbg(opts, msg) {
 
 // --- Builders ----------------------------------------------------------------
 
+const DEFAULT_PORTS = { mqtt: 1883, mqtts: 8883, ws: 80, wss: 443 }
+
+/** Plain protocols and the TLS variant they upgrade to when TLS options are set. */
+const SECURE_VARIANT = { mqtt: 'mqtts', ws: 'wss' }
+
+function usesTlsFiles(opts) {
+  return Boolean(opts.tls || opts.ca || opts.cert || opts.key)
+}
+
+/**
+ * Resolves the broker transport protocol.
+ * An explicit protocol wins; --tls / --ca / --cert / --key upgrade mqtt → mqtts
+ * and ws → wss. Throws on unknown protocols.
+ */
+export function resolveProtocol(opts) {
+  const protocol = (opts.protocol || 'mqtt').toLowerCase()
+  if (!(protocol in DEFAULT_PORTS)) {
+    throw new Error(`Invalid protocol "${opts.protocol}" (expected mqtt|mqtts|ws|wss)`)
+  }
+  return usesTlsFiles(opts) ? (SECURE_VARIANT[protocol] ?? protocol) : protocol
+}
+
+/**
+ * Parses the MQTT protocol version (3 = 3.1, 4 = 3.1.1, 5 = 5.0).
+ * Returns undefined when unset so mqtt.js keeps its default. Throws on other values.
+ */
+export function parseMqttVersion(value) {
+  if (value === undefined || value === null || value === '') return undefined
+  const version = parseInt(value, 10)
+  if (![3, 4, 5].includes(version)) {
+    throw new Error(`Invalid MQTT version "${value}" (expected 3|4|5)`)
+  }
+  return version
+}
+
+const DEFAULT_SESSION_EXPIRY = 86_400       // seconds the broker keeps an MQTT 5 session
+const NEVER_EXPIRE           = 0xffffffff
+
+/**
+ * Client ID for --persistent without --client-id: the same on every run for
+ * this machine, OS user and config profile, so the broker finds the session again.
+ */
+export function stableClientId(opts) {
+  let user
+  try { user = userInfo().username } catch { user = process.env.USER ?? '' }
+  const hash = createHash('sha1').update([hostname(), user, opts.profile ?? ''].join('\0')).digest('hex')
+  return `mqtt-tail-${hash.slice(0, 8)}`
+}
+
+/**
+ * Parses --session-expiry (a duration such as 1h, or "never") into seconds.
+ * Defaults to one day. Throws on invalid values.
+ */
+export function parseSessionExpiry(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_SESSION_EXPIRY
+  if (value === 'never') return NEVER_EXPIRE
+  const seconds = Math.ceil(parseDuration(value, '--session-expiry') / 1000)
+  return Math.min(seconds, NEVER_EXPIRE - 1)
+}
+
+/**
+ * Applies --persistent, --session-expiry and --store to the connect options:
+ * no clean session, a stable client ID, the MQTT 5 session expiry and the
+ * on-disk packet stores. Throws on options that need --persistent or MQTT 5.
+ */
+function applySessionOptions(connectOpts, opts) {
+  if (!opts.persistent) {
+    if (opts.sessionExpiry !== undefined) throw new Error('--session-expiry needs --persistent')
+    if (opts.store)                       throw new Error('--store needs --persistent')
+    return
+  }
+
+  connectOpts.clean    = false
+  connectOpts.clientId = opts.clientId || stableClientId(opts)
+
+  // MQTT 5 ends the session on disconnect unless it has an expiry interval
+  if (connectOpts.protocolVersion === 5) {
+    connectOpts.properties = { sessionExpiryInterval: parseSessionExpiry(opts.sessionExpiry) }
+  } else if (opts.sessionExpiry !== undefined) {
+    throw new Error('--session-expiry needs --mqtt-version 5')
+  }
+
+  if (opts.store) Object.assign(connectOpts, openPacketStores(opts.store))
+}
+
 export async function buildConnectOptions(opts) {
   const connectOpts = {
     clientId: opts.clientId || `mqtt-tail-${Math.random().toString(16).slice(2, 8)}`,
     clean: true,
-    reconnectPeriod: 2000,
+    reconnectPeriod: 0,   // reconnects are scheduled by createReconnector() (backoff)
     connectTimeout: 10_000,
   }
 
+  const protocolVersion = parseMqttVersion(opts.mqttVersion)
+  if (protocolVersion) connectOpts.protocolVersion = protocolVersion
+
+  applySessionOptions(connectOpts, opts)
+
   if (opts.username) connectOpts.username = opts.username
   if (opts.password) connectOpts.password = opts.password
 
-  if (opts.tls || opts.ca || opts.cert || opts.key) {
+  const protocol = resolveProtocol(opts)
+  if (protocol === 'mqtts' || protocol === 'wss') {
     connectOpts.rejectUnauthorized = true
     if (opts.ca)   connectOpts.ca   = await readFile(opts.ca)
     if (opts.cert) connectOpts.cert = await readFile(opts.cert)
@@ -35,40 +136,84 @@ export async function buildConnectOptions(opts) {
 }
 
 export function buildBrokerUrl(opts) {
-  const protocol = opts.tls || opts.ca || opts.cert || opts.key ? 'mqtts' : 'mqtt'
+  const protocol = resolveProtocol(opts)
   const host = opts.host || 'localhost'
-  const port = opts.port || (protocol === 'mqtts' ? 8883 : 1883)
+  const port = opts.port || DEFAULT_PORTS[protocol]
+  if (protocol === 'ws' || protocol === 'wss') {
+    const path = opts.wsPath || '/mqtt'
+    return `${protocol}://${host}:${port}${path.startsWith('/') ? path : '/' + path}`
+  }
   return `${protocol}://${host}:${port}`
 }
 
-export function compileFilter(pattern, label) {
-  if (!pattern) return null
-  try {
-    return new RegExp(pattern)
-  } catch (err) {
-    process.stderr.write(chalk.red(`Invalid ${label} regex "${pattern}": ${err.message}\n`))
-    process.exit(1)
-  }
-}
+// The message filters live in the shared pipeline; re-exported for existing imports
+export { compileFilter, buildMessageFilter } from './pipeline.js'
 
 // --- Main --------------------------------------------------------------------
 
 export async function connect(topics, opts) {
   dbg(opts, 'building broker URL')
-  const brokerUrl = buildBrokerUrl(opts)
-
-  dbg(opts, 'building connect options')
-  const connectOpts = await buildConnectOptions(opts)
+  let brokerUrl, connectOpts, policy, qos, stats, out, outFile, split, splitWriter, rules, pipeline
+  try {
+    brokerUrl = buildBrokerUrl(opts)
+    dbg(opts, 'building connect options')
+    connectOpts = await buildConnectOptions(opts)
+    policy = parseReconnectPolicy(opts)
+    qos = parseQos(opts.qos)
+    checkOutputOptions(opts)
+    out = parseOutOptions(opts)
+    split = parseSplitOptions(opts)
+    // --stats / --stats-json replace the message output
+    stats = opts.stats || opts.statsJson ? createStatsReporter(opts) : null
+    // Config "rules": highlighting and alerts, last so that only shown messages fire
+    rules = createRules(opts, {
+      log:  (line) => dbg(opts, line),
+      warn: (line) => process.stderr.write(chalk.yellow(`${line}\n`)),
+    })
+    pipeline = await createPipeline(opts, { stages: rules ? [rules.stage] : [], sinks: [(msg) => output(msg)], hooks: {
+      onReceive:      (msg) => receive(msg),
+      onDrop:         (msg, reason) => drop(msg, reason),
+      onDeliver:      (msg, total) => delivered(total),
+      onLimit:        () => limitReached(),
+      onSuppressed:   (topic, count) => suppressed(topic, count),
+      onConnect:      (connack, subscribed) => connected(connack, subscribed),
+      onReconnecting: (info) => reconnecting(info),
+      onGiveUp:       (info) => gaveUp(info),
+    } })
+    // --out: messages go to the (rotating) file instead of stdout; a failed
+    // rotation only warns, a failed write ends the tail after flushing what it can
+    outFile = out ? createLogFile(out, {
+      header: formatHeader(opts),
+      onError: (err) => {
+        process.stderr.write(chalk.red(`Cannot write ${out.path}: ${err.message}\n`))
+        exit(1)
+      },
+      onWarning: (err) => process.stderr.write(chalk.yellow(`${err.message}\n`)),
+    }) : null
+    // --split-dir: one file per topic, also instead of stdout
+    splitWriter = split ? createSplitWriter(split, { ext: fileExtension(opts), header: formatHeader(opts), onError: (err) => {
+      process.stderr.write(chalk.red(`Cannot write to ${split.dir}: ${err.message}\n`))
+      exit(1)
+    } }) : null
+  } catch (err) {
+    process.stderr.write(chalk.red(`${err.message}\n`))
+    process.exit(1)
+  }
 
-  const qos = parseInt(opts.qos ?? 0, 10)
-  const topicFilter   = compileFilter(opts.filter, '--filter')
-  const payloadFilter = compileFilter(opts.payloadFilter, '--payload-filter')
+  if (opts.persistent && qos === 0) {
+    process.stderr.write(chalk.yellow('--persistent with QoS 0: brokers only queue QoS 1/2 messages for offline sessions (use -q 1)\n'))
+  }
+  const recorder = opts.record ? createRecorder(opts.record, (err) => {
+    process.stderr.write(chalk.red(`Cannot write recording ${opts.record}: ${err.message}\n`))
+    process.exit(1)
+  }) : null
 
   let messageCount   = 0
   let reconnectCount = 0
   let everConnected  = false   // true after first successful connect
   let offlineShown   = false   // suppress repeated offline messages
-  const maxMessages  = opts.count ? parseInt(opts.count, 10) : Infinity
+  let sessionPresent = false   // --persistent: broker kept our session
+  let queuedCount    = null    // --persistent: messages received before the subscription was confirmed
 
   const authLabel = connectOpts.username ? `user="${connectOpts.username}"` : 'none'
 
@@ -76,20 +221,56 @@ export async function connect(topics, opts) {
   dbg(opts, `client ID  : ${connectOpts.clientId}`)
   dbg(opts, `auth       : ${authLabel}`)
   dbg(opts, `tls        : ${connectOpts.rejectUnauthorized ? 'yes' : 'no'}`)
+  dbg(opts, `mqtt       : v${connectOpts.protocolVersion ?? 4}`)
+  dbg(opts, `reconnect  : ${policy.delay}ms..${policy.maxDelay}ms  jitter=${policy.jitter}  attempts=${policy.attempts}`)
+  if (opts.persistent) {
+    const expiry = connectOpts.properties?.sessionExpiryInterval
+    dbg(opts, `session    : persistent${expiry !== undefined ? `  expiry=${expiry}s` : ''}`)
+    if (opts.store) dbg(opts, `store      : ${opts.store} (${connectOpts.incomingStore.size} incoming, ${connectOpts.outgoingStore.size} outgoing in flight)`)
+  }
   dbg(opts, `topics     : ${topics.join(', ')} (QoS ${qos})`)
-  dbg(opts, `filters    : topic=${opts.filter || 'none'}  payload=${opts.payloadFilter || 'none'}`)
+  dbg(opts, `filters    : topic=${opts.filter || 'none'}  payload=${opts.payloadFilter || 'none'}  where=${opts.where || 'none'}`)
+  if (pipeline.stages.includes('decode')) {
+    const decoders = [opts.sparkplug && 'sparkplug', opts.decode || (opts.decoders && `${opts.decoders.length} config rule(s)`)]
+    dbg(opts, `decode     : ${decoders.filter(Boolean).join(', ')}`)
+  }
+  dbg(opts, `stages     : ${pipeline.stages.join(' → ')}`)
+  if (rules) dbg(opts, `rules      : ${rules.rules.map((rule) => rule.name).join(', ')}`)
+  if (recorder) dbg(opts, `recording  : ${opts.record}`)
+  if (out) {
+    const rotation = out.rotate ? `  rotate=${opts.rotate}  keep=${out.keep}  gzip=${out.gzip ? 'yes' : 'no'}` : ''
+    dbg(opts, `out        : ${out.path}${rotation}`)
+  }
+  if (split) dbg(opts, `split dir  : ${split.dir}  max open=${split.maxOpen}`)
   dbg(opts, `resolved opts (no password): ${JSON.stringify({ ...opts, password: opts.password ? '***' : undefined }, null, 2)}`)
-  dbg(opts, 'calling mqttConnect()...')
+  dbg(opts, 'connecting...')
 
   const asUser = connectOpts.username ? chalk.dim(` as ${connectOpts.username}`) : ''
   process.stderr.write(chalk.dim(`Connecting to ${brokerUrl}${asUser}...\n`))
 
-  const client = mqttConnect(brokerUrl, connectOpts)
+  const subscriptions = new Map(topics.map((t) => [t, qos]))
+  const client = pipeline.connect({ brokerUrl, connectOpts, policy, subscriptions })
+
+  // --out and --split-dir take the message output off stdout
+  const toStdout = !outFile && !splitWriter
+
+  // Writes a line of message output to stdout, or to the --out file
+  const print = (line, at = new Date()) => {
+    if (outFile) outFile.write(line, at)
+    else process.stdout.write(line + '\n')
+  }
+
+  // --output-json: connection state changes as structured lines between the messages
+  const emitState = (event, fields = {}) => {
+    if (!opts.outputJson) return
+    print(JSON.stringify({ event, timestamp: new Date().toISOString(), broker: brokerUrl, ...fields }))
+  }
 
   // --- connect ---------------------------------------------------------------
 
-  client.on('connect', (connack) => {
+  function connected(connack, subscribed) {
     dbg(opts, `connect event  sessionPresent=${connack.sessionPresent}  returnCode=${connack.returnCode}`)
+    emitState('connected', { sessionPresent: connack.sessionPresent })
 
     if (everConnected) {
       // Came back after a drop
@@ -98,24 +279,39 @@ export async function connect(topics, opts) {
       process.stderr.write(chalk.green(`Connected to ${brokerUrl}\n`))
     }
 
+    // Persistent session: the broker delivers what it queued for us right
+    // away, so messages that arrive before the subscription is confirmed count as queued
+    if (opts.persistent) {
+      if (!connack.sessionPresent && everConnected) {
+        process.stderr.write(chalk.yellow('Session was not resumed; messages published while disconnected are lost\n'))
+      }
+      sessionPresent = connack.sessionPresent
+      queuedCount    = 0
+    }
+
     everConnected = true
     offlineShown  = false
 
-    const subscribeTopics = Object.fromEntries(topics.map((t) => [t, { qos }]))
-    dbg(opts, `subscribing to: ${Object.keys(subscribeTopics).join(', ')}`)
+    dbg(opts, `subscribing to: ${topics.join(', ')}`)
 
-    client.subscribe(subscribeTopics, (err, granted) => {
-      if (err) {
-        process.stderr.write(chalk.red(`Subscribe error: ${err.message}\n`))
-        process.exit(1)
-      }
+    subscribed.then((granted) => {
       for (const { topic, qos: grantedQos } of granted) {
         dbg(opts, `subscribed     ${colorTopic(topic)} (QoS ${grantedQos})`)
         process.stderr.write(chalk.dim(`  watching ${colorTopic(topic)} (QoS ${grantedQos})\n`))
       }
+      if (opts.persistent && opts.verbose) {
+        const session = sessionPresent
+          ? `session resumed (sessionPresent: true), ${queuedCount} queued message${queuedCount === 1 ? '' : 's'} received`
+          : 'new session (sessionPresent: false)'
+        process.stderr.write(chalk.dim(`  ${session}\n`))
+      }
+      queuedCount = null
       process.stderr.write('\n')
+    }, (err) => {
+      process.stderr.write(chalk.red(`Subscribe error: ${err.message}\n`))
+      process.exit(1)
     })
-  })
+  }
 
   // --- reconnect -------------------------------------------------------------
 
@@ -135,7 +331,7 @@ export async function connect(topics, opts) {
     }
   })
 
-  // --- close / disconnect / offline ------------------------------------------
+  // --- close / disconnect / reconnect backoff --------------------------------
 
   client.on('close', () => {
     dbg(opts, 'close event  (connection closed)')
@@ -145,55 +341,110 @@ export async function connect(topics, opts) {
     dbg(opts, `disconnect packet received  reasonCode=${packet.reasonCode ?? 'n/a'}`)
   })
 
-  client.on('offline', () => {
-    dbg(opts, 'offline event  (network unreachable or broker gone)')
-    if (!offlineShown) {
-      offlineShown = true
-      const action = chalk.dim('retrying every 2s  (Ctrl+C to quit)')
-      if (everConnected) {
-        process.stderr.write(chalk.yellow(`Lost connection to ${brokerUrl}  ${action}\n`))
-      } else {
-        process.stderr.write(chalk.yellow(`Cannot reach ${brokerUrl}  ${action}\n`))
-      }
+  // Reports the start of an outage once; true the first time
+  const markOffline = () => {
+    if (offlineShown) return false
+    offlineShown = true
+    dbg(opts, 'offline  (network unreachable or broker gone)')
+    emitState('offline')
+    return true
+  }
+
+  function reconnecting({ attempt, delay }) {
+    if (markOffline()) {
+      const limit  = policy.attempts < Infinity ? `, up to ${policy.attempts} attempts` : ''
+      const action = chalk.dim(`reconnecting${limit}  (Ctrl+C to quit)`)
+      const what   = everConnected ? 'Lost connection to' : 'Cannot reach'
+      process.stderr.write(chalk.yellow(`${what} ${brokerUrl}  ${action}\n`))
     }
-  })
+    dbg(opts, `reconnect attempt #${attempt} in ${delay}ms`)
+    emitState('reconnecting', { attempt, delay })
+  }
+
+  function gaveUp({ attempts }) {
+    markOffline()
+    emitState('gave_up', { attempts })
+    const what   = everConnected ? 'Lost connection to' : 'Cannot reach'
+    const reason = opts.failFast ? '--fail-fast' : `after ${attempts} reconnect attempt${attempts === 1 ? '' : 's'}`
+    process.stderr.write(chalk.red(`${what} ${brokerUrl}, giving up (${reason})\n`))
+    exit(1)
+  }
 
   // --- message ---------------------------------------------------------------
 
-  client.on('message', (topic, payload, packet) => {
+  function receive({ topic, payload, packet }) {
     dbg(opts, `message  topic="${topic}"  size=${payload.length}B  qos=${packet.qos}  retain=${packet.retain}`)
+    if (queuedCount !== null) queuedCount++
+  }
 
-    if (opts.retained === false && packet.retain) {
-      dbg(opts, '  -> dropped (retained)')
-      return
-    }
-    if (topicFilter && !topicFilter.test(topic)) {
-      dbg(opts, '  -> dropped (topic filter)')
-      return
-    }
-    if (payloadFilter && !payloadFilter.test(payload.toString())) {
-      dbg(opts, '  -> dropped (payload filter)')
-      return
-    }
+  function logDecodeError({ decoded }) {
+    if (decoded?.error) dbg(opts, `  -> ${decoded.decoder} decode failed: ${decoded.error.message}`)
+  }
 
-    const output = formatMessage(topic, payload, packet, opts)
-    process.stdout.write(output + '\n')
+  function drop(msg, reason) {
+    logDecodeError(msg)
+    dbg(opts, `  -> dropped (${reason})`)
+  }
 
-    messageCount++
-    dbg(opts, `  -> printed  (total: ${messageCount})`)
+  // Suppressed markers go to stderr when the output is meant for machines or split per topic
+  function suppressed(topic, count) {
+    const machine = opts.outputJson || opts.output || opts.raw || stats
+    if (machine || (splitWriter && !outFile)) process.stderr.write(formatSuppressed(topic, count) + '\n')
+    else print(formatSuppressed(topic, count))
+  }
 
-    if (messageCount >= maxMessages) {
-      dbg(opts, `message limit reached (${maxMessages}), disconnecting`)
-      client.end(false, {}, () => process.exit(0))
+  function output(msg) {
+    const { topic, payload, packet, receivedAt, decoded, diff, rule } = msg
+    logDecodeError(msg)
+    recorder?.write(topic, payload, packet, receivedAt)
+
+    if (stats) {
+      stats.record(topic, payload, receivedAt)
+    } else {
+      // CSV / TSV header goes right before the first row (files write their own)
+      const header = messageCount === 0 && toStdout ? formatHeader(opts) : null
+      if (header) process.stdout.write(header + '\n')
+
+      const line = formatMessage(topic, payload, packet, opts, receivedAt, decoded, diff, rule)
+      splitWriter?.write(topic, line)
+      if (!splitWriter || outFile) print(line, receivedAt)
     }
-  })
+  }
+
+  function delivered(total) {
+    messageCount = total
+    dbg(opts, `  -> ${stats ? 'counted' : 'printed'}  (total: ${messageCount})`)
+  }
+
+  function limitReached() {
+    dbg(opts, `message limit reached (${messageCount}), disconnecting`)
+    client.end(false, {}, () => exit())
+  }
 
   // --- graceful shutdown -----------------------------------------------------
 
+  // Prints pending throttle markers and the final stats summary, flushes
+  // the recording and the output files (if any) and waits for running rule
+  // actions before leaving. Later calls (e.g. a write error while shutting
+  // down) wait for the first one
+  let exiting = false
+  const exit = async (code = 0) => {
+    if (exiting) return
+    exiting = true
+    pipeline.close()
+    stats?.finish()
+    if (rules) await rules.close()
+    if (recorder) await recorder.close()
+    if (outFile) await outFile.close()
+    splitWriter?.close()
+    process.exit(code)
+  }
+
   const shutdown = () => {
     dbg(opts, 'shutdown signal received')
     process.stderr.write(chalk.dim('\nDisconnecting...\n'))
-    client.end(false, {}, () => process.exit(0))
+    pipeline.close()
+    client.end(false, {}, () => exit())
   }
 
   process.on('SIGINT', shutdown)
@@ -0,0 +1,281 @@
+// --where expressions: a small, safe condition language over JSON payloads.
+//
+//   temperature > 30
+//   status == 'error' and not exists ack
+//   readings[0].value >= 10 || (mode != "auto" && $.device.online)
+//
+// Grammar (lowest to highest precedence):
+//   or         := and  ( ('or'  | '||') and )*
+//   and        := unary ( ('and' | '&&') unary )*
+//   unary      := ('not' | '!') unary | comparison
+//   comparison := operand ( ('==' | '!=' | '<' | '<=' | '>' | '>=') operand )?
+//   operand    := literal | path | 'exists' path | '(' or ')'
+//   path       := ('$' | name | index) ( '.' name | index )*
+//   index      := '[' (number | string) ']'
+//   literal    := number | 'string' | "string" | true | false | null
+//
+// Nothing is ever evaluated as JavaScript; expressions only read values.
+
+const KEYWORDS = new Set(['and', 'or', 'not', 'exists', 'true', 'false', 'null'])
+const COMPARISONS = new Set(['==', '!=', '<', '<=', '>', '>='])
+
+// --- Tokenizer ---------------------------------------------------------------
+
+function syntaxError(label, msg, pos) {
+  return new Error(`Invalid ${label} at position ${pos + 1}: ${msg}`)
+}
+
+function tokenize(src, label) {
+  const syntaxErrorAt = (msg, pos) => syntaxError(label, msg, pos)
+  const tokens = []
+  let i = 0
+
+  while (i < src.length) {
+    const ch = src[i]
+
+    if (/\s/.test(ch)) { i++; continue }
+
+    // String literal with backslash escapes
+    if (ch === '"' || ch === "'") {
+      let value = ''
+      let j = i + 1
+      while (j < src.length && src[j] !== ch) {
+        if (src[j] === '\\' && j + 1 < src.length) j++
+        value += src[j]
+        j++
+      }
+      if (j >= src.length) throw syntaxErrorAt('unterminated string', i)
+      tokens.push({ type: 'string', value, pos: i })
+      i = j + 1
+      continue
+    }
+
+    const num = src.slice(i).match(/^-?\d+(\.\d+)?([eE][+-]?\d+)?/)
+    if (num) {
+      tokens.push({ type: 'number', value: Number(num[0]), pos: i })
+      i += num[0].length
+      continue
+    }
+
+    // Names may contain "-" (device-id) but must not start with it
+    const name = src.slice(i).match(/^[A-Za-z_$][\w$-]*/)
+    if (name) {
+      const word = name[0]
+      tokens.push(KEYWORDS.has(word) ? { type: word, pos: i } : { type: 'name', value: word, pos: i })
+      i += word.length
+      continue
+    }
+
+    const op = src.slice(i).match(/^(==|!=|<=|>=|&&|\|\||[<>!()[\].])/)
+    if (op) {
+      tokens.push({ type: op[0], pos: i })
+      i += op[0].length
+      continue
+    }
+
+    throw syntaxErrorAt(`unexpected character "${ch}"`, i)
+  }
+
+  tokens.push({ type: 'end', pos: src.length })
+  return tokens
+}
+
+// --- Parser ------------------------------------------------------------------
+
+/**
+ * Parses src starting at the given grammar rule ('or' or 'path').
+ * label names the input in error messages.
+ */
+function parse(src, label, rule) {
+  const tokens = tokenize(src, label)
+  let pos = 0
+
+  const syntaxErrorAt = (msg, at) => syntaxError(label, msg, at)
+  const peek = () => tokens[pos]
+  const next = () => tokens[pos++]
+  const accept = (...types) => (types.includes(peek().type) ? next() : null)
+  const expect = (type, what) => {
+    const tok = next()
+    if (tok.type !== type) throw syntaxErrorAt(`expected ${what}`, tok.pos)
+    return tok
+  }
+
+  function parseOr() {
+    let left = parseAnd()
+    while (accept('or', '||')) left = { type: 'or', left, right: parseAnd() }
+    return left
+  }
+
+  function parseAnd() {
+    let left = parseUnary()
+    while (accept('and', '&&')) left = { type: 'and', left, right: parseUnary() }
+    return left
+  }
+
+  function parseUnary() {
+    if (accept('not', '!')) return { type: 'not', operand: parseUnary() }
+    return parseComparison()
+  }
+
+  function parseComparison() {
+    const left = parseOperand()
+    if (COMPARISONS.has(peek().type)) {
+      const op = next().type
+      return { type: 'compare', op, left, right: parseOperand() }
+    }
+    return left
+  }
+
+  function parseOperand() {
+    const tok = peek()
+    switch (tok.type) {
+      case 'number':
+      case 'string': next(); return { type: 'literal', value: tok.value }
+      case 'true':   next(); return { type: 'literal', value: true }
+      case 'false':  next(); return { type: 'literal', value: false }
+      case 'null':   next(); return { type: 'literal', value: null }
+      case 'exists': next(); return { type: 'exists', path: parsePath() }
+      case 'name':
+      case '[':      return parsePath()
+      case '(': {
+        next()
+        const inner = parseOr()
+        expect(')', '")"')
+        return inner
+      }
+      case 'end': throw syntaxErrorAt('unexpected end of expression', tok.pos)
+      default:    throw syntaxErrorAt(`unexpected "${tok.type}"`, tok.pos)
+    }
+  }
+
+  function parsePath() {
+    const segments = []
+    // A path may start with an index into the root: [0].id, ["a b"]
+    if (peek().type !== '[') {
+      const first = expect('name', 'a field path')
+      if (first.value !== '$') segments.push(first.value)
+    }
+
+    while (true) {
+      if (accept('.')) {
+        const tok = next()
+        // Keywords are fine as keys after a dot: $.not, a.null
+        if (tok.type === 'name' || KEYWORDS.has(tok.type)) segments.push(tok.value ?? tok.type)
+        else throw syntaxErrorAt('expected a field name after "."', tok.pos)
+      } else if (accept('[')) {
+        const tok = next()
+        if (tok.type !== 'number' && tok.type !== 'string') {
+          throw syntaxErrorAt('expected an index or quoted key inside [ ]', tok.pos)
+        }
+        segments.push(tok.value)
+        expect(']', '"]"')
+      } else {
+        return { type: 'path', segments }
+      }
+    }
+  }
+
+  const ast = rule === 'path' ? parsePath() : parseOr()
+  if (peek().type !== 'end') throw syntaxErrorAt(`unexpected "${peek().value ?? peek().type}"`, peek().pos)
+  return ast
+}
+
+/**
+ * Parses a --where expression into an AST. Throws on syntax errors.
+ * Exported for testing.
+ */
+export function parseWhere(src, label = '--where expression') {
+  return parse(src, label, 'or')
+}
+
+/**
+ * Parses a single field path such as `a.b[0]["c d"]` into its segments,
+ * using the same path syntax as --where. Throws on syntax errors.
+ */
+export function parseFieldPath(src, label = 'field path') {
+  return parse(src, label, 'path').segments
+}
+
+// --- Evaluator ---------------------------------------------------------------
+
+/**
+ * Resolves a path against a value. Missing fields, and any step into a
+ * non-object, resolve to undefined.
+ */
+export function resolvePath(value, segments) {
+  let current = value
+  for (const seg of segments) {
+    if (current === null || typeof current !== 'object') return undefined
+    if (!Object.hasOwn(current, seg)) return undefined
+    current = current[seg]
+  }
+  return current
+}
+
+function compare(op, a, b) {
+  // Any comparison with a missing field is false, so "x != 1" does not match
+  // payloads without x. Use "exists x" / "not exists x" to test presence.
+  if (a === undefined || b === undefined) return false
+
+  switch (op) {
+    case '==': return a === b
+    case '!=': return a !== b
+  }
+
+  // Ordering only between two numbers or two strings
+  const sameType = (typeof a === 'number' && typeof b === 'number') ||
+                   (typeof a === 'string' && typeof b === 'string')
+  if (!sameType) return false
+
+  switch (op) {
+    case '<':  return a < b
+    case '<=': return a <= b
+    case '>':  return a > b
+    case '>=': return a >= b
+  }
+}
+
+function evaluate(node, value) {
+  switch (node.type) {
+    case 'literal': return node.value
+    case 'path':    return resolvePath(value, node.segments)
+    case 'exists':  return resolvePath(value, node.path.segments) !== undefined
+    case 'not':     return !evaluate(node.operand, value)
+    case 'and':     return Boolean(evaluate(node.left, value) && evaluate(node.right, value))
+    case 'or':      return Boolean(evaluate(node.left, value) || evaluate(node.right, value))
+    case 'compare': return compare(node.op, evaluate(node.left, value), evaluate(node.right, value))
+  }
+}
+
+/**
+ * Evaluates a parsed expression against a payload value.
+ * Exported for testing.
+ */
+export function evaluateWhere(ast, value) {
+  return Boolean(evaluate(ast, value))
+}
+
+// --- Payload matching --------------------------------------------------------
+
+/**
+ * Parses a payload for --where: JSON payloads become their value, anything
+ * else becomes the payload string. A string root has no fields, so field
+ * paths are missing and only `$` comparisons can match it.
+ */
+export function wherePayloadValue(payload) {
+  const str = payload.toString()
+  try { return JSON.parse(str) }
+  catch { return str }
+}
+
+/**
+ * Compiles a --where expression into a predicate over raw payload Buffers.
+ * A value already decoded by a payload decoder (--decode) is used instead of
+ * parsing the payload. Returns null for an empty expression. Throws on syntax
+ * errors, naming the input as label (default: "--where expression").
+ */
+export function compileWhere(src, label) {
+  if (!src) return null
+  const ast = parseWhere(src, label)
+  return (payload, value) => evaluateWhere(ast, value !== undefined ? value : wherePayloadValue(payload))
+}
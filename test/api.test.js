@@ -0,0 +1,138 @@
+// Tests for the library entry points createTail() and format(), against an
+// in-process broker (aedes).
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { createServer } from 'net'
+import { once } from 'events'
+import { mkdtemp, writeFile, rm } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { stripVTControlCharacters } from 'node:util'
+import { Aedes } from 'aedes'
+import { createTail, format, publish } from '../src/api.js'
+
+let broker, server, port, dir, config
+
+before(async () => {
+  broker = await Aedes.createBroker()
+  server = createServer(broker.handle)
+  server.listen(0, '127.0.0.1')
+  await once(server, 'listening')
+  port = server.address().port
+
+  // An empty config file keeps the user's config out of the tests
+  dir = await mkdtemp(join(tmpdir(), 'mqtt-tail-api-'))
+  config = join(dir, '.mqtttailrc.json')
+  await writeFile(config, '{}')
+})
+
+after(async () => {
+  await new Promise((resolve) => broker.close(resolve))
+  server.close()
+  await rm(dir, { recursive: true, force: true })
+})
+
+const connection = () => ({ host: '127.0.0.1', port, config })
+
+// --- createTail --------------------------------------------------------------
+
+describe('createTail', { timeout: 10_000 }, () => {
+  it('emits connect and message events for its subscriptions', async () => {
+    const tail = createTail(connection())
+    const connected = once(tail, 'connect')
+    const granted = await tail.subscribe('api/tail/+', { qos: 1 })
+    assert.deepEqual(granted.map((g) => [g.topic, g.qos]), [['api/tail/+', 1]])
+    assert.deepEqual(await connected, [{ sessionPresent: false }])
+
+    const delivered = once(tail, 'message')
+    await publish('api/tail/a', '{"n":1}', connection())
+    const [msg] = await delivered
+    assert.equal(msg.topic, 'api/tail/a')
+    assert.equal(msg.payload.toString(), '{"n":1}')
+    assert.equal(msg.properties, null)
+    await tail.close()
+  })
+
+  it('stops delivering a topic after unsubscribe', async () => {
+    const tail = createTail(connection())
+    const received = []
+    tail.on('message', (msg) => received.push(msg.topic))
+    await tail.subscribe(['api/unsub/a', 'api/unsub/b'])
+    assert.deepEqual(tail.topics(), ['api/unsub/a', 'api/unsub/b'])
+
+    await tail.unsubscribe('api/unsub/a')
+    assert.deepEqual(tail.topics(), ['api/unsub/b'])
+    const delivered = once(tail, 'message')
+    await publish('api/unsub/a', 'x', connection())
+    await publish('api/unsub/b', 'x', connection())
+    await delivered
+    await tail.close()
+    assert.deepEqual(received, ['api/unsub/b'])
+  })
+
+  it('emits an error for invalid options', async () => {
+    const tail = createTail({ ...connection(), where: 'temp >' })
+    const [err] = await once(tail, 'error')
+    assert.match(err.message, /Invalid --where expression/)
+    await tail.close()
+  })
+
+  it('emits errors and closes once the reconnect attempts run out', async () => {
+    const tail = createTail({ host: '127.0.0.1', port: 1, config, reconnectAttempts: 1, reconnectDelay: '10ms' })
+    const errors = []
+    tail.on('error', (err) => errors.push(err.message))
+    // once() would reject on the first error
+    await new Promise((resolve) => tail.once('close', resolve))
+    assert.match(errors[0], /ECONNREFUSED/)
+    assert.match(errors.at(-1), /gave up after 1 reconnect attempt$/)
+    await assert.rejects(tail.subscribe('api/#'), /Tail is closed/)
+  })
+
+  it('close() ends the connection once and emits close', async () => {
+    const tail = createTail(connection())
+    await tail.subscribe('api/close/#')
+    let closes = 0
+    tail.on('close', () => closes++)
+    await tail.close()
+    await tail.close()
+    assert.equal(closes, 1)
+    await assert.rejects(tail.subscribe('api/close/#'), /Tail is closed/)
+  })
+})
+
+// --- format ------------------------------------------------------------------
+
+describe('format', () => {
+  const message = { topic: 'a/b', payload: Buffer.from('{"t":1}'), packet: { qos: 1, retain: false } }
+
+  it('renders text like the CLI', () => {
+    assert.equal(stripVTControlCharacters(format(message, { compact: true, timestamp: false })), '▶ a/b  {"t":1}')
+    assert.equal(stripVTControlCharacters(format(message, { timestamp: false })), '▶ a/b\n│ {\n│   "t": 1\n│ }')
+  })
+
+  it('renders JSON lines', () => {
+    const obj = JSON.parse(format(message, { outputJson: true }))
+    assert.deepEqual({ ...obj, timestamp: undefined },
+      { timestamp: undefined, topic: 'a/b', payload: { t: 1 }, qos: 1, retain: false, size: 7 })
+  })
+
+  it('renders CSV rows', () => {
+    const row = format(message, { output: 'csv' })
+    assert.match(row, /^\d{4}-\d\d-\d\dT[\d:.]+Z,a\/b,1,false,7,"\{""t"":1\}"$/)
+  })
+
+  it('uses the receive time of messages from createTail()', { timeout: 10_000 }, async () => {
+    const tail = createTail(connection())
+    await tail.subscribe('api/format')
+    const delivered = once(tail, 'message')
+    const before = Date.now()
+    await publish('api/format', 'x', connection())
+    const [msg] = await delivered
+    await new Promise((resolve) => setTimeout(resolve, 20))
+    await tail.close()
+
+    const at = Date.parse(JSON.parse(format(msg, { outputJson: true })).timestamp)
+    assert.ok(at >= before && at < Date.now() - 10)
+  })
+})
@@ -0,0 +1,298 @@
+import { describe, it, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { stripVTControlCharacters } from 'node:util'
+import {
+  parseHistorySize, createTopicTree, addMessage, snapshotTree, messageRate, findNode, visibleRows,
+  createBrowserState, handleKey, renderScreen, formatAge,
+} from '../src/browse.js'
+
+const NOW = Date.UTC(2024, 0, 15, 16, 42, 3)
+
+function add(tree, topic, payload, agoMs = 0) {
+  addMessage(tree, topic, {
+    payload: Buffer.from(payload),
+    packet: { qos: 0, retain: false },
+    receivedAt: new Date(NOW - agoMs),
+  })
+}
+
+const paths = (rows) => rows.map((r) => r.node.path)
+const press = (state, tree, name, str) => handleKey(state, tree, str, { name, sequence: str ?? name })
+
+// --- Topic tree --------------------------------------------------------------
+
+describe('parseHistorySize', () => {
+  it('defaults to 50 and accepts positive integers', () => {
+    assert.equal(parseHistorySize(undefined), 50)
+    assert.equal(parseHistorySize('10'), 10)
+  })
+
+  it('rejects other values', () => {
+    assert.throws(() => parseHistorySize('0'), /Invalid history size "0"/)
+    assert.throws(() => parseHistorySize('abc'), /Invalid history size/)
+  })
+})
+
+describe('addMessage', () => {
+  it('builds the topic tree with per-topic and subtree counts', () => {
+    const tree = createTopicTree()
+    add(tree, 'sensors/living/temp', '21')
+    add(tree, 'sensors/living/temp', '22')
+    add(tree, 'sensors/kitchen', 'x')
+
+    assert.equal(tree.topics, 2)
+    assert.equal(tree.messages, 3)
+    assert.equal(findNode(tree, 'sensors').total, 3)
+    assert.equal(findNode(tree, 'sensors').count, 0)
+    assert.equal(findNode(tree, 'sensors/living/temp').count, 2)
+    assert.equal(findNode(tree, 'sensors/living/temp').message.payload.toString(), '22')
+    assert.equal(findNode(tree, 'nope'), null)
+  })
+
+  it('keeps topics that are also parents', () => {
+    const tree = createTopicTree()
+    add(tree, 'a', '1')
+    add(tree, 'a/b', '2')
+    assert.equal(findNode(tree, 'a').count, 1)
+    assert.equal(findNode(tree, 'a').total, 2)
+    assert.equal(tree.topics, 2)
+  })
+
+  it('keeps empty topic levels', () => {
+    const tree = createTopicTree()
+    add(tree, '/a//b', '1')
+    assert.equal(findNode(tree, '/a//b').count, 1)
+    assert.equal(findNode(tree, '').name, '')
+  })
+
+  it('caps the history per topic', () => {
+    const tree = createTopicTree(3)
+    for (let i = 0; i < 5; i++) add(tree, 't', String(i))
+    assert.deepEqual(findNode(tree, 't').history.map((m) => m.payload.toString()), ['2', '3', '4'])
+  })
+
+  it('tracks the latest receive time on every level', () => {
+    const tree = createTopicTree()
+    add(tree, 'a/b', '1', 5000)
+    add(tree, 'a/c', '1', 1000)
+    assert.equal(findNode(tree, 'a').lastAt, NOW - 1000)
+    assert.equal(findNode(tree, 'a/b').lastAt, NOW - 5000)
+  })
+})
+
+describe('snapshotTree', () => {
+  it('is not changed by later messages', () => {
+    const tree = createTopicTree()
+    add(tree, 'a/b', '1')
+    const snapshot = snapshotTree(tree)
+    add(tree, 'a/b', '2')
+    add(tree, 'a/c', '3')
+
+    assert.equal(snapshot.messages, 1)
+    assert.equal(findNode(snapshot, 'a').total, 1)
+    assert.equal(findNode(snapshot, 'a/b').message.payload.toString(), '1')
+    assert.equal(findNode(snapshot, 'a/b').history.length, 1)
+    assert.equal(findNode(snapshot, 'a/c'), null)
+    assert.equal(messageRate(findNode(snapshot, 'a'), NOW), 0.1)
+    assert.equal(findNode(tree, 'a/b').history.length, 2)
+  })
+})
+
+describe('messageRate', () => {
+  it('averages messages over the last 10 seconds', () => {
+    const tree = createTopicTree()
+    for (let i = 0; i < 20; i++) add(tree, 't', 'x', i * 400)   // 20 messages in 8s
+    assert.equal(messageRate(findNode(tree, 't'), NOW), 2)
+  })
+
+  it('drops messages that left the window', () => {
+    const tree = createTopicTree()
+    add(tree, 't', 'x', 9000)
+    add(tree, 't', 'x')
+    const node = findNode(tree, 't')
+    assert.equal(messageRate(node, NOW), 0.2)
+    assert.equal(messageRate(node, NOW + 5000), 0.1)
+    assert.equal(messageRate(node, NOW + 60_000), 0)
+  })
+})
+
+describe('visibleRows', () => {
+  let tree
+
+  beforeEach(() => {
+    tree = createTopicTree()
+    add(tree, 'sensors/living/temp', '21')
+    add(tree, 'sensors/kitchen/hum', '55')
+    add(tree, 'devices/1/state', 'ON')
+  })
+
+  it('shows top-level nodes collapsed, sorted by name', () => {
+    assert.deepEqual(paths(visibleRows(tree, { expanded: new Set(), search: '' })), ['devices', 'sensors'])
+  })
+
+  it('shows children of expanded nodes with their depth', () => {
+    const rows = visibleRows(tree, { expanded: new Set(['sensors', 'sensors/living']), search: '' })
+    assert.deepEqual(paths(rows), ['devices', 'sensors', 'sensors/kitchen', 'sensors/living', 'sensors/living/temp'])
+    assert.deepEqual(rows.map((r) => r.depth), [0, 0, 1, 1, 2])
+  })
+
+  it('search shows matching topics and their parents, expanded', () => {
+    const rows = visibleRows(tree, { expanded: new Set(), search: 'LIV' })
+    assert.deepEqual(paths(rows), ['sensors', 'sensors/living', 'sensors/living/temp'])
+  })
+})
+
+// --- Keys --------------------------------------------------------------------
+
+describe('handleKey', () => {
+  let tree, state
+
+  beforeEach(() => {
+    tree = createTopicTree()
+    add(tree, 'sensors/living/temp', '21')
+    add(tree, 'sensors/kitchen/hum', '55')
+    add(tree, 'devices/1/state', 'ON')
+    state = createBrowserState()
+  })
+
+  it('moves the cursor and stops at the ends', () => {
+    press(state, tree, 'down')
+    assert.equal(state.cursor, 'sensors')
+    press(state, tree, 'down')
+    assert.equal(state.cursor, 'sensors')
+    press(state, tree, 'k')
+    assert.equal(state.cursor, 'devices')
+    press(state, tree, 'g', 'G')
+    assert.equal(state.cursor, 'sensors')
+  })
+
+  it('expands with right, steps into children, collapses and climbs with left', () => {
+    state.cursor = 'sensors'
+    press(state, tree, 'right')
+    assert.ok(state.expanded.has('sensors'))
+    press(state, tree, 'right')
+    assert.equal(state.cursor, 'sensors/kitchen')
+    press(state, tree, 'left')
+    assert.equal(state.cursor, 'sensors')
+    press(state, tree, 'left')
+    assert.ok(!state.expanded.has('sensors'))
+  })
+
+  it('expands and collapses everything', () => {
+    press(state, tree, 'e')
+    assert.equal(visibleRows(tree, state).length, 8)
+    press(state, tree, 'c')
+    assert.equal(visibleRows(tree, state).length, 2)
+  })
+
+  it('opens the history of a topic with enter and closes it with escape', () => {
+    press(state, tree, 'e')
+    state.cursor = 'devices/1/state'
+    press(state, tree, 'return')
+    assert.equal(state.history, 'devices/1/state')
+    press(state, tree, 'escape')
+    assert.equal(state.history, null)
+  })
+
+  it('toggles branches with enter when they have no messages of their own', () => {
+    state.cursor = 'devices'
+    press(state, tree, 'return')
+    assert.ok(state.expanded.has('devices'))
+    assert.equal(state.history, null)
+  })
+
+  it('types, edits and clears a search', () => {
+    press(state, tree, undefined, '/')
+    assert.equal(state.searching, true)
+    for (const ch of 'kitx') press(state, tree, ch, ch)
+    press(state, tree, 'backspace')
+    assert.equal(state.search, 'kit')
+    press(state, tree, 'return')
+    assert.equal(state.searching, false)
+    assert.deepEqual(paths(visibleRows(tree, state)), ['sensors', 'sensors/kitchen', 'sensors/kitchen/hum'])
+    press(state, tree, 'escape')
+    assert.equal(state.search, '')
+  })
+
+  it('keys typed into the search are not commands', () => {
+    press(state, tree, undefined, '/')
+    assert.equal(press(state, tree, 'q', 'q'), undefined)
+    assert.equal(state.search, 'q')
+  })
+
+  it('toggles pause', () => {
+    press(state, tree, 'p')
+    assert.equal(state.paused, true)
+    press(state, tree, 'p')
+    assert.equal(state.paused, false)
+  })
+
+  it('quits with q and ctrl+c', () => {
+    assert.equal(press(state, tree, 'q'), 'quit')
+    state.history = 'devices/1/state'
+    assert.equal(handleKey(state, tree, '\x03', { name: 'c', ctrl: true }), 'quit')
+  })
+})
+
+// --- Rendering ---------------------------------------------------------------
+
+describe('formatAge', () => {
+  it('picks the largest unit', () => {
+    assert.equal(formatAge(4200), '4s')
+    assert.equal(formatAge(12 * 60_000), '12m')
+    assert.equal(formatAge(3 * 3_600_000), '3h')
+    assert.equal(formatAge(2 * 86_400_000), '2d')
+  })
+})
+
+describe('renderScreen', () => {
+  const info = { width: 80, height: 8, now: NOW, brokerUrl: 'mqtt://localhost:1883', status: 'connected' }
+  let tree, state
+
+  beforeEach(() => {
+    tree = createTopicTree()
+    add(tree, 'sensors/living/temp', '{"v":21.5}', 2000)
+    add(tree, 'sensors/living/temp', '{"v":22}')
+    state = createBrowserState()
+    state.expanded = new Set(['sensors', 'sensors/living'])
+  })
+
+  it('fills exactly the screen height, each line within the width', () => {
+    const lines = renderScreen(tree, state, {}, info)
+    assert.equal(lines.length, 8)
+    for (const line of lines) assert.ok(stripVTControlCharacters(line).length <= 80)
+  })
+
+  it('shows totals in the title and last value, count, rate and age per row', () => {
+    const lines = renderScreen(tree, state, {}, info).map(stripVTControlCharacters)
+    assert.ok(lines[0].includes('1 topics  2 msgs'))
+    const temp = lines.find((l) => l.includes('temp'))
+    assert.match(temp, /temp {2}\{"v":22\}\s+2\s+0\.2\/s\s+0s$/)
+  })
+
+  it('renders previews with the output options', () => {
+    const lines = renderScreen(tree, state, { select: 'v' }, info).map(stripVTControlCharacters)
+    assert.ok(lines.some((l) => l.includes('{"v":22}')))
+  })
+
+  it('shows a placeholder until messages arrive', () => {
+    const lines = renderScreen(createTopicTree(), createBrowserState(), {}, info).map(stripVTControlCharacters)
+    assert.ok(lines[1].includes('Waiting for messages'))
+  })
+
+  it('scrolls to keep the cursor on screen', () => {
+    for (let i = 0; i < 20; i++) add(tree, `many/t${String(i).padStart(2, '0')}`, 'x')
+    state.expanded.add('many')
+    state.cursor = 'many/t19'
+    const lines = renderScreen(tree, state, {}, info).map(stripVTControlCharacters)
+    assert.ok(lines[6].includes('t19'))
+  })
+
+  it('history view shows the newest message first', () => {
+    state.history = 'sensors/living/temp'
+    const lines = renderScreen(tree, state, { timestamp: false }, { ...info, height: 20 }).map(stripVTControlCharacters)
+    assert.ok(lines[0].includes('sensors/living/temp  2 messages, last 2 shown'))
+    const body = lines.join('\n')
+    assert.ok(body.indexOf('"v": 22') < body.indexOf('"v": 21.5'))
+  })
+})
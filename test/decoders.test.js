@@ -0,0 +1,164 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, writeFile, rm } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { encode as encodeCbor } from 'cbor-x'
+import { encode as encodeMsgpack } from '@msgpack/msgpack'
+import protobuf from 'protobufjs'
+import { topicMatches, toPlain, createDecoder } from '../src/decoders.js'
+
+const PROTO = `
+syntax = "proto3";
+package fleet;
+
+message Telemetry {
+  enum State { IDLE = 0; RUNNING = 1; }
+  string device = 1;
+  double temp   = 2;
+  int64  uptime = 3;
+  State  state  = 4;
+  bytes  raw    = 5;
+}
+`
+
+// --- topicMatches ------------------------------------------------------------
+
+describe('topicMatches', () => {
+  it('matches exact topics', () => {
+    assert.equal(topicMatches('a/b', 'a/b'), true)
+    assert.equal(topicMatches('a/b', 'a/c'), false)
+    assert.equal(topicMatches('a/b', 'a/b/c'), false)
+  })
+
+  it('matches + as exactly one level', () => {
+    assert.equal(topicMatches('a/+/c', 'a/b/c'), true)
+    assert.equal(topicMatches('a/+', 'a/b/c'), false)
+    assert.equal(topicMatches('a/+', 'a/'), true)
+  })
+
+  it('matches # as any number of levels, including the parent', () => {
+    assert.equal(topicMatches('a/#', 'a/b/c'), true)
+    assert.equal(topicMatches('a/#', 'a'), true)
+    assert.equal(topicMatches('#', 'x/y'), true)
+    assert.equal(topicMatches('a/#', 'b/c'), false)
+  })
+
+  it('does not match $-topics with a leading wildcard', () => {
+    assert.equal(topicMatches('#', '$SYS/uptime'), false)
+    assert.equal(topicMatches('+/uptime', '$SYS/uptime'), false)
+    assert.equal(topicMatches('$SYS/#', '$SYS/uptime'), true)
+  })
+})
+
+// --- toPlain -----------------------------------------------------------------
+
+describe('toPlain', () => {
+  it('converts BigInts to numbers when safe, strings otherwise', () => {
+    assert.equal(toPlain(42n), 42)
+    assert.equal(toPlain(2n ** 64n), '18446744073709551616')
+  })
+
+  it('converts bytes, dates, maps and sets', () => {
+    assert.equal(toPlain(new Uint8Array([1, 2, 3])), 'AQID')
+    assert.equal(toPlain(new Date(0)), '1970-01-01T00:00:00.000Z')
+    assert.deepEqual(toPlain(new Map([[1, 'a'], ['b', 2n]])), { 1: 'a', b: 2 })
+    assert.deepEqual(toPlain(new Set([1, 2])), [1, 2])
+  })
+
+  it('converts nested values and undefined', () => {
+    assert.deepEqual(toPlain({ a: [undefined, { b: 1n }], c: NaN }), { a: [null, { b: 1 }], c: 'NaN' })
+  })
+})
+
+// --- createDecoder -----------------------------------------------------------
+
+describe('createDecoder', () => {
+  let dir, protoPath, Telemetry
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'mqtt-tail-'))
+    protoPath = join(dir, 'telemetry.proto')
+    await writeFile(protoPath, PROTO)
+    Telemetry = (await protobuf.load(protoPath)).lookupType('fleet.Telemetry')
+  })
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true })
+  })
+
+  it('returns null without --decode or decoders', async () => {
+    assert.equal(await createDecoder({}), null)
+  })
+
+  it('decodes CBOR', async () => {
+    const decode = await createDecoder({ decode: 'cbor' })
+    const payload = Buffer.from(encodeCbor({ temp: 21.5, tags: ['a'] }))
+    assert.deepEqual(decode('t', payload), { decoder: 'cbor', value: { temp: 21.5, tags: ['a'] } })
+  })
+
+  it('decodes MessagePack, including 64-bit integers', async () => {
+    const decode = await createDecoder({ decode: 'msgpack' })
+    const payload = Buffer.from(encodeMsgpack({ id: 2n ** 63n, on: true }, { useBigInt64: true }))
+    assert.deepEqual(decode('t', payload).value, { id: '9223372036854775808', on: true })
+  })
+
+  it('decodes Protobuf with a .proto file and message type', async () => {
+    const decode = await createDecoder({ decode: 'protobuf', proto: protoPath, protoType: 'fleet.Telemetry' })
+    const payload = Buffer.from(Telemetry.encode(Telemetry.create({
+      device: 'd1', temp: 21.5, uptime: '9007199254740993', state: 1, raw: Buffer.from([1, 2]),
+    })).finish())
+    assert.deepEqual(decode('t', payload), {
+      decoder: 'protobuf',
+      value: { device: 'd1', temp: 21.5, uptime: '9007199254740993', state: 'RUNNING', raw: 'AQI=' },
+    })
+  })
+
+  it('reports payloads that fail to decode', async () => {
+    const decode = await createDecoder({ decode: 'cbor' })
+    const result = decode('t', Buffer.from([0x82, 0x01]))
+    assert.equal(result.decoder, 'cbor')
+    assert.ok(result.error instanceof Error)
+    assert.ok(!('value' in result))
+  })
+
+  it('picks the first config rule whose topic matches', async () => {
+    const decode = await createDecoder({
+      decoders: [
+        { topic: 'fleet/+/pb', decode: 'protobuf', proto: protoPath, type: 'fleet.Telemetry' },
+        { topic: 'fleet/#', decode: 'msgpack' },
+      ],
+    })
+    const pb = Buffer.from(Telemetry.encode(Telemetry.create({ device: 'x' })).finish())
+    assert.equal(decode('fleet/1/pb', pb).decoder, 'protobuf')
+    assert.equal(decode('fleet/1/state', Buffer.from(encodeMsgpack(1))).decoder, 'msgpack')
+    assert.equal(decode('other/topic', pb), null)
+  })
+
+  it('--decode wins over config rules', async () => {
+    const decode = await createDecoder({ decode: 'cbor', decoders: [{ topic: '#', decode: 'msgpack' }] })
+    assert.equal(decode('a', Buffer.from(encodeCbor(1))).decoder, 'cbor')
+  })
+
+  it('rejects unknown decoders', async () => {
+    await assert.rejects(createDecoder({ decode: 'xml' }), /--decode: invalid decoder "xml"/)
+    await assert.rejects(createDecoder({ decoders: [{ decode: 'yaml' }] }), /decoders\[0\]: invalid decoder "yaml"/)
+    await assert.rejects(createDecoder({ decoders: { decode: 'cbor' } }), /expected an array/)
+  })
+
+  it('requires a .proto file and message type for protobuf', async () => {
+    await assert.rejects(createDecoder({ decode: 'protobuf' }), /needs a \.proto file/)
+    await assert.rejects(createDecoder({ decode: 'protobuf', proto: protoPath }), /needs a message type/)
+  })
+
+  it('reports missing .proto files and unknown message types', async () => {
+    await assert.rejects(
+      createDecoder({ decode: 'protobuf', proto: join(dir, 'missing.proto'), protoType: 'X' }),
+      /Cannot load .*missing\.proto/
+    )
+    await assert.rejects(
+      createDecoder({ decode: 'protobuf', proto: protoPath, protoType: 'fleet.Nope' }),
+      /Unknown message type "fleet.Nope"/
+    )
+  })
+})
@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { diffValues, createDiffer } from '../src/diff.js'
+
+// --- diffValues --------------------------------------------------------------
+
+describe('diffValues', () => {
+  it('returns no changes for equal values', () => {
+    assert.deepEqual(diffValues({ a: 1, b: [1, { c: null }] }, { b: [1, { c: null }], a: 1 }), [])
+    assert.deepEqual(diffValues('x', 'x'), [])
+  })
+
+  it('reports added, removed and changed fields', () => {
+    assert.deepEqual(diffValues({ temp: 21, mode: 'eco' }, { temp: 22, alarm: true }), [
+      { path: 'temp', op: 'changed', from: 21, to: 22 },
+      { path: 'mode', op: 'removed', from: 'eco' },
+      { path: 'alarm', op: 'added', to: true },
+    ])
+  })
+
+  it('walks nested objects and arrays', () => {
+    assert.deepEqual(diffValues({ a: { b: [1, 2, 3] } }, { a: { b: [1, 5] } }), [
+      { path: 'a.b[1]', op: 'changed', from: 2, to: 5 },
+      { path: 'a.b[2]', op: 'removed', from: 3 },
+    ])
+  })
+
+  it('reports a change of type as a change of the whole value', () => {
+    assert.deepEqual(diffValues({ a: [1] }, { a: { 0: 1 } }), [
+      { path: 'a', op: 'changed', from: [1], to: { 0: 1 } },
+    ])
+    assert.deepEqual(diffValues({ a: null }, { a: {} }), [{ path: 'a', op: 'changed', from: null, to: {} }])
+  })
+
+  it('uses $ for the root value', () => {
+    assert.deepEqual(diffValues('on', 'off'), [{ path: '$', op: 'changed', from: 'on', to: 'off' }])
+    assert.deepEqual(diffValues([1], [2]), [{ path: '[0]', op: 'changed', from: 1, to: 2 }])
+  })
+
+  it('quotes keys that do not read as a path', () => {
+    assert.deepEqual(diffValues({}, { 'a b': { 'meta.id': 1 } }).map((c) => c.path), ['["a b"]'])
+    assert.deepEqual(diffValues({ x: { 'meta.id': 1 } }, { x: { 'meta.id': 2 } })[0].path, 'x.meta.id')
+  })
+})
+
+// --- createDiffer ------------------------------------------------------------
+
+describe('createDiffer', () => {
+  const json = (value) => Buffer.from(JSON.stringify(value))
+
+  it('returns null for the first message on each topic, then the changes', () => {
+    const differ = createDiffer({})
+    assert.equal(differ('a', json({ v: 1 })), null)
+    assert.equal(differ('b', json({ v: 1 })), null)
+    assert.deepEqual(differ('a', json({ v: 1 })), [])
+    assert.deepEqual(differ('a', json({ v: 2 })), [{ path: 'v', op: 'changed', from: 1, to: 2 }])
+  })
+
+  it('keeps the baseline for messages not recorded', () => {
+    const differ = createDiffer({})
+    differ('a', json({ v: 1 }))
+    assert.deepEqual(differ('a', json({ v: 2 }), undefined, false), [{ path: 'v', op: 'changed', from: 1, to: 2 }])
+    assert.deepEqual(differ('a', json({ v: 2 })), [{ path: 'v', op: 'changed', from: 1, to: 2 }])
+  })
+
+  it('compares text payloads as strings', () => {
+    const differ = createDiffer({})
+    differ('t', Buffer.from('ON'))
+    assert.deepEqual(differ('t', Buffer.from('OFF')), [{ path: '$', op: 'changed', from: 'ON', to: 'OFF' }])
+  })
+
+  it('compares binary payloads as hex', () => {
+    const differ = createDiffer({})
+    differ('t', Buffer.from([0x00, 0xff]))
+    assert.deepEqual(differ('t', Buffer.from([0x00, 0xff])), [])
+    assert.equal(differ('t', Buffer.from([0x01, 0xff]))[0].to, '01ff')
+  })
+
+  it('only compares the --select fields', () => {
+    const differ = createDiffer({ select: 'temp' })
+    differ('t', json({ temp: 21, ts: 1 }))
+    assert.deepEqual(differ('t', json({ temp: 21, ts: 2 })), [])
+  })
+
+  it('compares decoded values', () => {
+    const differ = createDiffer({})
+    differ('t', Buffer.from([1]), { decoder: 'cbor', value: { a: 1 } })
+    assert.deepEqual(differ('t', Buffer.from([2]), { decoder: 'cbor', value: { a: 1 } }), [])
+  })
+})
@@ -1,6 +1,9 @@
 import { describe, it } from 'node:test'
 import assert from 'node:assert/strict'
-import { colorizeJson, formatTimestamp, colorTopic, formatMessage } from '../src/formatter.js'
+import {
+  colorizeJson, formatTimestamp, colorTopic, formatMessage, messageProperties,
+  escapeDelimited, formatHeader, checkOutputOptions, detectEncoding, hexdump, formatSuppressed, truncate,
+} from '../src/formatter.js'
 
 const stripAnsi = (str) => str.replace(/\x1b\[[0-9;]*m/g, '')
 
@@ -67,6 +70,11 @@ describe('formatTimestamp', () => {
   it('unknown format falls back to local', () => {
     assert.match(formatTimestamp('unknown'), /^\d{2}:\d{2}:\d{2}\.\d{3}$/)
   })
+
+  it('formats a given date instead of now', () => {
+    assert.equal(formatTimestamp('iso', new Date('2024-01-15T16:42:03.112Z')), '2024-01-15T16:42:03.112Z')
+    assert.equal(formatTimestamp('unixms', new Date(1234)), '1234')
+  })
 })
 
 // --- colorTopic --------------------------------------------------------------
@@ -111,6 +119,12 @@ describe('formatMessage', () => {
     assert.match(obj.timestamp, /^\d{4}-\d{2}-\d{2}T/)
   })
 
+  it('outputJson mode uses the given receive time', () => {
+    const receivedAt = new Date('2024-01-15T16:42:03.112Z')
+    const obj = JSON.parse(formatMessage('t', jsonPayload, packet, { outputJson: true }, receivedAt))
+    assert.equal(obj.timestamp, '2024-01-15T16:42:03.112Z')
+  })
+
   it('outputJson mode with non-JSON payload stores raw string', () => {
     const line = formatMessage('raw/topic', textPayload, packet, { outputJson: true })
     const obj  = JSON.parse(line)
@@ -146,3 +160,517 @@ describe('formatMessage', () => {
     assert.ok(out.includes('retained'))
   })
 })
+
+// --- MQTT 5 properties -------------------------------------------------------
+
+describe('messageProperties', () => {
+  it('returns null for packets without properties', () => {
+    assert.equal(messageProperties({ qos: 0, retain: false }), null)
+  })
+
+  it('returns null when no relevant properties are set', () => {
+    assert.equal(messageProperties({ properties: { userProperties: {} } }), null)
+  })
+
+  it('extracts user properties and publish properties', () => {
+    const props = messageProperties({
+      properties: {
+        userProperties: { traceId: 'abc' },
+        contentType: 'application/json',
+        responseTopic: 'reply/here',
+        correlationData: Buffer.from('req-1'),
+        messageExpiryInterval: 60,
+        topicAlias: 3,
+      },
+    })
+    assert.deepEqual(props.userProperties, { traceId: 'abc' })
+    assert.equal(props.contentType, 'application/json')
+    assert.equal(props.responseTopic, 'reply/here')
+    assert.ok(Buffer.isBuffer(props.correlationData))
+    assert.equal(props.messageExpiryInterval, 60)
+    assert.ok(!Object.hasOwn(props, 'topicAlias'))
+  })
+})
+
+describe('formatMessage with MQTT 5 properties', () => {
+  const payload = Buffer.from('{"v":1}')
+  const packet  = {
+    qos: 1,
+    retain: false,
+    properties: {
+      userProperties: { traceId: 'abc', tag: ['a', 'b'] },
+      contentType: 'application/json',
+      responseTopic: 'reply/here',
+      correlationData: Buffer.from('req-1'),
+      messageExpiryInterval: 60,
+    },
+  }
+
+  it('outputJson includes properties', () => {
+    const obj = JSON.parse(formatMessage('t', payload, packet, { outputJson: true }))
+    assert.deepEqual(obj.properties, {
+      userProperties: { traceId: 'abc', tag: ['a', 'b'] },
+      contentType: 'application/json',
+      responseTopic: 'reply/here',
+      correlationData: 'req-1',
+      messageExpiryInterval: 60,
+    })
+  })
+
+  it('outputJson renders binary correlation data as hex', () => {
+    const binary = { ...packet, properties: { correlationData: Buffer.from([0xff, 0x00]) } }
+    const obj = JSON.parse(formatMessage('t', payload, binary, { outputJson: true }))
+    assert.equal(obj.properties.correlationData, '0xff00')
+  })
+
+  it('outputJson omits properties for MQTT 3.1.1 packets', () => {
+    const obj = JSON.parse(formatMessage('t', payload, { qos: 0, retain: false }, { outputJson: true }))
+    assert.ok(!Object.hasOwn(obj, 'properties'))
+  })
+
+  it('verbose pretty mode shows properties above the payload', () => {
+    const out = stripAnsi(formatMessage('t', payload, packet, { verbose: true, timestamp: false }))
+    const lines = out.split('\n')
+    assert.ok(lines[1].includes('content-type: application/json'))
+    assert.ok(lines[1].includes('response-topic: reply/here'))
+    assert.ok(lines[1].includes('correlation-data: req-1'))
+    assert.ok(lines[1].includes('expiry: 60s'))
+    assert.ok(lines[1].includes('traceId=abc'))
+    assert.ok(lines[1].includes('tag=a') && lines[1].includes('tag=b'))
+  })
+
+  it('verbose compact mode keeps properties on one line', () => {
+    const out = stripAnsi(formatMessage('t', payload, packet, { verbose: true, compact: true, timestamp: false }))
+    assert.ok(!out.includes('\n'))
+    assert.ok(out.includes('traceId=abc'))
+  })
+
+  it('non-verbose pretty mode hides properties', () => {
+    const out = stripAnsi(formatMessage('t', payload, packet, { timestamp: false }))
+    assert.ok(!out.includes('traceId'))
+  })
+})
+
+// --- --select ----------------------------------------------------------------
+
+describe('formatMessage with select', () => {
+  const packet  = { qos: 0, retain: false }
+  const payload = Buffer.from(JSON.stringify({ temp: 21, meta: { id: 'x', fw: '1.2' }, list: [{ v: 1 }] }))
+
+  it('outputJson projects the payload', () => {
+    const obj = JSON.parse(formatMessage('t', payload, packet, { outputJson: true, select: 'temp,list[0].v' }))
+    assert.deepEqual(obj.payload, { temp: 21, 'list[0].v': 1 })
+    assert.equal(obj.size, payload.length)
+  })
+
+  it('compact mode projects the payload', () => {
+    const out = stripAnsi(formatMessage('t', payload, packet, { compact: true, timestamp: false, select: 'meta.id' }))
+    assert.ok(out.endsWith('{"meta.id":"x"}'))
+  })
+
+  it('pretty mode projects the payload', () => {
+    const out = stripAnsi(formatMessage('t', payload, packet, { timestamp: false, select: 'meta.fw' }))
+    assert.ok(out.includes('"meta.fw": "1.2"'))
+    assert.ok(!out.includes('temp'))
+  })
+
+  it('shows missing paths as absent', () => {
+    const obj = JSON.parse(formatMessage('t', payload, packet, { outputJson: true, select: 'nope.x' }))
+    assert.deepEqual(obj.payload, {})
+  })
+
+  it('leaves non-JSON payloads alone', () => {
+    const obj = JSON.parse(formatMessage('t', Buffer.from('hello'), packet, { outputJson: true, select: 'a' }))
+    assert.equal(obj.payload, 'hello')
+  })
+
+  it('raw mode ignores select', () => {
+    const out = stripAnsi(formatMessage('t', payload, packet, { raw: true, timestamp: false, select: 'temp' }))
+    assert.ok(out.includes('"meta"'))
+  })
+})
+
+// --- CSV / TSV ---------------------------------------------------------------
+
+/** Minimal RFC 4180 parser, used to check rows survive a round trip. */
+function parseDelimited(text, delimiter) {
+  const rows = [[]]
+  let cell = ''
+  let quoted = false
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i]
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++ }
+      else if (ch === '"') quoted = false
+      else cell += ch
+    } else if (ch === '"') quoted = true
+    else if (ch === delimiter) { rows.at(-1).push(cell); cell = '' }
+    else if (ch === '\n') { rows.at(-1).push(cell); cell = ''; rows.push([]) }
+    else cell += ch
+  }
+  rows.at(-1).push(cell)
+  return rows
+}
+
+describe('escapeDelimited', () => {
+  it('leaves plain values alone', () => {
+    assert.equal(escapeDelimited('abc', ','), 'abc')
+    assert.equal(escapeDelimited(42, ','), '42')
+  })
+
+  it('quotes values containing the delimiter', () => {
+    assert.equal(escapeDelimited('a,b', ','), '"a,b"')
+    assert.equal(escapeDelimited('a\tb', '\t'), '"a\tb"')
+  })
+
+  it('does not quote the other delimiter', () => {
+    assert.equal(escapeDelimited('a,b', '\t'), 'a,b')
+  })
+
+  it('doubles quotes', () => {
+    assert.equal(escapeDelimited('say "hi"', ','), '"say ""hi"""')
+  })
+
+  it('quotes newlines and carriage returns', () => {
+    assert.equal(escapeDelimited('a\nb', ','), '"a\nb"')
+    assert.equal(escapeDelimited('a\r\nb', ','), '"a\r\nb"')
+  })
+})
+
+describe('formatHeader', () => {
+  it('returns null for non-tabular output', () => {
+    assert.equal(formatHeader({}), null)
+    assert.equal(formatHeader({ outputJson: true }), null)
+  })
+
+  it('lists the fixed columns', () => {
+    assert.equal(formatHeader({ output: 'csv' }), 'timestamp,topic,qos,retain,size,payload')
+  })
+
+  it('appends field columns', () => {
+    assert.equal(formatHeader({ output: 'tsv', fields: 'temp,meta.id' }), 'timestamp\ttopic\tqos\tretain\tsize\tpayload\ttemp\tmeta.id')
+  })
+
+  it('quotes field column names that need it', () => {
+    assert.ok(formatHeader({ output: 'csv', fields: '["a,b"]' }).endsWith(',"[""a,b""]"'))
+  })
+})
+
+describe('formatMessage with csv/tsv output', () => {
+  const packet     = { qos: 1, retain: true }
+  const receivedAt = new Date('2024-01-15T16:42:03.112Z')
+
+  it('writes the fixed columns with an ISO timestamp', () => {
+    const row = formatMessage('a/b', Buffer.from('hello'), packet, { output: 'csv' }, receivedAt)
+    assert.equal(row, '2024-01-15T16:42:03.112Z,a/b,1,true,5,hello')
+  })
+
+  it('honors --timestamp-format', () => {
+    const row = formatMessage('a/b', Buffer.from('x'), packet, { output: 'csv', timestampFormat: 'unixms' }, receivedAt)
+    assert.ok(row.startsWith(String(receivedAt.getTime()) + ','))
+  })
+
+  it('writes JSON payloads compactly and without color', () => {
+    const row = formatMessage('t', Buffer.from('{"a": 1}'), packet, { output: 'tsv' }, receivedAt)
+    assert.equal(parseDelimited(row, '\t')[0][5], '{"a":1}')
+    assert.ok(!row.includes('\x1b'))
+  })
+
+  it('round-trips payloads with delimiters, quotes and newlines', () => {
+    for (const [output, delimiter] of [['csv', ','], ['tsv', '\t']]) {
+      const payload = 'a,b\t"c"\nd\r\ne'
+      const row = formatMessage('t', Buffer.from(payload), packet, { output }, receivedAt)
+      const rows = parseDelimited(row, delimiter)
+      assert.equal(rows.length, 1, output)
+      assert.equal(rows[0][5], payload, output)
+    }
+  })
+
+  it('adds flattened field columns', () => {
+    const payload = Buffer.from(JSON.stringify({ temp: 21.5, meta: { id: 'x,y', tags: ['a'] }, ok: false, n: null }))
+    const row = formatMessage('t', payload, packet, { output: 'csv', fields: 'temp,meta.id,meta.tags,ok,n,missing' }, receivedAt)
+    assert.deepEqual(parseDelimited(row, ',')[0].slice(6), ['21.5', 'x,y', '["a"]', 'false', '', ''])
+  })
+
+  it('leaves field columns empty for non-JSON payloads', () => {
+    const row = formatMessage('t', Buffer.from('text'), packet, { output: 'csv', fields: 'a,b' }, receivedAt)
+    assert.ok(row.endsWith(',text,,'))
+  })
+})
+
+describe('checkOutputOptions', () => {
+  it('accepts valid options', () => {
+    assert.doesNotThrow(() => checkOutputOptions({ output: 'csv', fields: 'a.b', select: 'c' }))
+    assert.doesNotThrow(() => checkOutputOptions({}))
+  })
+
+  it('rejects unknown output formats', () => {
+    assert.throws(() => checkOutputOptions({ output: 'xlsx' }), /Invalid output format "xlsx"/)
+  })
+
+  it('rejects invalid field paths', () => {
+    assert.throws(() => checkOutputOptions({ fields: 'a..b' }), /Invalid --fields path/)
+    assert.throws(() => checkOutputOptions({ select: 'a..b' }), /Invalid --select path/)
+  })
+})
+
+// --- Binary payloads ---------------------------------------------------------
+
+describe('detectEncoding', () => {
+  it('detects text, including tabs and newlines', () => {
+    assert.equal(detectEncoding(Buffer.from('hello\tworld\r\n')), 'utf8')
+    assert.equal(detectEncoding(Buffer.from('grüße ✓')), 'utf8')
+    assert.equal(detectEncoding(Buffer.alloc(0)), 'utf8')
+  })
+
+  it('detects invalid UTF-8 as binary', () => {
+    assert.equal(detectEncoding(Buffer.from([0xff, 0xfe, 0x41])), 'binary')
+  })
+
+  it('detects control characters as binary', () => {
+    assert.equal(detectEncoding(Buffer.from([0x41, 0x00, 0x42])), 'binary')
+    assert.equal(detectEncoding(Buffer.from('\x1b[2J')), 'binary')
+    assert.equal(detectEncoding(Buffer.from([0x7f])), 'binary')
+  })
+})
+
+describe('hexdump', () => {
+  it('renders offset, hex and ASCII columns', () => {
+    const out = stripAnsi(hexdump(Buffer.from('{"a":1}\x00\xff', 'latin1')))
+    assert.equal(out, '00000000  7b 22 61 22 3a 31 7d 00  ff                       |{"a":1}..|')
+  })
+
+  it('wraps every 16 bytes with increasing offsets', () => {
+    const lines = stripAnsi(hexdump(Buffer.alloc(40, 0x41))).split('\n')
+    assert.equal(lines.length, 3)
+    assert.ok(lines[1].startsWith('00000010  '))
+    assert.ok(lines[2].startsWith('00000020  41 41 41 41 41 41 41 41  '))
+    assert.ok(lines[2].endsWith('|AAAAAAAA|'))
+  })
+
+  it('returns an empty string for an empty payload', () => {
+    assert.equal(hexdump(Buffer.alloc(0)), '')
+  })
+})
+
+describe('formatMessage with binary payloads', () => {
+  const packet = { qos: 0, retain: false }
+  const binary = Buffer.from([0x00, 0xff, 0x10, 0x41])
+
+  it('pretty mode renders a hexdump', () => {
+    const out = stripAnsi(formatMessage('t', binary, packet, { timestamp: false }))
+    assert.ok(out.includes('00000000  00 ff 10 41'))
+    assert.ok(out.includes('|...A|'))
+  })
+
+  it('compact mode renders hex on one line', () => {
+    const out = stripAnsi(formatMessage('t', binary, packet, { compact: true, timestamp: false }))
+    assert.ok(out.endsWith('  00ff1041'))
+    assert.ok(!out.includes('\n'))
+  })
+
+  it('outputJson renders base64 with an encoding tag', () => {
+    const obj = JSON.parse(formatMessage('t', binary, packet, { outputJson: true }))
+    assert.equal(obj.payload, binary.toString('base64'))
+    assert.equal(obj.encoding, 'base64')
+    assert.equal(obj.size, 4)
+  })
+
+  it('outputJson has no encoding tag for text', () => {
+    const obj = JSON.parse(formatMessage('t', Buffer.from('hi'), packet, { outputJson: true }))
+    assert.ok(!Object.hasOwn(obj, 'encoding'))
+  })
+
+  it('csv writes binary payloads as base64', () => {
+    const row = formatMessage('t', binary, packet, { output: 'csv' }, new Date(0))
+    assert.ok(row.endsWith(',4,' + binary.toString('base64')))
+  })
+
+  it('raw mode passes binary through untouched', () => {
+    const out = formatMessage('t', binary, packet, { raw: true, timestamp: false })
+    assert.ok(out.endsWith(binary.toString()))
+  })
+
+  it('--encoding hex forces a hexdump for text', () => {
+    const out = stripAnsi(formatMessage('t', Buffer.from('hi'), packet, { encoding: 'hex', timestamp: false }))
+    assert.ok(out.includes('68 69'))
+  })
+
+  it('--encoding hex uses hex in outputJson', () => {
+    const obj = JSON.parse(formatMessage('t', Buffer.from('hi'), packet, { encoding: 'hex', outputJson: true }))
+    assert.equal(obj.payload, '6869')
+    assert.equal(obj.encoding, 'hex')
+  })
+
+  it('--encoding base64 renders base64 everywhere', () => {
+    const pretty = stripAnsi(formatMessage('t', Buffer.from('hi'), packet, { encoding: 'base64', timestamp: false }))
+    assert.ok(pretty.endsWith('aGk='))
+    const obj = JSON.parse(formatMessage('t', Buffer.from('hi'), packet, { encoding: 'base64', outputJson: true }))
+    assert.equal(obj.payload, 'aGk=')
+  })
+
+  it('--encoding utf8 forces text rendering', () => {
+    const obj = JSON.parse(formatMessage('t', binary, packet, { encoding: 'utf8', outputJson: true }))
+    assert.equal(obj.payload, binary.toString())
+    assert.ok(!Object.hasOwn(obj, 'encoding'))
+  })
+
+  it('verbose meta shows the detected encoding', () => {
+    const text = stripAnsi(formatMessage('t', Buffer.from('hi'), packet, { verbose: true, timestamp: false }))
+    assert.ok(text.split('\n')[0].includes('utf8'))
+    const bin = stripAnsi(formatMessage('t', binary, packet, { verbose: true, timestamp: false }))
+    assert.ok(bin.split('\n')[0].includes('binary'))
+  })
+
+  it('verbose meta shows a forced encoding', () => {
+    const out = stripAnsi(formatMessage('t', Buffer.from('hi'), packet, { verbose: true, encoding: 'hex', timestamp: false }))
+    assert.ok(out.split('\n')[0].includes('utf8 as hex'))
+  })
+
+  it('checkOutputOptions rejects unknown encodings', () => {
+    assert.throws(() => checkOutputOptions({ encoding: 'latin1' }), /Invalid encoding "latin1"/)
+    assert.doesNotThrow(() => checkOutputOptions({ encoding: 'auto' }))
+  })
+})
+
+// --- Decoded payloads ----------------------------------------------------------
+
+describe('formatMessage with decoded payloads', () => {
+  const packet  = { qos: 0, retain: false }
+  const payload = Buffer.from([0xa2, 0x61, 0x61, 0x01])
+  const decoded = { decoder: 'cbor', value: { a: 1, b: { c: 'x' } } }
+  const failed  = { decoder: 'cbor', error: new Error('Unexpected end of CBOR data') }
+
+  it('pretty mode renders the decoded value as JSON', () => {
+    const out = stripAnsi(formatMessage('t', payload, packet, { timestamp: false }, new Date(), decoded))
+    assert.ok(out.includes('"a": 1'))
+    assert.ok(out.includes('"c": "x"'))
+  })
+
+  it('compact mode renders the decoded value on one line', () => {
+    const out = stripAnsi(formatMessage('t', payload, packet, { compact: true, timestamp: false }, new Date(), decoded))
+    assert.ok(out.endsWith('  {"a":1,"b":{"c":"x"}}'))
+  })
+
+  it('outputJson inlines the decoded value and names the decoder', () => {
+    const obj = JSON.parse(formatMessage('t', payload, packet, { outputJson: true }, new Date(), decoded))
+    assert.deepEqual(obj.payload, { a: 1, b: { c: 'x' } })
+    assert.equal(obj.decoder, 'cbor')
+    assert.ok(!Object.hasOwn(obj, 'encoding'))
+  })
+
+  it('outputJson falls back to the raw payload with decodeError', () => {
+    const obj = JSON.parse(formatMessage('t', payload, packet, { outputJson: true }, new Date(), failed))
+    assert.equal(obj.payload, payload.toString('base64'))
+    assert.equal(obj.encoding, 'base64')
+    assert.equal(obj.decodeError, 'Unexpected end of CBOR data')
+  })
+
+  it('--select applies to decoded values', () => {
+    const obj = JSON.parse(formatMessage('t', payload, packet, { outputJson: true, select: 'b.c' }, new Date(), decoded))
+    assert.deepEqual(obj.payload, { 'b.c': 'x' })
+  })
+
+  it('csv uses the decoded value for the payload and --fields', () => {
+    const row = formatMessage('t', payload, packet, { output: 'csv', fields: 'b.c' }, new Date(0), decoded)
+    assert.deepEqual(parseDelimited(row, ',')[0], [
+      '1970-01-01T00:00:00.000Z', 't', '0', 'false', '4', '{"a":1,"b":{"c":"x"}}', 'x',
+    ])
+  })
+
+  it('raw mode ignores the decoder', () => {
+    const out = formatMessage('t', payload, packet, { raw: true, timestamp: false }, new Date(), decoded)
+    assert.ok(out.endsWith(payload.toString()))
+  })
+
+  it('verbose meta shows the decoder, or why decoding failed', () => {
+    const ok = stripAnsi(formatMessage('t', payload, packet, { verbose: true, timestamp: false }, new Date(), decoded))
+    assert.ok(ok.split('\n')[0].endsWith('(qos:0 4B cbor)'))
+    const bad = stripAnsi(formatMessage('t', payload, packet, { verbose: true, timestamp: false }, new Date(), failed))
+    assert.ok(bad.split('\n')[0].includes('cbor failed: Unexpected end of CBOR data'))
+  })
+})
+
+describe('formatMessage with diff', () => {
+  const packet  = { qos: 0, retain: false }
+  const payload = Buffer.from('{"temp":22,"alarm":true}')
+  const diff = [
+    { path: 'temp', op: 'changed', from: 21, to: 22 },
+    { path: 'mode', op: 'removed', from: 'eco' },
+    { path: 'alarm', op: 'added', to: true },
+  ]
+
+  it('pretty mode shows one line per change instead of the payload', () => {
+    const out = stripAnsi(formatMessage('t', payload, packet, { diff: true, timestamp: false }, new Date(), null, diff))
+    assert.equal(out, '▶ t\n│ ~ temp: 21 → 22\n│ - mode: "eco"\n│ + alarm: true')
+  })
+
+  it('compact mode shows the changes on one line', () => {
+    const out = stripAnsi(formatMessage('t', payload, packet, { diff: true, compact: true, timestamp: false }, new Date(), null, diff))
+    assert.equal(out, '▶ t  ~ temp: 21 → 22  - mode: "eco"  + alarm: true')
+  })
+
+  it('marks messages without changes', () => {
+    const out = stripAnsi(formatMessage('t', payload, packet, { diff: true, compact: true, timestamp: false }, new Date(), null, []))
+    assert.ok(out.endsWith('(no changes)'))
+  })
+
+  it('shows the full payload for the first message on a topic', () => {
+    const out = stripAnsi(formatMessage('t', payload, packet, { diff: true, compact: true, timestamp: false }, new Date(), null, null))
+    assert.ok(out.endsWith('{"temp":22,"alarm":true}'))
+  })
+
+  it('outputJson adds the structured diff next to the payload', () => {
+    const obj = JSON.parse(formatMessage('t', payload, packet, { diff: true, outputJson: true }, new Date(), null, diff))
+    assert.deepEqual(obj.payload, { temp: 22, alarm: true })
+    assert.deepEqual(obj.diff, diff)
+    const first = JSON.parse(formatMessage('t', payload, packet, { diff: true, outputJson: true }, new Date(), null, null))
+    assert.equal(first.diff, null)
+  })
+
+  it('raw mode keeps the raw payload', () => {
+    const out = formatMessage('t', payload, packet, { diff: true, raw: true, compact: true, timestamp: false }, new Date(), null, diff)
+    assert.ok(stripAnsi(out).endsWith('{"temp":22,"alarm":true}'))
+  })
+})
+
+describe('formatMessage with a rule', () => {
+  const packet  = { qos: 0, retain: false }
+  const payload = Buffer.from('{"temp":35}')
+  const rule    = { name: 'hot', color: 'red', badge: 'HOT' }
+
+  it('puts the badge before the topic', () => {
+    const out = stripAnsi(formatMessage('t', payload, packet, { compact: true, timestamp: false }, new Date(), null, null, rule))
+    assert.equal(out, '▶ [HOT] t  {"temp":35}')
+  })
+
+  it('shows no badge for a rule with only a color', () => {
+    const out = stripAnsi(formatMessage('t', payload, packet, { timestamp: false }, new Date(), null, null, { name: 'hot', color: 'red' }))
+    assert.equal(out, '▶ t\n│ {\n│   "temp": 35\n│ }')
+  })
+
+  it('outputJson names the rule', () => {
+    const obj = JSON.parse(formatMessage('t', payload, packet, { outputJson: true }, new Date(), null, null, rule))
+    assert.equal(obj.rule, 'hot')
+    assert.equal('rule' in JSON.parse(formatMessage('t', payload, packet, { outputJson: true })), false)
+  })
+})
+
+describe('formatSuppressed', () => {
+  it('names the topic and the count', () => {
+    assert.equal(stripAnsi(formatSuppressed('sensors/flood', 37)), '⋯ sensors/flood  37 suppressed')
+  })
+})
+
+describe('truncate', () => {
+  it('leaves short strings alone', () => {
+    assert.equal(truncate('abc', 5), 'abc')
+  })
+
+  it('cuts to the visible width, ignoring color codes', () => {
+    assert.equal(truncate('abcdef', 4), 'abc…')
+    const colored = truncate('\x1b[31mabcdef\x1b[39m', 4)
+    assert.equal(stripAnsi(colored), 'abc…')
+    assert.ok(colored.endsWith('\x1b[0m'))
+  })
+})
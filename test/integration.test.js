@@ -0,0 +1,208 @@
+// End-to-end tests against an in-process broker (aedes), for the CLI and the
+// library on top of the shared pipeline.
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { createServer } from 'net'
+import { spawn } from 'child_process'
+import { once } from 'events'
+import { mkdtemp, writeFile, rm } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { fileURLToPath } from 'url'
+import { Aedes } from 'aedes'
+import { subscribe, createTail, publish } from '../src/api.js'
+
+const CLI = fileURLToPath(new URL('../src/index.js', import.meta.url))
+
+let broker, server, port, dir, config
+
+before(async () => {
+  broker = await Aedes.createBroker()
+  server = createServer(broker.handle)
+  server.listen(0, '127.0.0.1')
+  await once(server, 'listening')
+  port = server.address().port
+
+  // Keeps the user's config file and .env out of the tests; the CLI runs with
+  // dir as HOME, where an existing config also skips the setup wizard
+  dir = await mkdtemp(join(tmpdir(), 'mqtt-tail-it-'))
+  config = join(dir, '.mqtttailrc.json')
+  await writeFile(config, '{}')
+})
+
+after(async () => {
+  await new Promise((resolve) => broker.close(resolve))
+  server.close()
+  await rm(dir, { recursive: true, force: true })
+})
+
+const connection = () => ({ host: '127.0.0.1', port, config })
+
+// Resolves when a client subscribes to filter; call before starting the subscriber
+const subscribedTo = (filter) => new Promise((resolve) => {
+  const onSubscribe = (subscriptions) => {
+    if (!subscriptions.some((sub) => sub.topic === filter)) return
+    broker.off('subscribe', onSubscribe)
+    resolve()
+  }
+  broker.on('subscribe', onSubscribe)
+})
+
+// --- Library -----------------------------------------------------------------
+
+describe('subscribe() against a broker', { timeout: 10_000 }, () => {
+  it('yields the messages that pass the filters and stops at count', async () => {
+    const registered = subscribedTo('it/sub/#')
+    const messages = subscribe('it/sub/#', { ...connection(), where: 'temp > 20', count: 2 })
+    const received = []
+    const done = (async () => {
+      for await (const msg of messages) received.push([msg.topic, JSON.parse(msg.payload).temp])
+    })()
+    await registered
+    await publish('it/sub/a', ['{"temp":10}', '{"temp":21}', 'not json', '{"temp":30}', '{"temp":40}'], connection())
+    await done
+    assert.deepEqual(received, [['it/sub/a', 21], ['it/sub/a', 30]])
+  })
+
+  it('does not count messages that drop-oldest evicted', async () => {
+    const messages = subscribe('it/hwm', { ...connection(), count: 4, highWaterMark: 2, overflow: 'drop-oldest' })
+    const registered = subscribedTo('it/hwm')
+    const first = messages.next()
+    await registered
+    await publish('it/hwm', ['1', '2', '3', '4', '5', '6'], connection())
+    assert.equal((await first).value.payload.toString(), '1')
+    // 2, 3 and 4 are evicted by 5 and 6 while the loop does not pull
+    while (messages.dropped < 3) await new Promise((resolve) => setTimeout(resolve, 10))
+
+    assert.equal((await messages.next()).value.payload.toString(), '5')
+    assert.equal((await messages.next()).value.payload.toString(), '6')
+    await publish('it/hwm', '7', connection())
+    assert.equal((await messages.next()).value.payload.toString(), '7')
+    assert.equal((await messages.next()).done, true)
+  })
+
+  it('subscribes again after a reconnect', async () => {
+    const messages = subscribe('it/re/#', { ...connection(), reconnect: true, reconnectDelay: '50ms', count: 2 })
+    let registered = subscribedTo('it/re/#')
+    const first = messages.next()
+    await registered
+    await publish('it/re/a', 'before', connection())
+    assert.equal((await first).value.payload.toString(), 'before')
+
+    // Drop every connection; the new clean session has no subscriptions
+    registered = subscribedTo('it/re/#')
+    for (const client of Object.values(broker.clients)) client.close()
+    await registered
+    await publish('it/re/a', 'after', connection())
+    assert.equal((await messages.next()).value.payload.toString(), 'after')
+    assert.equal((await messages.next()).done, true)
+  })
+
+  it('throws when the broker cannot be reached', async () => {
+    const messages = subscribe('it/#', { host: '127.0.0.1', port: 1, config })
+    await assert.rejects(messages.next(), /ECONNREFUSED/)
+  })
+})
+
+describe('createTail() against a broker', { timeout: 10_000 }, () => {
+  it('delivers messages for the current subscriptions', async () => {
+    const tail = createTail({ ...connection(), filter: 'keep' })
+    const received = []
+    tail.on('message', (msg) => received.push(msg.topic))
+
+    const granted = await tail.subscribe(['it/tail/keep', 'it/tail/drop'], { qos: 1 })
+    assert.deepEqual(granted.map((g) => [g.topic, g.qos]), [['it/tail/keep', 1], ['it/tail/drop', 1]])
+    const delivered = once(tail, 'message')
+    await publish('it/tail/drop', 'x', connection())
+    await publish('it/tail/keep', 'x', connection())
+    await delivered
+
+    await tail.unsubscribe('it/tail/keep')
+    assert.deepEqual(tail.topics(), ['it/tail/drop'])
+    await publish('it/tail/keep', 'y', connection())
+
+    await tail.close()
+    assert.deepEqual(received, ['it/tail/keep'])
+    assert.equal(tail.stats().total.count, 1)
+  })
+})
+
+// --- CLI ---------------------------------------------------------------------
+
+describe('mqtt-tail CLI against a broker', { timeout: 10_000 }, () => {
+  it('prints the messages that pass the filters and exits after --count', async () => {
+    const registered = subscribedTo('it/cli/#')
+    const cli = spawn(process.execPath, [
+      CLI, 'it/cli/#', '-H', '127.0.0.1', '-p', String(port), '--config', config,
+      '--payload-filter', '^ok', '-n', '2', '--compact', '--no-color', '--no-timestamp',
+    ], { env: { ...process.env, HOME: dir }, stdio: ['ignore', 'pipe', 'pipe'] })
+    let stdout = ''
+    cli.stdout.on('data', (chunk) => { stdout += chunk })
+
+    await registered
+    await publish('it/cli/x', ['ok 1', 'skip', 'ok 2', 'ok 3'], connection())
+    const [code] = await once(cli, 'exit')
+    assert.equal(code, 0)
+    const lines = stdout.trim().split('\n')
+    assert.equal(lines.length, 2)
+    assert.match(lines[0], /it\/cli\/x.*ok 1/)
+    assert.match(lines[1], /it\/cli\/x.*ok 2/)
+  })
+
+  it('skips the setup wizard without a config file when a broker URL is given', async () => {
+    // No config file in HOME and no .env in the working directory
+    const empty = await mkdtemp(join(tmpdir(), 'mqtt-tail-it-'))
+    const url = `mqtt://127.0.0.1:${port}`
+    try {
+      for (const [args, env] of [[['--url', url], {}], [[], { MQTT_URL: url }]]) {
+        const registered = subscribedTo('it/url')
+        const cli = spawn(process.execPath, [CLI, 'it/url', ...args, '-n', '1', '--no-color'],
+          { cwd: empty, env: { ...process.env, HOME: empty, ...env }, stdio: ['ignore', 'pipe', 'pipe'] })
+        let stderr = ''
+        cli.stderr.on('data', (chunk) => { stderr += chunk })
+
+        await registered
+        await publish('it/url', 'x', connection())
+        const [code] = await once(cli, 'exit')
+        assert.equal(code, 0)
+        assert.doesNotMatch(stderr, /No config found/)
+      }
+    } finally {
+      await rm(empty, { recursive: true, force: true })
+    }
+  })
+
+  it('exits 1 with --fail-fast when the broker cannot be reached', async () => {
+    const cli = spawn(process.execPath, [CLI, 'it/#', '-H', '127.0.0.1', '-p', '1', '--config', config, '--fail-fast'],
+      { env: { ...process.env, HOME: dir }, stdio: ['ignore', 'pipe', 'pipe'] })
+    let stderr = ''
+    cli.stderr.on('data', (chunk) => { stderr += chunk })
+    const [code] = await once(cli, 'exit')
+    assert.equal(code, 1)
+    assert.match(stderr, /giving up \(--fail-fast\)/)
+  })
+
+  it('prints the retained messages sorted by topic, then clears them with --clear --yes', async () => {
+    await publish('it/ret/b', 'two', { ...connection(), retain: true })
+    await publish('it/ret/a', '{"n":1}', { ...connection(), retain: true })
+    await publish('it/ret/a', 'live', connection())
+
+    const run = async (...args) => {
+      const cli = spawn(process.execPath, [CLI, 'retained', 'it/ret/#', '-H', '127.0.0.1', '-p', String(port),
+        '--config', config, '--idle', '200ms', '--no-color', ...args],
+      { env: { ...process.env, HOME: dir }, stdio: ['ignore', 'pipe', 'pipe'] })
+      let stdout = ''
+      cli.stdout.on('data', (chunk) => { stdout += chunk })
+      const [code] = await once(cli, 'exit')
+      assert.equal(code, 0)
+      return stdout.trim().split('\n')
+    }
+
+    const lines = await run('--clear', '--yes')
+    assert.equal(lines.length, 3)
+    assert.match(lines[1], /^it\/ret\/a\s+0\s+7B\s+\{"n":1\}$/)
+    assert.match(lines[2], /^it\/ret\/b\s+0\s+3B\s+two$/)
+    assert.deepEqual(await run(), [''])
+  })
+})
@@ -0,0 +1,190 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, readFile, readdir, rm, utimes, writeFile } from 'fs/promises'
+import { gunzipSync } from 'zlib'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import {
+  parseRotate, parseOutOptions, periodStart, nextPeriod, formatStamp, listRotated, createLogFile,
+} from '../src/logfile.js'
+
+// --- parseRotate / parseOutOptions -------------------------------------------
+
+describe('parseRotate', () => {
+  it('reads sizes in units of 1024, bare numbers are bytes', () => {
+    assert.deepEqual(parseRotate('100MB'), { size: 100 * 1024 * 1024 })
+    assert.deepEqual(parseRotate('1.5k'), { size: 1536 })
+    assert.deepEqual(parseRotate('2 GB'), { size: 2 * 1024 ** 3 })
+    assert.deepEqual(parseRotate('4096'), { size: 4096 })
+  })
+
+  it('reads hourly and daily', () => {
+    assert.deepEqual(parseRotate('daily'), { period: 'daily' })
+    assert.deepEqual(parseRotate('Hourly'), { period: 'hourly' })
+  })
+
+  it('rejects anything else', () => {
+    assert.throws(() => parseRotate('weekly'), /Invalid --rotate "weekly" \(expected a size like 100MB, hourly or daily\)/)
+    assert.throws(() => parseRotate('0MB'), /Invalid --rotate "0MB"/)
+    assert.throws(() => parseRotate('10TB'), /Invalid --rotate "10TB"/)
+  })
+})
+
+describe('parseOutOptions', () => {
+  it('is null without --out', () => {
+    assert.equal(parseOutOptions({}), null)
+  })
+
+  it('defaults to no rotation', () => {
+    assert.deepEqual(parseOutOptions({ out: 'log.txt' }), { path: 'log.txt', rotate: null, keep: Infinity, gzip: false })
+  })
+
+  it('reads the rotation options', () => {
+    assert.deepEqual(parseOutOptions({ out: 'log.txt', rotate: 'daily', rotateKeep: '7', rotateGzip: true }),
+      { path: 'log.txt', rotate: { period: 'daily' }, keep: 7, gzip: true })
+  })
+
+  it('rejects rotation options without --out or --rotate', () => {
+    assert.throws(() => parseOutOptions({ rotate: 'daily' }), /--rotate, --rotate-keep and --rotate-gzip need --out <path>/)
+    assert.throws(() => parseOutOptions({ out: 'log.txt', rotateGzip: true }), /--rotate-keep and --rotate-gzip need --rotate/)
+  })
+
+  it('rejects invalid values and --stats', () => {
+    assert.throws(() => parseOutOptions({ out: 'log.txt', rotate: '1MB', rotateKeep: '0' }),
+      /Invalid --rotate-keep "0" \(expected an integer >= 1\)/)
+    assert.throws(() => parseOutOptions({ out: 'log.txt', statsJson: true }), /--out cannot be combined with --stats or --stats-json/)
+  })
+})
+
+// --- Periods and names -------------------------------------------------------
+
+describe('periodStart / nextPeriod', () => {
+  const time = new Date(2024, 0, 31, 23, 42, 3, 112)
+
+  it('finds the start of the hour or day', () => {
+    assert.deepEqual(periodStart('hourly', time), new Date(2024, 0, 31, 23))
+    assert.deepEqual(periodStart('daily', time), new Date(2024, 0, 31))
+  })
+
+  it('finds the start of the next period, across month ends', () => {
+    assert.deepEqual(nextPeriod('hourly', time), new Date(2024, 1, 1, 0))
+    assert.deepEqual(nextPeriod('daily', time), new Date(2024, 1, 1))
+  })
+})
+
+describe('formatStamp', () => {
+  it('formats local time for file names', () => {
+    assert.equal(formatStamp(new Date(2024, 0, 5, 7, 8, 9)), '2024-01-05T07-08-09')
+  })
+})
+
+// --- createLogFile -----------------------------------------------------------
+
+describe('createLogFile', () => {
+  let dir, path
+
+  beforeEach(async () => {
+    dir  = await mkdtemp(join(tmpdir(), 'mqtt-tail-out-'))
+    path = join(dir, 'traffic.log')
+  })
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true })
+  })
+
+  const lines = async (file) => (await readFile(file, 'utf8')).split('\n').filter(Boolean)
+
+  it('appends lines without colors', async () => {
+    await writeFile(path, 'earlier\n')
+    const file = createLogFile({ path, rotate: null, keep: Infinity, gzip: false })
+    file.write('\u001b[36ma/b\u001b[39m  hello')
+    await file.close()
+    assert.deepEqual(await lines(path), ['earlier', 'a/b  hello'])
+  })
+
+  it('fails with the path when the file cannot be opened', () => {
+    assert.throws(() => createLogFile({ path: join(dir, 'missing', 'x.log'), rotate: null, keep: Infinity, gzip: false }),
+      /Cannot write .*x\.log: ENOENT/)
+  })
+
+  it('rotates by size without splitting lines, writing the header to every file', async () => {
+    const file = createLogFile({ path, rotate: { size: 20 }, keep: Infinity, gzip: false }, { header: 'topic' })
+    for (const n of [1, 2, 3, 4, 5]) file.write(`line ${n}`)
+    await file.close()
+
+    const rotated = listRotated(path)
+    assert.equal(rotated.length, 2)
+    assert.deepEqual(await lines(rotated[0]), ['topic', 'line 1', 'line 2'])
+    assert.deepEqual(await lines(rotated[1]), ['topic', 'line 3', 'line 4'])
+    assert.deepEqual(await lines(path), ['topic', 'line 5'])
+  })
+
+  it('rotates at the start of each period, naming files after their period', async () => {
+    const file = createLogFile({ path, rotate: { period: 'daily' }, keep: Infinity, gzip: false })
+    file.write('monday', new Date(2024, 0, 15, 23, 59))
+    file.write('tuesday', new Date(2024, 0, 16, 0, 1))
+    await file.close()
+
+    assert.deepEqual(await readdir(dir), ['traffic-2024-01-15T00-00-00.log', 'traffic.log'])
+    assert.deepEqual(await lines(join(dir, 'traffic-2024-01-15T00-00-00.log')), ['monday'])
+    assert.deepEqual(await lines(path), ['tuesday'])
+  })
+
+  it('starts the period of an existing file at its last change', async () => {
+    await writeFile(path, 'sunday\n')
+    await utimes(path, new Date(2024, 0, 14, 22, 0), new Date(2024, 0, 14, 22, 0))
+    const file = createLogFile({ path, rotate: { period: 'daily' }, keep: Infinity, gzip: false })
+    file.write('monday', new Date(2024, 0, 15, 8, 0))
+    await file.close()
+
+    assert.deepEqual(await readdir(dir), ['traffic-2024-01-14T00-00-00.log', 'traffic.log'])
+    assert.deepEqual(await lines(join(dir, 'traffic-2024-01-14T00-00-00.log')), ['sunday'])
+    assert.deepEqual(await lines(path), ['monday'])
+  })
+
+  it('warns once when the rename fails and keeps writing to the same file', async () => {
+    // The rotated name gets too long for the file system
+    const long = join(dir, `${'x'.repeat(240)}.log`)
+    const warnings = []
+    const file = createLogFile({ path: long, rotate: { size: 10 }, keep: Infinity, gzip: false }, {
+      onError: (err) => assert.fail(err),
+      onWarning: (err) => warnings.push(err.message),
+    })
+    for (const n of [1, 2, 3]) file.write(`message ${n}`)
+    await file.close()
+
+    assert.equal(warnings.length, 1)
+    assert.match(warnings[0], /^Cannot rotate .*x\.log: ENAMETOOLONG/)
+    assert.deepEqual(await lines(long), ['message 1', 'message 2', 'message 3'])
+  })
+
+  it('gzips rotated files and keeps the newest', async () => {
+    const file = createLogFile({ path, rotate: { size: 10 }, keep: 2, gzip: true })
+    for (const n of [1, 2, 3, 4, 5]) file.write(`message ${n}`)
+    await file.close()
+
+    const rotated = listRotated(path)
+    assert.equal(rotated.length, 2)
+    assert.ok(rotated.every((f) => f.endsWith('.log.gz')))
+    assert.equal(gunzipSync(await readFile(rotated[0])).toString(), 'message 3\n')
+    assert.equal(gunzipSync(await readFile(rotated[1])).toString(), 'message 4\n')
+    assert.deepEqual(await lines(path), ['message 5'])
+  })
+})
+
+describe('listRotated', () => {
+  it('orders by start time, then by counter', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'mqtt-tail-out-'))
+    const names = ['log-2024-01-15T10-00-00-2.txt.gz', 'log-2024-01-15T10-00-00.txt', 'log-2024-01-14T09-00-00.txt',
+                   'log-2024-01-15T10-00-00-1.txt', 'log.txt', 'other-2024-01-15T10-00-00.txt']
+    for (const name of names) await writeFile(join(dir, name), '')
+    try {
+      assert.deepEqual(listRotated(join(dir, 'log.txt')).map((f) => f.slice(dir.length + 1)), [
+        'log-2024-01-14T09-00-00.txt', 'log-2024-01-15T10-00-00.txt',
+        'log-2024-01-15T10-00-00-1.txt', 'log-2024-01-15T10-00-00-2.txt.gz',
+      ])
+    } finally {
+      await rm(dir, { recursive: true, force: true })
+    }
+  })
+})
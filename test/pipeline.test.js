@@ -0,0 +1,160 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseQos, parseCount, createStages, createPipeline } from '../src/pipeline.js'
+
+// Context object as the pipeline builds it for a received message
+const message = (topic, payload, packet = {}) => ({
+  topic, payload: Buffer.from(payload), packet: { qos: 0, retain: false, ...packet },
+  receivedAt: new Date(), decoded: null, diff: null,
+})
+
+// --- parseQos / parseCount ---------------------------------------------------
+
+describe('parseQos', () => {
+  it('defaults to 0 and accepts 0, 1 and 2', () => {
+    assert.equal(parseQos(undefined), 0)
+    assert.equal(parseQos('1'), 1)
+    assert.equal(parseQos(2), 2)
+  })
+
+  it('rejects other levels', () => {
+    assert.throws(() => parseQos('3'), /Invalid QoS "3" \(expected 0\|1\|2\)/)
+    assert.throws(() => parseQos('high'), /Invalid QoS "high"/)
+  })
+})
+
+describe('parseCount', () => {
+  it('is unlimited when unset or 0', () => {
+    assert.equal(parseCount(undefined), Infinity)
+    assert.equal(parseCount(0), Infinity)
+  })
+
+  it('accepts positive integers', () => {
+    assert.equal(parseCount('5'), 5)
+    assert.equal(parseCount(1), 1)
+  })
+
+  it('rejects other values', () => {
+    assert.throws(() => parseCount('-2'), /Invalid count "-2" \(expected an integer >= 1\)/)
+    assert.throws(() => parseCount(1.5), /Invalid count "1.5"/)
+  })
+})
+
+// --- createStages ------------------------------------------------------------
+
+describe('createStages', () => {
+  it('always filters, other stages only when their options are set', async () => {
+    assert.deepEqual((await createStages({})).stages.map((s) => s.name), ['filter'])
+    const { stages } = await createStages({ decode: 'cbor', dedupe: '5s', diff: true, throttle: '1/1s' })
+    assert.deepEqual(stages.map((s) => s.name), ['decode', 'filter', 'dedupe', 'diff', 'throttle'])
+  })
+
+  it('rejects invalid options', async () => {
+    await assert.rejects(createStages({ filter: '(' }), /Invalid --filter regex "\("/)
+    await assert.rejects(createStages({ dedupe: 'soon' }), /--dedupe window/)
+  })
+})
+
+// --- createPipeline ----------------------------------------------------------
+
+describe('createPipeline', () => {
+  it('gives the reason a message was dropped', async () => {
+    const drops = []
+    const pipeline = await createPipeline({ retained: false, filter: '^a/', dedupe: '1m' }, {
+      hooks: { onDrop: (msg, reason) => drops.push(reason) },
+    })
+    assert.equal(pipeline.process(message('a/1', 'x', { retain: true })), 'retained')
+    assert.equal(pipeline.process(message('b/1', 'x')), 'topic filter')
+    assert.equal(pipeline.process(message('a/1', 'x')), null)
+    assert.equal(pipeline.process(message('a/1', 'x')), 'duplicate')
+    assert.deepEqual(drops, ['retained', 'topic filter', 'duplicate'])
+    pipeline.close()
+  })
+
+  it('adds the diff to the message and drops unchanged payloads', async () => {
+    const seen = []
+    const pipeline = await createPipeline({ diff: true }, { sinks: [(msg) => seen.push(msg.diff)] })
+    pipeline.process(message('t', '{"a":1}'))
+    assert.equal(pipeline.process(message('t', '{"a":1}')), 'unchanged')
+    pipeline.process(message('t', '{"a":2}'))
+    assert.equal(seen[0], null)
+    assert.equal(seen.length, 2)
+    assert.ok(seen[1].length > 0)
+  })
+
+  it('diffs against the last message shown, not one the throttle held back', async () => {
+    const seen = []
+    const pipeline = await createPipeline({ diff: true, throttle: '1/50ms' }, { sinks: [(msg) => seen.push(msg.diff)] })
+    pipeline.process(message('t', '{"a":1}'))
+    assert.equal(pipeline.process(message('t', '{"a":2}')), 'throttled')
+    await new Promise((resolve) => setTimeout(resolve, 60))
+    assert.equal(pipeline.process(message('t', '{"a":2}')), null)
+    assert.deepEqual(seen, [null, [{ path: 'a', op: 'changed', from: 1, to: 2 }]])
+    pipeline.close()
+  })
+
+  it('does not use up the throttle for messages a sink refused', async () => {
+    let accept = false
+    const pipeline = await createPipeline({ throttle: '1/1m' }, { sinks: [() => accept] })
+    assert.equal(pipeline.process(message('t', '1')), null)
+    accept = true
+    assert.equal(pipeline.process(message('t', '2')), null)
+    assert.equal(pipeline.process(message('t', '3')), 'throttled')
+    assert.equal(pipeline.delivered, 1)
+    pipeline.close()
+  })
+
+  it('runs extra stages after the standard ones and before the sinks', async () => {
+    const order = []
+    const odd = (msg) => { order.push('odd'); return Number(msg.payload) % 2 ? null : 'even' }
+    const pipeline = await createPipeline({ payloadFilter: '^\\d+$' }, {
+      stages: [odd],
+      sinks: [(msg) => { order.push(`sink ${msg.payload}`) }],
+    })
+    assert.deepEqual(pipeline.stages, ['filter', 'odd'])
+    assert.equal(pipeline.process(message('t', 'x')), 'payload filter')
+    assert.equal(pipeline.process(message('t', '2')), 'even')
+    assert.equal(pipeline.process(message('t', '3')), null)
+    assert.deepEqual(order, ['odd', 'odd', 'sink 3'])
+  })
+
+  it('commits extra stages only for messages the sinks took', async () => {
+    const committed = []
+    const tag = { name: 'tag', run: () => null, commit: (msg) => committed.push(String(msg.payload)) }
+    const pipeline = await createPipeline({}, { stages: [tag], sinks: [(msg) => String(msg.payload) !== 'refused'] })
+    assert.deepEqual(pipeline.stages, ['filter', 'tag'])
+    pipeline.process(message('t', 'taken'))
+    pipeline.process(message('t', 'refused'))
+    assert.deepEqual(committed, ['taken'])
+  })
+
+  it('counts the messages every sink took and stops at count', async () => {
+    const events = []
+    let accept = false
+    const pipeline = await createPipeline({ count: 2 }, {
+      sinks: [() => {}, () => accept],
+      hooks: {
+        onDeliver: (msg, total) => events.push(['deliver', total]),
+        onLimit:   (total) => events.push(['limit', total]),
+      },
+    })
+    pipeline.process(message('t', '1'))
+    assert.equal(pipeline.delivered, 0)
+    accept = true
+    pipeline.process(message('t', '2'))
+    pipeline.process(message('t', '3'))
+    assert.equal(pipeline.process(message('t', '4')), 'limit')
+    assert.deepEqual(events, [['deliver', 1], ['deliver', 2], ['limit', 2]])
+  })
+
+  it('reports messages held back by the throttle on close()', async () => {
+    const suppressed = []
+    const pipeline = await createPipeline({ throttle: '1/1m' }, {
+      hooks: { onSuppressed: (topic, count) => suppressed.push([topic, count]) },
+    })
+    pipeline.process(message('t', '1'))
+    assert.equal(pipeline.process(message('t', '2')), 'throttled')
+    pipeline.close()
+    assert.deepEqual(suppressed, [['t', 1]])
+  })
+})
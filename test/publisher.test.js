@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { Readable } from 'stream'
+import { parseUserProperties, buildPublishOptions, readLines } from '../src/publisher.js'
+
+// --- parseUserProperties -----------------------------------------------------
+
+describe('parseUserProperties', () => {
+  it('returns an empty object for no entries', () => {
+    assert.deepEqual(parseUserProperties(), {})
+  })
+
+  it('parses key=value pairs', () => {
+    assert.deepEqual(parseUserProperties(['traceId=abc', 'source=cli']), { traceId: 'abc', source: 'cli' })
+  })
+
+  it('keeps = in values', () => {
+    assert.deepEqual(parseUserProperties(['q=a=b']), { q: 'a=b' })
+  })
+
+  it('collects repeated keys into an array', () => {
+    assert.deepEqual(parseUserProperties(['tag=a', 'tag=b', 'tag=c']), { tag: ['a', 'b', 'c'] })
+  })
+
+  it('throws on entries without a key', () => {
+    assert.throws(() => parseUserProperties(['novalue']), /Invalid user property "novalue"/)
+    assert.throws(() => parseUserProperties(['=x']), /Invalid user property/)
+  })
+})
+
+// --- buildPublishOptions -----------------------------------------------------
+
+describe('buildPublishOptions', () => {
+  it('defaults to QoS 0 without retain', () => {
+    assert.deepEqual(buildPublishOptions({}), { qos: 0, retain: false })
+  })
+
+  it('parses qos and retain', () => {
+    assert.deepEqual(buildPublishOptions({ qos: '2', retain: true }), { qos: 2, retain: true })
+  })
+
+  it('throws on invalid QoS', () => {
+    assert.throws(() => buildPublishOptions({ qos: '3' }), /Invalid QoS "3"/)
+  })
+
+  it('adds user properties in MQTT 5', () => {
+    const opts = buildPublishOptions({ mqttVersion: 5, userProperties: { a: '1' } })
+    assert.deepEqual(opts.properties, { userProperties: { a: '1' } })
+  })
+
+  it('rejects user properties below MQTT 5', () => {
+    assert.throws(
+      () => buildPublishOptions({ mqttVersion: 4, userProperties: { a: '1' } }),
+      /require MQTT version 5/
+    )
+  })
+})
+
+// --- readLines ---------------------------------------------------------------
+
+describe('readLines', () => {
+  const lines = async (...chunks) => {
+    const result = []
+    for await (const line of readLines(Readable.from(chunks.map((c) => Buffer.from(c))))) result.push(line)
+    return result
+  }
+
+  it('splits on LF and CRLF, across chunks, keeping empty lines', async () => {
+    const result = await lines('one\r\ntw', 'o\n\nthree')
+    assert.deepEqual(result.map(String), ['one', 'two', '', 'three'])
+  })
+
+  it('keeps binary bytes and lone CRs', async () => {
+    const [line] = await lines([0xff, 0x0d, 0x00, 0x0a])
+    assert.deepEqual([...line], [0xff, 0x0d, 0x00])
+  })
+})
@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseQueueOptions, createMessageQueue } from '../src/queue.js'
+
+const drain = async (queue) => {
+  const values = []
+  while (queue.size > 0) values.push((await queue.next()).value)
+  return values
+}
+
+// --- parseQueueOptions -------------------------------------------------------
+
+describe('parseQueueOptions', () => {
+  it('defaults to an unbounded queue dropping the oldest message', () => {
+    assert.deepEqual(parseQueueOptions({}), { highWaterMark: Infinity, overflow: 'drop-oldest' })
+  })
+
+  it('accepts the overflow policies', () => {
+    for (const overflow of ['drop-oldest', 'drop-newest', 'error', 'pause']) {
+      assert.deepEqual(parseQueueOptions({ highWaterMark: 10, overflow }), { highWaterMark: 10, overflow })
+    }
+  })
+
+  it('rejects invalid values', () => {
+    assert.throws(() => parseQueueOptions({ highWaterMark: 0 }), /Invalid highWaterMark "0" \(expected an integer >= 1\)/)
+    assert.throws(() => parseQueueOptions({ highWaterMark: '10' }), /Invalid highWaterMark "10"/)
+    assert.throws(() => parseQueueOptions({ overflow: 'block' }),
+      /Invalid overflow "block" \(expected drop-oldest, drop-newest, error, pause\)/)
+  })
+})
+
+// --- createMessageQueue ------------------------------------------------------
+
+describe('createMessageQueue', () => {
+  it('hands messages to a waiting next() and queues the rest in order', async () => {
+    const queue = createMessageQueue({ highWaterMark: Infinity, overflow: 'drop-oldest' })
+    const pending = queue.next()
+    queue.push(1)
+    queue.push(2)
+    queue.push(3)
+    assert.deepEqual(await pending, { value: 1, done: false })
+    assert.deepEqual(await drain(queue), [2, 3])
+  })
+
+  it('drop-oldest keeps the newest highWaterMark messages', async () => {
+    const queue = createMessageQueue({ highWaterMark: 2, overflow: 'drop-oldest' })
+    assert.deepEqual([1, 2, 3, 4].map((n) => queue.push(n)), [true, true, true, true])
+    assert.equal(queue.dropped, 2)
+    assert.deepEqual(await drain(queue), [3, 4])
+  })
+
+  it('drop-newest keeps the oldest highWaterMark messages', async () => {
+    const queue = createMessageQueue({ highWaterMark: 2, overflow: 'drop-newest' })
+    assert.deepEqual([1, 2, 3, 4].map((n) => queue.push(n)), [true, true, false, false])
+    assert.equal(queue.dropped, 2)
+    assert.deepEqual(await drain(queue), [1, 2])
+  })
+
+  it('error ends the queue with an overflow error', async () => {
+    const queue = createMessageQueue({ highWaterMark: 2, overflow: 'error' })
+    queue.push(1)
+    queue.push(2)
+    assert.equal(queue.push(3), false)
+    await assert.rejects(queue.next(), /Message queue overflow: the consumer is 2 messages behind \(highWaterMark\)/)
+    assert.equal(queue.push(4), false)
+  })
+
+  it('pause holds waitForRoom() callbacks until a message is taken', async () => {
+    const queue = createMessageQueue({ highWaterMark: 2, overflow: 'pause' })
+    let resumed = 0
+    queue.push(1)
+    queue.waitForRoom(() => resumed++)
+    queue.push(2)
+    queue.waitForRoom(() => resumed++)
+    assert.equal(resumed, 1)
+    await queue.next()
+    assert.equal(resumed, 2)
+    assert.equal(queue.dropped, 0)
+  })
+
+  it('end() returns the queued messages first, end(err) throws right away', async () => {
+    const ended = createMessageQueue({ highWaterMark: Infinity, overflow: 'drop-oldest' })
+    ended.push(1)
+    ended.end()
+    assert.deepEqual(await ended.next(), { value: 1, done: false })
+    assert.deepEqual(await ended.next(), { done: true })
+
+    const failed = createMessageQueue({ highWaterMark: Infinity, overflow: 'drop-oldest' })
+    failed.push(1)
+    failed.end(new Error('gone'))
+    await assert.rejects(failed.next(), /gone/)
+  })
+
+  it('end() resolves a waiting next() and releases paused producers', async () => {
+    const idle = createMessageQueue({ highWaterMark: 1, overflow: 'pause' })
+    const pending = idle.next()
+    idle.end()
+    assert.deepEqual(await pending, { done: true })
+
+    const full = createMessageQueue({ highWaterMark: 1, overflow: 'pause' })
+    let resumed = false
+    full.push(1)
+    full.waitForRoom(() => { resumed = true })
+    assert.equal(resumed, false)
+    full.end()
+    assert.equal(resumed, true)
+  })
+
+  it('clear() discards queued messages without counting them as dropped', async () => {
+    const queue = createMessageQueue({ highWaterMark: 1, overflow: 'drop-oldest' })
+    queue.push(1)
+    queue.push(2)
+    queue.clear()
+    assert.equal(queue.size, 0)
+    assert.equal(queue.dropped, 1)
+  })
+})
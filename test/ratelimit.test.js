@@ -0,0 +1,161 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseDuration, parseThrottle, createDeduper, createThrottle } from '../src/ratelimit.js'
+
+const T0 = Date.UTC(2024, 0, 15, 16, 42, 0)
+
+// --- Parsing -----------------------------------------------------------------
+
+describe('parseDuration', () => {
+  it('parses ms, s, m and h; bare numbers are seconds', () => {
+    assert.equal(parseDuration('500ms'), 500)
+    assert.equal(parseDuration('5s'), 5000)
+    assert.equal(parseDuration('1.5m'), 90_000)
+    assert.equal(parseDuration('1h'), 3_600_000)
+    assert.equal(parseDuration('2'), 2000)
+    assert.equal(parseDuration(0.5), 500)
+  })
+
+  it('rejects other values', () => {
+    assert.throws(() => parseDuration('0s', '--dedupe window'), /Invalid --dedupe window "0s"/)
+    assert.throws(() => parseDuration('5 minutes'), /expected a duration like 500ms, 5s or 1m/)
+    assert.throws(() => parseDuration('-1'), /Invalid duration/)
+  })
+})
+
+describe('parseThrottle', () => {
+  it('parses <n>/<interval>', () => {
+    assert.deepEqual(parseThrottle('10/1s'), { limit: 10, interval: 1000 })
+    assert.deepEqual(parseThrottle('5 / 250ms'), { limit: 5, interval: 250 })
+  })
+
+  it('reads a bare unit as one of it', () => {
+    assert.deepEqual(parseThrottle('100/m'), { limit: 100, interval: 60_000 })
+  })
+
+  it('rejects other values', () => {
+    assert.throws(() => parseThrottle('10'), /Invalid --throttle "10" \(expected <n>\/<interval>, e\.g\. 10\/1s\)/)
+    assert.throws(() => parseThrottle('0/1s'), /Invalid --throttle/)
+    assert.throws(() => parseThrottle('10/soon'), /Invalid --throttle interval "soon"/)
+  })
+})
+
+// --- createDeduper -----------------------------------------------------------
+
+describe('createDeduper', () => {
+  it('hides identical payloads on the same topic within the window', () => {
+    const isDuplicate = createDeduper(5000)
+    assert.equal(isDuplicate('a', Buffer.from('1'), T0), false)
+    assert.equal(isDuplicate('a', Buffer.from('1'), T0 + 1000), true)
+    assert.equal(isDuplicate('b', Buffer.from('1'), T0 + 1000), false)
+    assert.equal(isDuplicate('a', Buffer.from('2'), T0 + 2000), false)
+    assert.equal(isDuplicate('a', Buffer.from('1'), T0 + 3000), false)
+  })
+
+  it('shows the payload again once the window has passed since it was last shown', () => {
+    const isDuplicate = createDeduper(5000)
+    isDuplicate('a', Buffer.from('x'), T0)
+    assert.equal(isDuplicate('a', Buffer.from('x'), T0 + 4999), true)
+    assert.equal(isDuplicate('a', Buffer.from('x'), T0 + 5000), false)
+    assert.equal(isDuplicate('a', Buffer.from('x'), T0 + 6000), true)
+  })
+
+  it('does not remember payloads that are not recorded', () => {
+    const isDuplicate = createDeduper(5000)
+    assert.equal(isDuplicate('a', Buffer.from('x'), T0, false), false)
+    assert.equal(isDuplicate('a', Buffer.from('x'), T0 + 1000), false)
+    assert.equal(isDuplicate('a', Buffer.from('x'), T0 + 2000), true)
+  })
+
+  it('forgets topics once their window has passed', () => {
+    const isDuplicate = createDeduper(5000)
+    isDuplicate('a', Buffer.from('x'), T0)
+    isDuplicate('b', Buffer.from('x'), T0 + 1000)
+    assert.equal(isDuplicate.size, 2)
+    isDuplicate('c', Buffer.from('x'), T0 + 5500)
+    assert.deepEqual([isDuplicate.size, isDuplicate('b', Buffer.from('x'), T0 + 5500)], [2, true])
+    isDuplicate('c', Buffer.from('y'), T0 + 11_000)
+    assert.equal(isDuplicate.size, 1)
+  })
+})
+
+// --- createThrottle ----------------------------------------------------------
+
+describe('createThrottle', () => {
+  let reports, throttle
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: T0 })
+    reports = []
+    throttle = createThrottle({ limit: 2, interval: 1000 }, (topic, count) => reports.push([topic, count]))
+  })
+
+  afterEach(() => {
+    throttle.close()
+    mock.timers.reset()
+  })
+
+  const send = (topic, n) => Array.from({ length: n }, () => throttle.allow(topic))
+
+  it('lets n messages per topic through in each interval', () => {
+    assert.deepEqual(send('a', 4), [true, true, false, false])
+    assert.deepEqual(send('b', 1), [true])
+    mock.timers.tick(1000)
+    assert.deepEqual(send('a', 3), [true, true, false])
+  })
+
+  it('reports the suppressed count when the window ends', () => {
+    send('a', 5)
+    mock.timers.tick(999)
+    assert.deepEqual(reports, [])
+    mock.timers.tick(1)
+    assert.deepEqual(reports, [['a', 3]])
+  })
+
+  it('does not report windows without suppressed messages', () => {
+    send('a', 2)
+    mock.timers.tick(5000)
+    assert.deepEqual(reports, [])
+  })
+
+  it('reports each window separately', () => {
+    send('a', 3)
+    mock.timers.tick(1000)
+    send('a', 4)
+    mock.timers.tick(1000)
+    assert.deepEqual(reports, [['a', 1], ['a', 2]])
+  })
+
+  it('windows start with the first message of a topic', () => {
+    mock.timers.tick(300)
+    send('a', 3)
+    mock.timers.tick(700)
+    assert.deepEqual(reports, [])
+    mock.timers.tick(300)
+    assert.deepEqual(reports, [['a', 1]])
+  })
+
+  it('takes no slot for messages that are not recorded', () => {
+    assert.deepEqual(Array.from({ length: 3 }, () => throttle.allow('a', Date.now(), false)), [true, true, true])
+    assert.deepEqual(send('a', 3), [true, true, false])
+  })
+
+  it('drops ended windows, reporting them first', () => {
+    send('a', 3)
+    send('b', 1)
+    assert.equal(throttle.size, 2)
+    mock.timers.tick(1000)
+    assert.deepEqual(reports, [['a', 1]])
+    send('c', 1)
+    assert.equal(throttle.size, 1)
+    assert.deepEqual(reports, [['a', 1]])
+  })
+
+  it('close() reports pending counts and stops the timers', () => {
+    send('a', 3)
+    throttle.close()
+    assert.deepEqual(reports, [['a', 1]])
+    mock.timers.tick(1000)
+    assert.deepEqual(reports, [['a', 1]])
+  })
+})
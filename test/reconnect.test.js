@@ -0,0 +1,143 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { EventEmitter } from 'events'
+import { parseReconnectPolicy, reconnectDelay, createReconnector } from '../src/reconnect.js'
+
+// --- parseReconnectPolicy ----------------------------------------------------
+
+describe('parseReconnectPolicy', () => {
+  it('defaults to 1s doubling up to 30s, 20% jitter and unlimited attempts', () => {
+    assert.deepEqual(parseReconnectPolicy({}), { delay: 1000, maxDelay: 30_000, jitter: 0.2, attempts: Infinity })
+  })
+
+  it('reads the reconnect options', () => {
+    const policy = parseReconnectPolicy({
+      reconnectDelay: '500ms', reconnectMaxDelay: '1m', reconnectJitter: '0', reconnectAttempts: '5',
+    })
+    assert.deepEqual(policy, { delay: 500, maxDelay: 60_000, jitter: 0, attempts: 5 })
+  })
+
+  it('raises the default max delay to a longer initial delay', () => {
+    assert.equal(parseReconnectPolicy({ reconnectDelay: '1m' }).maxDelay, 60_000)
+  })
+
+  it('--fail-fast allows no attempts', () => {
+    assert.equal(parseReconnectPolicy({ failFast: true, reconnectAttempts: '5' }).attempts, 0)
+  })
+
+  it('rejects invalid values', () => {
+    assert.throws(() => parseReconnectPolicy({ reconnectDelay: 'soon' }), /Invalid --reconnect-delay "soon"/)
+    assert.throws(() => parseReconnectPolicy({ reconnectDelay: '10s', reconnectMaxDelay: '5s' }),
+      /--reconnect-max-delay \(5s\) is shorter than --reconnect-delay \(10s\)/)
+    assert.throws(() => parseReconnectPolicy({ reconnectJitter: '1.5' }), /Invalid --reconnect-jitter "1.5" \(expected 0 to 1\)/)
+    assert.throws(() => parseReconnectPolicy({ reconnectAttempts: '-1' }), /Invalid --reconnect-attempts "-1"/)
+    assert.throws(() => parseReconnectPolicy({ reconnectAttempts: 'x' }), /expected an integer >= 0/)
+  })
+})
+
+// --- reconnectDelay ----------------------------------------------------------
+
+describe('reconnectDelay', () => {
+  const policy = { delay: 1000, maxDelay: 10_000, jitter: 0.2, attempts: Infinity }
+  const middle = () => 0.5   // no jitter
+
+  it('doubles the delay per attempt up to maxDelay', () => {
+    const delays = [1, 2, 3, 4, 5, 6].map((n) => reconnectDelay(policy, n, middle))
+    assert.deepEqual(delays, [1000, 2000, 4000, 8000, 10_000, 10_000])
+  })
+
+  it('spreads the delay by ± jitter', () => {
+    assert.equal(reconnectDelay(policy, 1, () => 0), 800)
+    assert.equal(reconnectDelay(policy, 1, () => 0.75), 1100)
+    assert.equal(reconnectDelay(policy, 5, () => 0), 8000)
+  })
+})
+
+// --- createReconnector -------------------------------------------------------
+
+describe('createReconnector', () => {
+  let client, events
+
+  // Stands in for an mqtt.js client whose reconnects fail (unless a test swaps reconnect)
+  const fakeClient = () => {
+    const c = new EventEmitter()
+    c.disconnecting = false
+    c.incomingStore = { name: 'in' }
+    c.outgoingStore = { name: 'out' }
+    c.reconnect = mock.fn(() => c.emit('close'))
+    return c
+  }
+
+  const start = (policy) => createReconnector(client, { delay: 1000, maxDelay: 4000, jitter: 0, ...policy }, {
+    onReconnecting: (info) => events.push(['reconnecting', info]),
+    onGiveUp:       (info) => events.push(['gave_up', info]),
+  })
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout'] })
+    client = fakeClient()
+    events = []
+  })
+
+  afterEach(() => mock.timers.reset())
+
+  it('schedules reconnects with growing delays, keeping the stores', () => {
+    start({ attempts: Infinity })
+    client.emit('close')
+    assert.deepEqual(events, [['reconnecting', { attempt: 1, delay: 1000 }]])
+    assert.equal(client.reconnect.mock.callCount(), 0)
+
+    mock.timers.tick(1000)
+    assert.equal(client.reconnect.mock.callCount(), 1)
+    assert.deepEqual(client.reconnect.mock.calls[0].arguments,
+      [{ incomingStore: client.incomingStore, outgoingStore: client.outgoingStore }])
+
+    mock.timers.tick(2000)
+    mock.timers.tick(4000)
+    assert.deepEqual(events.map(([, info]) => info.delay), [1000, 2000, 4000, 4000])
+  })
+
+  it('starts over after a successful connect', () => {
+    client.reconnect = mock.fn(() => client.emit('connect'))
+    start({ attempts: Infinity })
+    client.emit('close')
+    mock.timers.tick(1000)
+    client.emit('close')
+    assert.deepEqual(events.at(-1), ['reconnecting', { attempt: 1, delay: 1000 }])
+  })
+
+  it('gives up after the last attempt', () => {
+    start({ attempts: 2 })
+    client.emit('close')
+    mock.timers.tick(1000)
+    mock.timers.tick(2000)
+    assert.deepEqual(events.map(([event]) => event), ['reconnecting', 'reconnecting', 'gave_up'])
+    assert.deepEqual(events.at(-1), ['gave_up', { attempts: 2 }])
+    client.emit('close')
+    assert.equal(events.length, 3)
+  })
+
+  it('gives up right away without attempts (--fail-fast)', () => {
+    start({ attempts: 0 })
+    client.emit('close')
+    assert.deepEqual(events, [['gave_up', { attempts: 0 }]])
+    assert.equal(client.reconnect.mock.callCount(), 0)
+  })
+
+  it('ignores closes caused by end()', () => {
+    start({ attempts: Infinity })
+    client.disconnecting = true
+    client.emit('close')
+    assert.deepEqual(events, [])
+  })
+
+  it('stop() cancels a scheduled attempt', () => {
+    const reconnector = start({ attempts: Infinity })
+    client.emit('close')
+    reconnector.stop()
+    mock.timers.tick(5000)
+    assert.equal(client.reconnect.mock.callCount(), 0)
+    client.emit('close')
+    assert.equal(events.length, 1)
+  })
+})
@@ -0,0 +1,115 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, writeFile, readFile, rm } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { serializeRecord, parseRecord, createRecorder, readRecording } from '../src/recording.js'
+
+const receivedAt = new Date('2024-01-15T16:42:03.112Z')
+
+// --- serializeRecord / parseRecord -------------------------------------------
+
+describe('serializeRecord', () => {
+  it('writes topic, base64 payload, qos, retain and timestamp', () => {
+    const line = serializeRecord('a/b', Buffer.from('hi'), { qos: 1, retain: true }, receivedAt)
+    assert.deepEqual(JSON.parse(line), {
+      ts: '2024-01-15T16:42:03.112Z',
+      topic: 'a/b',
+      qos: 1,
+      retain: true,
+      payload: 'aGk=',
+    })
+  })
+
+  it('stores MQTT 5 properties with base64 correlation data', () => {
+    const packet = { qos: 0, retain: false, properties: { contentType: 'text/plain', correlationData: Buffer.from([1, 2]) } }
+    const rec = JSON.parse(serializeRecord('t', Buffer.alloc(0), packet, receivedAt))
+    assert.deepEqual(rec.properties, { contentType: 'text/plain', correlationData: 'AQI=' })
+  })
+
+  it('does not modify the packet', () => {
+    const correlationData = Buffer.from('x')
+    const packet = { qos: 0, retain: false, properties: { correlationData } }
+    serializeRecord('t', Buffer.alloc(0), packet, receivedAt)
+    assert.equal(packet.properties.correlationData, correlationData)
+  })
+})
+
+describe('parseRecord', () => {
+  it('round-trips binary payloads', () => {
+    const payload = Buffer.from([0x00, 0xff, 0x10, 0x80])
+    const rec = parseRecord(serializeRecord('bin/data', payload, { qos: 2, retain: false }, receivedAt))
+    assert.equal(rec.topic, 'bin/data')
+    assert.ok(rec.payload.equals(payload))
+    assert.deepEqual(rec.packet, { qos: 2, retain: false })
+    assert.equal(rec.receivedAt.getTime(), receivedAt.getTime())
+  })
+
+  it('round-trips MQTT 5 properties', () => {
+    const packet = { qos: 0, retain: false, properties: { userProperties: { a: '1' }, correlationData: Buffer.from('id') } }
+    const rec = parseRecord(serializeRecord('t', Buffer.alloc(0), packet, receivedAt))
+    assert.deepEqual(rec.packet.properties.userProperties, { a: '1' })
+    assert.ok(rec.packet.properties.correlationData.equals(Buffer.from('id')))
+  })
+
+  it('throws on records without a topic', () => {
+    assert.throws(() => parseRecord('{"ts":"2024-01-01T00:00:00Z","payload":""}'), /missing ts, topic or payload/)
+  })
+
+  it('throws on invalid timestamps', () => {
+    assert.throws(() => parseRecord('{"ts":"yesterday","topic":"t","payload":""}'), /invalid ts/)
+  })
+
+  it('throws on invalid JSON', () => {
+    assert.throws(() => parseRecord('not json'))
+  })
+})
+
+// --- createRecorder / readRecording ------------------------------------------
+
+describe('createRecorder and readRecording', () => {
+  let dir, path
+
+  beforeEach(async () => {
+    dir  = await mkdtemp(join(tmpdir(), 'mqtt-tail-'))
+    path = join(dir, 'rec.ndjson')
+  })
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true })
+  })
+
+  it('writes records that readRecording yields in order', async () => {
+    const recorder = createRecorder(path)
+    recorder.write('a', Buffer.from('1'), { qos: 0, retain: false }, receivedAt)
+    recorder.write('b', Buffer.from('2'), { qos: 1, retain: true }, receivedAt)
+    await recorder.close()
+
+    const records = []
+    for await (const rec of readRecording(path)) records.push(rec)
+    assert.deepEqual(records.map((r) => r.topic), ['a', 'b'])
+    assert.equal(records[1].payload.toString(), '2')
+    assert.equal(records[1].packet.retain, true)
+  })
+
+  it('appends to an existing recording', async () => {
+    for (const topic of ['first', 'second']) {
+      const recorder = createRecorder(path)
+      recorder.write(topic, Buffer.from('x'), { qos: 0, retain: false }, receivedAt)
+      await recorder.close()
+    }
+    const lines = (await readFile(path, 'utf-8')).trim().split('\n')
+    assert.equal(lines.length, 2)
+  })
+
+  it('skips blank lines and reports malformed ones with their line number', async () => {
+    const good = serializeRecord('a', Buffer.from('1'), { qos: 0, retain: false }, receivedAt)
+    await writeFile(path, `${good}\n\n{"broken":true}\n`)
+
+    const topics = []
+    await assert.rejects(async () => {
+      for await (const rec of readRecording(path)) topics.push(rec.topic)
+    }, /rec\.ndjson:3: invalid record/)
+    assert.deepEqual(topics, ['a'])
+  })
+})
@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseSpeed, replayDelay } from '../src/replay.js'
+
+// --- parseSpeed --------------------------------------------------------------
+
+describe('parseSpeed', () => {
+  it('defaults to original speed', () => {
+    assert.equal(parseSpeed(undefined), 1)
+  })
+
+  it('parses factors', () => {
+    assert.equal(parseSpeed('2'), 2)
+    assert.equal(parseSpeed('0.5'), 0.5)
+  })
+
+  it('parses max as Infinity', () => {
+    assert.equal(parseSpeed('max'), Infinity)
+    assert.equal(parseSpeed('MAX'), Infinity)
+  })
+
+  it('throws on zero, negative and non-numeric values', () => {
+    assert.throws(() => parseSpeed('0'), /Invalid speed "0"/)
+    assert.throws(() => parseSpeed('-1'), /Invalid speed/)
+    assert.throws(() => parseSpeed('fast'), /Invalid speed/)
+  })
+})
+
+// --- replayDelay -------------------------------------------------------------
+
+describe('replayDelay', () => {
+  it('keeps original spacing at speed 1', () => {
+    assert.equal(replayDelay(1000, 3000, 50_000, 50_000, 1), 2000)
+  })
+
+  it('scales spacing by the speed factor', () => {
+    assert.equal(replayDelay(1000, 3000, 50_000, 50_000, 2), 1000)
+    assert.equal(replayDelay(1000, 3000, 50_000, 50_000, 0.5), 4000)
+  })
+
+  it('subtracts time already spent', () => {
+    assert.equal(replayDelay(1000, 3000, 50_000, 51_500, 1), 500)
+  })
+
+  it('never returns a negative delay', () => {
+    assert.equal(replayDelay(1000, 3000, 50_000, 60_000, 1), 0)
+  })
+
+  it('returns 0 for max speed', () => {
+    assert.equal(replayDelay(1000, 999_000, 50_000, 50_000, Infinity), 0)
+  })
+})
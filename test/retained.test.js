@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { stripVTControlCharacters } from 'node:util'
+import { parseRetainedOptions, compareTopics, formatRetainedTable } from '../src/retained.js'
+
+const message = (topic, payload, qos = 0) => ({
+  topic,
+  payload: Buffer.from(payload),
+  packet: { qos, retain: true },
+  receivedAt: new Date(),
+  decoded: null,
+})
+
+// --- parseRetainedOptions ----------------------------------------------------
+
+describe('parseRetainedOptions', () => {
+  it('defaults to a 2s idle time and no clearing', () => {
+    assert.deepEqual(parseRetainedOptions({}, false), { idle: 2000, clear: false, dryRun: false, confirm: false })
+  })
+
+  it('asks before clearing, unless --yes or --dry-run', () => {
+    assert.equal(parseRetainedOptions({ clear: true }, true).confirm, true)
+    assert.equal(parseRetainedOptions({ clear: true, yes: true }, false).confirm, false)
+    assert.deepEqual(parseRetainedOptions({ clear: true, dryRun: true, idle: '500ms' }, false),
+      { idle: 500, clear: true, dryRun: true, confirm: false })
+  })
+
+  it('refuses to clear without a terminal to confirm on', () => {
+    assert.throws(() => parseRetainedOptions({ clear: true }, false), /pass --yes when stdin is not a terminal/)
+  })
+
+  it('rejects invalid combinations', () => {
+    assert.throws(() => parseRetainedOptions({ dryRun: true }, true), /--dry-run and --yes need --clear/)
+    assert.throws(() => parseRetainedOptions({ retained: false }, true), /--no-retained cannot be used/)
+    assert.throws(() => parseRetainedOptions({ idle: 'soon' }, true), /Invalid --idle "soon"/)
+  })
+})
+
+// --- Snapshot ----------------------------------------------------------------
+
+describe('compareTopics', () => {
+  it('sorts level by level, parents first', () => {
+    const topics = ['a-b', 'a/b/c', 'b', 'a/b', 'a', 'a/B']
+    assert.deepEqual(topics.sort(compareTopics), ['a', 'a/B', 'a/b', 'a/b/c', 'a-b', 'b'])
+  })
+})
+
+describe('formatRetainedTable', () => {
+  it('lists topic, QoS, size and a one-line preview', () => {
+    const table = stripVTControlCharacters(formatRetainedTable([
+      message('devices/1/state', '{\n  "on": true\n}', 1),
+      message('x', 'line 1\nline 2'),
+    ], {}))
+    assert.deepEqual(table.split('\n'), [
+      'TOPIC            QOS  SIZE  PAYLOAD',
+      'devices/1/state  1     16B  {"on":true}',
+      'x                0     13B  line 1 line 2',
+    ])
+  })
+
+  it('cuts previews to the width', () => {
+    const table = stripVTControlCharacters(formatRetainedTable([message('t', 'x'.repeat(100))], {}, 40))
+    const row = table.split('\n')[1]
+    assert.equal(row.length, 40)
+    assert.ok(row.endsWith('…'))
+  })
+})
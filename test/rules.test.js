@@ -0,0 +1,182 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { createServer } from 'http'
+import { once } from 'events'
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { compileRules, matchRules, createRules } from '../src/rules.js'
+
+const message = (topic, payload) => ({
+  topic,
+  payload: Buffer.from(payload),
+  packet: { qos: 0, retain: false },
+  receivedAt: new Date(Date.UTC(2024, 0, 15, 16, 42, 3)),
+  decoded: null,
+  diff: null,
+})
+
+// --- compileRules ------------------------------------------------------------
+
+describe('compileRules', () => {
+  it('is empty without rules', () => {
+    assert.deepEqual(compileRules(undefined), [])
+  })
+
+  it('names rules after their position unless named, and limits them to 1/10s', () => {
+    const [first, second] = compileRules([{ badge: 'A' }, { name: 'b', bell: true, rate: '5/1m' }])
+    assert.equal(first.name, 'rules[0]')
+    assert.deepEqual(first.rate, { limit: 1, interval: 10_000 })
+    assert.equal(second.name, 'b')
+    assert.deepEqual(second.rate, { limit: 5, interval: 60_000 })
+  })
+
+  it('rejects invalid rules, naming them', () => {
+    assert.throws(() => compileRules({}), /Invalid "rules" config \(expected an array\)/)
+    assert.throws(() => compileRules(['x']), /rules\[0\]: expected an object/)
+    assert.throws(() => compileRules([{ topic: 'a/#' }]), /rules\[0\]: nothing to do/)
+    assert.throws(() => compileRules([{ bell: true }, { color: 'pink' }]), /rules\[1\]: invalid color "pink"/)
+    assert.throws(() => compileRules([{ webhook: 'ftp://example.com' }]), /rules\[0\]: invalid webhook URL/)
+    assert.throws(() => compileRules([{ bell: true, rate: 'often' }]), /rules\[0\]: invalid rate "often"/)
+    assert.throws(() => compileRules([{ bell: true, payload: '(' }]), /Invalid rules\[0\] payload regex/)
+    assert.throws(() => compileRules([{ bell: true, where: 'temp >' }]), /Invalid rules\[0\] where at position 7/)
+  })
+})
+
+describe('matchRules', () => {
+  const rules = compileRules([
+    { name: 'hot', topic: 'sensors/+/temp', where: 'value > 30', badge: 'HOT' },
+    { name: 'errors', payload: 'error|fail', badge: 'ERR' },
+  ])
+  const names = (msg) => matchRules(rules, msg).map((rule) => rule.name)
+
+  it('matches the topic filter, payload regex and condition together', () => {
+    assert.deepEqual(names(message('sensors/1/temp', '{"value":31}')), ['hot'])
+    assert.deepEqual(names(message('sensors/1/temp', '{"value":20}')), [])
+    assert.deepEqual(names(message('sensors/1/hum', '{"value":31}')), [])
+    assert.deepEqual(names(message('sensors/1/temp', '{"value":40,"error":1}')), ['hot', 'errors'])
+  })
+
+  it('tests the condition against the decoded value', () => {
+    const msg = { ...message('sensors/1/temp', 'binary'), decoded: { decoder: 'cbor', value: { value: 50 } } }
+    assert.deepEqual(names(msg), ['hot'])
+  })
+})
+
+// --- createRules -------------------------------------------------------------
+
+// Runs a message through the stage and commits it, as the pipeline does for delivered messages
+const fire = (rules, msg) => {
+  rules.stage.run(msg)
+  rules.stage.commit(msg)
+}
+
+describe('createRules', () => {
+  let dir, server, url
+  const requests = []
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'mqtt-tail-rules-'))
+    server = createServer((req, res) => {
+      let body = ''
+      req.on('data', (chunk) => { body += chunk })
+      req.on('end', () => {
+        requests.push({ path: req.url, type: req.headers['content-type'], body: JSON.parse(body) })
+        res.statusCode = req.url === '/fail' ? 500 : 204
+        res.end()
+      })
+    })
+    server.listen(0, '127.0.0.1')
+    await once(server, 'listening')
+    url = `http://127.0.0.1:${server.address().port}`
+  })
+
+  after(async () => {
+    server.close()
+    await rm(dir, { recursive: true, force: true })
+  })
+
+  it('is null without rules', () => {
+    assert.equal(createRules({}), null)
+  })
+
+  it('highlights with the first matching rule that has a color or badge', async () => {
+    const rules = createRules({ rules: [{ name: 'ring', bell: true }, { name: 'hot', badge: 'HOT' }] }, { bell: () => {} })
+    const msg = message('a', 'x')
+    assert.equal(rules.stage.run(msg), null)
+    assert.equal(msg.rule.name, 'hot')
+    assert.equal(rules.stage.name, 'rules')
+    await rules.close()
+  })
+
+  it('fires the actions only when the message is committed', async () => {
+    let rung = 0
+    const rules = createRules({ rules: [{ name: 'ring', bell: true }] }, { bell: () => rung++ })
+    const msg = message('a', 'x')
+    rules.stage.run(msg)
+    assert.equal(msg.rule.name, 'ring')
+    assert.equal(rung, 0)
+    rules.stage.commit(msg)
+    assert.equal(rung, 1)
+    await rules.close()
+  })
+
+  it('rings the bell at most rate times and logs each firing', async () => {
+    const log = []
+    let rung = 0
+    const rules = createRules({ rules: [{ name: 'ring', bell: true, rate: '2/1m' }] }, {
+      log: (line) => log.push(line),
+      bell: () => rung++,
+    })
+    for (let i = 0; i < 5; i++) fire(rules, message('a/b', 'x'))
+    await rules.close()
+
+    assert.equal(rung, 2)
+    assert.deepEqual(log, [
+      'rule "ring" fired on a/b: bell',
+      'rule "ring" fired on a/b: bell',
+      'rule "ring": 3 firing(s) rate-limited',
+    ])
+  })
+
+  it('runs the command with the message as JSON on stdin', async () => {
+    const out = join(dir, 'stdin.json')
+    const script = join(dir, 'save.cjs')
+    await writeFile(script, `require('fs').writeFileSync(${JSON.stringify(out)},
+      require('fs').readFileSync(0, 'utf8') + process.env.MQTT_RULE + ' ' + process.env.MQTT_TOPIC)`)
+
+    const rules = createRules({ rules: [{ name: 'save', topic: 'a/#', exec: `"${process.execPath}" "${script}"` }] })
+    fire(rules, message('a/b', '{"n":1}'))
+    await rules.close()
+
+    const [json, env] = (await readFile(out, 'utf8')).split('\n')
+    assert.deepEqual(JSON.parse(json), {
+      timestamp: '2024-01-15T16:42:03.000Z', topic: 'a/b', payload: { n: 1 }, qos: 0, retain: false, size: 7, rule: 'save',
+    })
+    assert.equal(env, 'save a/b')
+  })
+
+  it('posts the message to the webhook and reports failures', async () => {
+    const warnings = []
+    const rules = createRules({ rules: [{ name: 'hook', webhook: `${url}/hook` }, { name: 'broken', webhook: `${url}/fail` }] }, {
+      warn: (line) => warnings.push(line),
+    })
+    fire(rules, message('a', 'hello'))
+    await rules.close()
+
+    assert.deepEqual(requests.find((r) => r.path === '/hook'), {
+      path: '/hook',
+      type: 'application/json',
+      body: { timestamp: '2024-01-15T16:42:03.000Z', topic: 'a', payload: 'hello', qos: 0, retain: false, size: 5, rule: 'hook' },
+    })
+    assert.deepEqual(warnings, ['rule "broken": webhook failed: webhook returned 500 Internal Server Error'])
+  })
+
+  it('reports failing commands', async () => {
+    const warnings = []
+    const rules = createRules({ rules: [{ name: 'fails', exec: 'exit 3' }] }, { warn: (line) => warnings.push(line) })
+    fire(rules, message('a', 'x'))
+    await rules.close()
+    assert.deepEqual(warnings, ['rule "fails": command failed: command exited with 3'])
+  })
+})
@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { compileSelect } from '../src/select.js'
+
+// --- compileSelect -----------------------------------------------------------
+
+describe('compileSelect', () => {
+  const doc = { a: { b: 1, x: 2 }, c: [{ d: 3, e: 4 }], 'k,v': 5, n: null }
+
+  it('returns null for an empty selection', () => {
+    assert.equal(compileSelect(''), null)
+    assert.equal(compileSelect(undefined), null)
+    assert.equal(compileSelect(' , '), null)
+  })
+
+  it('projects to a flat object keyed by path', () => {
+    assert.deepEqual(compileSelect('a.b,c[0].d')(doc), { 'a.b': 1, 'c[0].d': 3 })
+  })
+
+  it('trims whitespace around paths', () => {
+    assert.deepEqual(compileSelect(' a.b , c[0].e ')(doc), { 'a.b': 1, 'c[0].e': 4 })
+  })
+
+  it('accepts an array of paths', () => {
+    assert.deepEqual(compileSelect(['a.b', 'c[0].d'])(doc), { 'a.b': 1, 'c[0].d': 3 })
+  })
+
+  it('keeps whole subtrees', () => {
+    assert.deepEqual(compileSelect('a')(doc), { a: { b: 1, x: 2 } })
+  })
+
+  it('leaves missing paths out', () => {
+    assert.deepEqual(compileSelect('a.b,missing,c[9].d,a.b.deeper')(doc), { 'a.b': 1 })
+  })
+
+  it('keeps null values', () => {
+    assert.deepEqual(compileSelect('n')(doc), { n: null })
+  })
+
+  it('does not split on commas inside quoted keys', () => {
+    assert.deepEqual(compileSelect('["k,v"],a.b')(doc), { '["k,v"]': 5, 'a.b': 1 })
+  })
+
+  it('works on array payloads', () => {
+    assert.deepEqual(compileSelect('[1].id')([{ id: 'a' }, { id: 'b' }]), { '[1].id': 'b' })
+  })
+
+  it('returns scalar payloads unchanged', () => {
+    const select = compileSelect('a.b')
+    assert.equal(select(42), 42)
+    assert.equal(select('text'), 'text')
+    assert.equal(select(null), null)
+  })
+
+  it('throws on invalid paths', () => {
+    assert.throws(() => compileSelect('a..b'), /Invalid --select path "a\.\.b"/)
+    assert.throws(() => compileSelect('a > 1'), /Invalid --select path/)
+  })
+})
@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { addProfile } from '../src/setup.js'
+
+// --- addProfile --------------------------------------------------------------
+
+describe('addProfile', () => {
+  it('creates a profiles map in an empty config', () => {
+    assert.deepEqual(addProfile({}, 'dev', { host: 'dev.local' }), {
+      profiles: { dev: { host: 'dev.local' } },
+    })
+  })
+
+  it('moves a flat config into the default profile', () => {
+    const result = addProfile({ host: 'prod.local', username: 'alice' }, 'dev', { host: 'dev.local' })
+    assert.deepEqual(result, {
+      profiles: {
+        default: { host: 'prod.local', username: 'alice' },
+        dev: { host: 'dev.local' },
+      },
+    })
+  })
+
+  it('leaves keys other than the connection at the top level', () => {
+    const rules = [{ topic: 'alarms/#', bell: true }]
+    const result = addProfile({ url: 'mqtts://prod.local', tls: true, qos: 1, rules }, 'dev', { host: 'dev.local' })
+    assert.deepEqual(result, {
+      qos: 1,
+      rules,
+      profiles: {
+        default: { url: 'mqtts://prod.local', tls: true },
+        dev: { host: 'dev.local' },
+      },
+    })
+  })
+
+  it('keeps other profiles and shared top-level keys', () => {
+    const existing = { qos: 1, profiles: { default: { host: 'a' }, staging: { host: 'b' } } }
+    const result = addProfile(existing, 'prod', { host: 'c' })
+    assert.equal(result.qos, 1)
+    assert.deepEqual(Object.keys(result.profiles), ['default', 'staging', 'prod'])
+  })
+
+  it('replaces an existing profile of the same name', () => {
+    const result = addProfile({ profiles: { dev: { host: 'old' } } }, 'dev', { host: 'new' })
+    assert.deepEqual(result.profiles.dev, { host: 'new' })
+  })
+})
@@ -0,0 +1,218 @@
+import { describe, it, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import protobuf from 'protobufjs'
+import { parseSparkplugTopic, createSparkplugDecoder } from '../src/sparkplug.js'
+import { createDecoder } from '../src/decoders.js'
+
+// Wire-compatible subset of the Sparkplug B schema, used to encode test payloads
+const Payload = protobuf.parse(`
+syntax = "proto2";
+message Payload {
+  message DataSet {
+    message DataSetValue {
+      oneof value { uint32 int_value = 1; uint64 long_value = 2; float float_value = 3; string string_value = 6; }
+    }
+    message Row { repeated DataSetValue elements = 1; }
+    optional uint64 num_of_columns = 1;
+    repeated string columns = 2;
+    repeated uint32 types = 3;
+    repeated Row rows = 4;
+  }
+  message Metric {
+    optional string name = 1;
+    optional uint64 alias = 2;
+    optional uint64 timestamp = 3;
+    optional uint32 datatype = 4;
+    optional bool is_null = 7;
+    oneof value {
+      uint32 int_value = 10; uint64 long_value = 11; float float_value = 12; double double_value = 13;
+      bool boolean_value = 14; string string_value = 15; bytes bytes_value = 16; DataSet dataset_value = 17;
+    }
+  }
+  optional uint64 timestamp = 1;
+  repeated Metric metrics = 2;
+  optional uint64 seq = 3;
+  optional string uuid = 4;
+}
+`).root.lookupType('Payload')
+
+const encode = (obj) => Buffer.from(Payload.encode(Payload.fromObject(obj)).finish())
+
+// Sparkplug datatype codes used below
+const INT8 = 1, INT32 = 3, INT64 = 4, UINT64 = 8, FLOAT = 9, STRING = 12, DATETIME = 13
+const DATASET = 16, INT16_ARRAY = 23, BOOLEAN_ARRAY = 32, STRING_ARRAY = 33
+
+// --- parseSparkplugTopic -----------------------------------------------------
+
+describe('parseSparkplugTopic', () => {
+  it('parses edge node topics', () => {
+    assert.deepEqual(parseSparkplugTopic('spBv1.0/Plant1/NDATA/Edge1'), {
+      messageType: 'NDATA', groupId: 'Plant1', edgeNodeId: 'Edge1',
+    })
+  })
+
+  it('parses device topics', () => {
+    assert.deepEqual(parseSparkplugTopic('spBv1.0/Plant1/DBIRTH/Edge1/Pump3'), {
+      messageType: 'DBIRTH', groupId: 'Plant1', edgeNodeId: 'Edge1', deviceId: 'Pump3',
+    })
+  })
+
+  it('parses STATE topics', () => {
+    assert.deepEqual(parseSparkplugTopic('spBv1.0/STATE/scada1'), { messageType: 'STATE', hostId: 'scada1' })
+  })
+
+  it('returns null outside the spBv1.0 namespace', () => {
+    assert.equal(parseSparkplugTopic('sensors/temp'), null)
+    assert.equal(parseSparkplugTopic('spAv1.0/g/NDATA/e'), null)
+  })
+
+  it('throws on malformed Sparkplug topics', () => {
+    assert.throws(() => parseSparkplugTopic('spBv1.0/g/NOPE/e'), /Not a Sparkplug B topic/)
+    assert.throws(() => parseSparkplugTopic('spBv1.0/g/NDATA'), /Not a Sparkplug B topic/)
+    assert.throws(() => parseSparkplugTopic('spBv1.0/g/NDATA/e/d'), /Not a Sparkplug B topic/)
+    assert.throws(() => parseSparkplugTopic('spBv1.0/g/DDATA/e'), /Not a Sparkplug B topic/)
+  })
+})
+
+// --- createSparkplugDecoder --------------------------------------------------
+
+describe('createSparkplugDecoder', () => {
+  let decode
+
+  beforeEach(async () => {
+    decode = await createSparkplugDecoder()
+  })
+
+  const nbirth = encode({
+    timestamp: 1700000000000,
+    seq: 0,
+    metrics: [
+      { name: 'bdSeq', datatype: UINT64, longValue: 3 },
+      { name: 'Temp', alias: 1, datatype: FLOAT, floatValue: 21.5, timestamp: 1700000000000 },
+      { name: 'Offset', alias: 2, datatype: INT8, intValue: 0xfe },
+    ],
+  })
+
+  it('decodes payload fields and metrics with names, aliases, datatypes and timestamps', () => {
+    assert.deepEqual(decode('spBv1.0/Plant1/NBIRTH/Edge1', nbirth), {
+      messageType: 'NBIRTH',
+      groupId: 'Plant1',
+      edgeNodeId: 'Edge1',
+      timestamp: '2023-11-14T22:13:20.000Z',
+      seq: 0,
+      metrics: [
+        { name: 'bdSeq', datatype: 'UInt64', value: 3 },
+        { name: 'Temp', alias: 1, datatype: 'Float', value: 21.5, timestamp: '2023-11-14T22:13:20.000Z' },
+        { name: 'Offset', alias: 2, datatype: 'Int8', value: -2 },
+      ],
+    })
+  })
+
+  it('resolves aliases learned from NBIRTH in later NDATA', () => {
+    decode('spBv1.0/Plant1/NBIRTH/Edge1', nbirth)
+    const ndata = encode({ seq: 1, metrics: [{ alias: 1, floatValue: 22 }, { alias: 2, intValue: 0xff }] })
+    assert.deepEqual(decode('spBv1.0/Plant1/NDATA/Edge1', ndata).metrics, [
+      { name: 'Temp', alias: 1, datatype: 'Float', value: 22 },
+      { name: 'Offset', alias: 2, datatype: 'Int8', value: -1 },
+    ])
+  })
+
+  it('resolves device aliases from DBIRTH and keeps nodes apart', () => {
+    decode('spBv1.0/Plant1/DBIRTH/Edge1/Pump3', encode({
+      metrics: [{ name: 'Speed', alias: 10, datatype: INT32, intValue: 5 }],
+    }))
+    const ddata = encode({ metrics: [{ alias: 10, intValue: 0xffffffff }] })
+    assert.deepEqual(decode('spBv1.0/Plant1/DDATA/Edge1/Pump3', ddata).metrics, [
+      { name: 'Speed', alias: 10, datatype: 'Int32', value: -1 },
+    ])
+    // Same alias on another edge node is unknown
+    assert.deepEqual(decode('spBv1.0/Plant1/DDATA/Edge2/Pump3', ddata).metrics, [
+      { alias: 10, datatype: 'Unknown', value: 4294967295 },
+    ])
+  })
+
+  it('forgets aliases when the node is born again', () => {
+    decode('spBv1.0/Plant1/NBIRTH/Edge1', nbirth)
+    decode('spBv1.0/Plant1/NBIRTH/Edge1', encode({ metrics: [{ name: 'Other', alias: 7, datatype: STRING, stringValue: 'x' }] }))
+    const ndata = encode({ metrics: [{ alias: 1, floatValue: 22 }] })
+    assert.equal(decode('spBv1.0/Plant1/NDATA/Edge1', ndata).metrics[0].name, undefined)
+  })
+
+  it('uses the birth datatype for metrics sent by name only', () => {
+    decode('spBv1.0/Plant1/NBIRTH/Edge1', nbirth)
+    const ndata = encode({ metrics: [{ name: 'Offset', intValue: 0x80 }] })
+    assert.deepEqual(decode('spBv1.0/Plant1/NDATA/Edge1', ndata).metrics[0], { name: 'Offset', datatype: 'Int8', value: -128 })
+  })
+
+  it('converts 64-bit, date-time and null values', () => {
+    const out = decode('spBv1.0/g/NDATA/e', encode({
+      metrics: [
+        { name: 'a', datatype: INT64, longValue: '18446744073709551615' },
+        { name: 'b', datatype: UINT64, longValue: '18446744073709551615' },
+        { name: 'c', datatype: DATETIME, longValue: 0 },
+        { name: 'd', datatype: FLOAT, isNull: true },
+      ],
+    }))
+    assert.deepEqual(out.metrics.map((m) => m.value), [-1, '18446744073709551615', '1970-01-01T00:00:00.000Z', null])
+  })
+
+  it('unpacks array datatypes', () => {
+    const out = decode('spBv1.0/g/NDATA/e', encode({
+      metrics: [
+        { name: 'ints', datatype: INT16_ARRAY, bytesValue: Buffer.from([0x01, 0x00, 0xff, 0xff]) },
+        { name: 'flags', datatype: BOOLEAN_ARRAY, bytesValue: Buffer.from([3, 0, 0, 0, 0b10100000]) },
+        { name: 'names', datatype: STRING_ARRAY, bytesValue: Buffer.from('ab\0cd\0') },
+      ],
+    }))
+    assert.deepEqual(out.metrics.map((m) => m.value), [[1, -1], [true, false, true], ['ab', 'cd']])
+  })
+
+  it('converts datasets', () => {
+    const out = decode('spBv1.0/g/NDATA/e', encode({
+      metrics: [{
+        name: 'table',
+        datatype: DATASET,
+        datasetValue: {
+          numOfColumns: 2,
+          columns: ['id', 'label'],
+          types: [INT32, STRING],
+          rows: [{ elements: [{ intValue: 0xffffffff }, { stringValue: 'x' }] }],
+        },
+      }],
+    }))
+    assert.deepEqual(out.metrics[0].value, { columns: ['id', 'label'], types: ['Int32', 'String'], rows: [[-1, 'x']] })
+  })
+
+  it('decodes STATE messages as JSON or legacy text', () => {
+    assert.deepEqual(decode('spBv1.0/STATE/scada1', Buffer.from('{"online":true,"timestamp":0}')), {
+      messageType: 'STATE', hostId: 'scada1', online: true, timestamp: '1970-01-01T00:00:00.000Z',
+    })
+    assert.equal(decode('spBv1.0/STATE/scada1', Buffer.from('OFFLINE')).online, false)
+  })
+
+  it('throws on payloads that are not Sparkplug B', () => {
+    assert.throws(() => decode('spBv1.0/g/NDATA/e', Buffer.from([0x12, 0x05, 0x01])))
+    assert.throws(() => decode('sensors/temp', nbirth), /Not a Sparkplug B topic/)
+  })
+})
+
+// --- --sparkplug decoder rule ------------------------------------------------
+
+describe('createDecoder with sparkplug', () => {
+  it('decodes spBv1.0 topics ahead of --decode', async () => {
+    const decode = await createDecoder({ sparkplug: true, decode: 'msgpack' })
+    const nbirth = encode({ metrics: [{ name: 'x', datatype: INT32, intValue: 1 }] })
+    assert.equal(decode('spBv1.0/g/NBIRTH/e', nbirth).decoder, 'sparkplug')
+    assert.equal(decode('other/topic', Buffer.from([0x01])).decoder, 'msgpack')
+  })
+
+  it('leaves other topics alone without --decode', async () => {
+    const decode = await createDecoder({ sparkplug: true })
+    assert.equal(decode('sensors/temp', Buffer.from('{}')), null)
+  })
+
+  it('accepts "sparkplug" in config decoder rules', async () => {
+    const decode = await createDecoder({ decoders: [{ topic: 'spBv1.0/#', decode: 'sparkplug' }] })
+    assert.equal(decode('spBv1.0/STATE/h', Buffer.from('ONLINE')).value.online, true)
+  })
+})
@@ -0,0 +1,133 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, readFile, rm, writeFile, mkdir } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { parseSplitOptions, fileExtension, encodeLevel, topicPath, createSplitWriter } from '../src/splitdir.js'
+
+// --- parseSplitOptions / fileExtension ---------------------------------------
+
+describe('parseSplitOptions', () => {
+  it('is null without --split-dir', () => {
+    assert.equal(parseSplitOptions({}), null)
+  })
+
+  it('keeps 64 files open by default', () => {
+    assert.deepEqual(parseSplitOptions({ splitDir: 'logs' }), { dir: 'logs', maxOpen: 64 })
+    assert.deepEqual(parseSplitOptions({ splitDir: 'logs', splitMaxOpen: '8' }), { dir: 'logs', maxOpen: 8 })
+  })
+
+  it('rejects invalid combinations and values', () => {
+    assert.throws(() => parseSplitOptions({ splitMaxOpen: '8' }), /--split-max-open needs --split-dir <dir>/)
+    assert.throws(() => parseSplitOptions({ splitDir: 'logs', stats: true }), /--split-dir cannot be combined with --stats/)
+    assert.throws(() => parseSplitOptions({ splitDir: 'logs', splitMaxOpen: '0' }),
+      /Invalid --split-max-open "0" \(expected an integer >= 1\)/)
+  })
+})
+
+describe('fileExtension', () => {
+  it('follows the output format', () => {
+    assert.equal(fileExtension({}), '.log')
+    assert.equal(fileExtension({ compact: true }), '.log')
+    assert.equal(fileExtension({ outputJson: true }), '.ndjson')
+    assert.equal(fileExtension({ output: 'tsv' }), '.tsv')
+  })
+})
+
+// --- encodeLevel / topicPath -------------------------------------------------
+
+describe('encodeLevel', () => {
+  it('keeps letters, digits and safe punctuation of any script', () => {
+    assert.equal(encodeLevel('temp_1.raw', '.log'), 'temp_1.raw')
+    assert.equal(encodeLevel('$SYS', '.log'), '$SYS')
+    assert.equal(encodeLevel('Küche', '.log'), 'Küche')
+  })
+
+  it('percent-encodes unsafe characters, including %', () => {
+    assert.equal(encodeLevel('a b', '.log'), 'a%20b')
+    assert.equal(encodeLevel('C:\\x*?', '.log'), 'C%3A%5Cx%2A%3F')
+    assert.equal(encodeLevel('50%', '.log'), '50%25')
+    assert.equal(encodeLevel('\u0001', '.log'), '%01')
+  })
+
+  it('escapes empty, "." and ".." levels', () => {
+    assert.equal(encodeLevel('', '.log'), '%')
+    assert.equal(encodeLevel('.', '.log'), '%2E')
+    assert.equal(encodeLevel('..', '.log'), '%2E%2E')
+  })
+
+  it('escapes levels that end in the file extension', () => {
+    assert.equal(encodeLevel('app.log', '.log'), 'app%2Elog')
+    assert.equal(encodeLevel('APP.LOG', '.log'), 'APP%2ELOG')
+  })
+})
+
+describe('topicPath', () => {
+  it('maps topic levels onto directories', () => {
+    assert.equal(topicPath('sensors/living/temp', '.log'), join('sensors', 'living', 'temp.log'))
+    assert.equal(topicPath('/leading//empty', '.ndjson'), join('%', 'leading', '%', 'empty.ndjson'))
+    assert.equal(topicPath('a/../b', '.log'), join('a', '%2E%2E', 'b.log'))
+  })
+
+  it('keeps a topic file apart from the directory of its subtopics', () => {
+    assert.notEqual(topicPath('a/b', '.log'), topicPath('a/b.log', '.log'))
+    assert.equal(topicPath('a/b.log/c', '.log'), join('a', 'b%2Elog', 'c.log'))
+  })
+})
+
+// --- createSplitWriter -------------------------------------------------------
+
+describe('createSplitWriter', () => {
+  let dir
+
+  beforeEach(async () => {
+    dir = join(await mkdtemp(join(tmpdir(), 'mqtt-tail-split-')), 'topics')
+  })
+
+  afterEach(async () => {
+    await rm(join(dir, '..'), { recursive: true, force: true })
+  })
+
+  const read = (topicFile) => readFile(join(dir, topicFile), 'utf8')
+
+  it('appends each line to its topic file, without colors', async () => {
+    const writer = createSplitWriter({ dir, maxOpen: 64 }, { ext: '.log' })
+    writer.write('a/b', '\u001b[36mone\u001b[39m')
+    writer.write('a', 'two')
+    writer.write('a/b', 'three')
+    writer.close()
+    assert.equal(await read('a/b.log'), 'one\nthree\n')
+    assert.equal(await read('a.log'), 'two\n')
+  })
+
+  it('closes the least recently written file to stay within maxOpen', async () => {
+    const writer = createSplitWriter({ dir, maxOpen: 2 }, { ext: '.log' })
+    for (const topic of ['t/1', 't/2', 't/1', 't/3', 't/1', 't/2']) writer.write(topic, topic)
+    assert.equal(writer.open, 2)
+    writer.close()
+    assert.equal(writer.open, 0)
+    assert.equal(await read('t/1.log'), 't/1\nt/1\nt/1\n')
+    assert.equal(await read('t/2.log'), 't/2\nt/2\n')
+  })
+
+  it('writes the header to new files only', async () => {
+    await mkdir(join(dir, 'a'), { recursive: true })
+    await writeFile(join(dir, 'a', 'old.csv'), 'header\nrow 0\n')
+    const writer = createSplitWriter({ dir, maxOpen: 64 }, { ext: '.csv', header: 'header' })
+    writer.write('a/old', 'row 1')
+    writer.write('a/new', 'row 1')
+    writer.close()
+    assert.equal(await read('a/old.csv'), 'header\nrow 0\nrow 1\n')
+    assert.equal(await read('a/new.csv'), 'header\nrow 1\n')
+  })
+
+  it('reports write errors', async () => {
+    await mkdir(dir)
+    await writeFile(join(dir, 'blocked'), '')
+    const errors = []
+    const writer = createSplitWriter({ dir, maxOpen: 64 }, { ext: '.log', onError: (err) => errors.push(err.code) })
+    writer.write('blocked/x', 'x')
+    writer.close()
+    assert.deepEqual(errors, ['EEXIST'])
+  })
+})
@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { stripVTControlCharacters } from 'node:util'
+import { createStats, formatBytes, formatStatsTable, parseStatsInterval } from '../src/stats.js'
+
+const T0 = Date.UTC(2024, 0, 15, 16, 42, 0)
+const at = (ms) => new Date(T0 + ms)
+
+// --- createStats -------------------------------------------------------------
+
+describe('createStats', () => {
+  it('counts messages, bytes and sizes per topic', () => {
+    const stats = createStats(T0)
+    stats.record('a', Buffer.alloc(10), at(100))
+    stats.record('a', Buffer.alloc(30), at(200))
+    stats.record('b', 'hello', at(300))
+
+    const { topics, total } = stats.summary(T0 + 1000)
+    const a = topics.find((t) => t.topic === 'a')
+    assert.deepEqual(
+      { count: a.count, bytes: a.bytes, minSize: a.minSize, avgSize: a.avgSize, maxSize: a.maxSize },
+      { count: 2, bytes: 40, minSize: 10, avgSize: 20, maxSize: 30 },
+    )
+    assert.deepEqual(total, { topics: 2, count: 3, bytes: 45, rate: 3, byteRate: 45 })
+  })
+
+  it('reports the last receive time and its age', () => {
+    const stats = createStats(T0)
+    stats.record('a', 'x', at(2000))
+    stats.record('a', 'x', at(1000))   // out of order: keeps the latest
+    const [a] = stats.summary(T0 + 4500).topics
+    assert.equal(a.lastSeen, '2024-01-15T16:42:02.000Z')
+    assert.equal(a.age, 2.5)
+  })
+
+  it('snapshot() rates cover the interval since the previous snapshot', () => {
+    const stats = createStats(T0)
+    for (let i = 0; i < 10; i++) stats.record('a', 'xx', at(i * 100))
+    const first = stats.snapshot(T0 + 2000)
+    assert.equal(first.interval, 2)
+    assert.equal(first.topics[0].rate, 5)
+    assert.equal(first.topics[0].byteRate, 10)
+
+    stats.record('a', 'xx', at(2500))
+    const second = stats.snapshot(T0 + 4000)
+    assert.equal(second.topics[0].rate, 0.5)
+    assert.equal(second.topics[0].count, 11)
+    assert.equal(second.total.rate, 0.5)
+  })
+
+  it('summary() rates cover the whole run and do not reset the interval', () => {
+    const stats = createStats(T0)
+    for (let i = 0; i < 8; i++) stats.record('a', 'x', at(i * 100))
+    assert.equal(stats.summary(T0 + 4000).topics[0].rate, 2)
+    assert.equal(stats.snapshot(T0 + 2000).topics[0].rate, 4)
+  })
+
+  it('returns no topics before the first message', () => {
+    const stats = createStats(T0)
+    assert.deepEqual(stats.snapshot(T0 + 1000).total, { topics: 0, count: 0, bytes: 0, rate: 0, byteRate: 0 })
+  })
+})
+
+// --- Table -------------------------------------------------------------------
+
+describe('formatBytes', () => {
+  it('picks B, KB or MB', () => {
+    assert.equal(formatBytes(512), '512B')
+    assert.equal(formatBytes(1536), '1.5KB')
+    assert.equal(formatBytes(3.2 * 1024 * 1024), '3.2MB')
+  })
+})
+
+describe('formatStatsTable', () => {
+  const stats = createStats(T0)
+  for (let i = 0; i < 4; i++) stats.record('slow', 'x', at(0))
+  for (let i = 0; i < 20; i++) stats.record('sensors/fast', Buffer.alloc(2048), at(1500))
+  const snapshot = stats.snapshot(T0 + 2000)
+
+  it('shows totals and one aligned row per topic, busiest first', () => {
+    const lines = stripVTControlCharacters(formatStatsTable(snapshot, { title: 'summary' })).split('\n')
+    assert.match(lines[0], /^mqtt-tail summary .*\(2s\) {2}2 topics {2}24 msgs {2}12\.0 msg\/s {2}20\.0KB\/s$/)
+    assert.match(lines[1], /^TOPIC\s+MSG\/S\s+B\/S\s+TOTAL\s+LAST\s+MIN\s+AVG\s+MAX$/)
+    assert.match(lines[2], /^sensors\/fast\s+10\.0\s+20\.0KB\s+20\s+0s\s+2\.0KB\s+2\.0KB\s+2\.0KB$/)
+    assert.match(lines[3], /^slow\s+2\.0\s+2B\s+4\s+2s\s+1B\s+1B\s+1B$/)
+    assert.equal(lines[2].length, lines[3].length)
+  })
+
+  it('limits the rows and says how many are hidden', () => {
+    const lines = stripVTControlCharacters(formatStatsTable(snapshot, { maxRows: 1 })).split('\n')
+    assert.equal(lines.length, 4)
+    assert.equal(lines[3], '… 1 more topics')
+  })
+})
+
+describe('parseStatsInterval', () => {
+  it('defaults to 5 seconds and returns ms', () => {
+    assert.equal(parseStatsInterval(undefined), 5000)
+    assert.equal(parseStatsInterval('0.5'), 500)
+  })
+
+  it('rejects other values', () => {
+    assert.throws(() => parseStatsInterval('0'), /Invalid stats interval "0"/)
+    assert.throws(() => parseStatsInterval('abc'), /Invalid stats interval/)
+  })
+})
@@ -0,0 +1,83 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, readFile, writeFile, rm } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { createFileStore, openPacketStores } from '../src/store.js'
+
+const packet = (messageId, payload = 'x') => ({
+  cmd: 'publish', messageId, topic: 't', qos: 1, payload: Buffer.from(payload),
+})
+
+const call = (store, method, p) => new Promise((resolve, reject) => {
+  store[method](p, (err, result) => err ? reject(err) : resolve(result))
+})
+
+describe('createFileStore', () => {
+  let dir, file
+
+  beforeEach(async () => {
+    dir  = await mkdtemp(join(tmpdir(), 'mqtt-tail-'))
+    file = join(dir, 'outgoing.json')
+  })
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true })
+  })
+
+  it('puts, gets and deletes packets by message ID', async () => {
+    const store = createFileStore(file)
+    await call(store, 'put', packet(1))
+    assert.equal((await call(store, 'get', { messageId: 1 })).topic, 't')
+    assert.equal((await call(store, 'del', { messageId: 1 })).messageId, 1)
+    await assert.rejects(call(store, 'get', { messageId: 1 }), /missing packet/)
+    await assert.rejects(call(store, 'del', { messageId: 1 }), /missing packet/)
+  })
+
+  it('keeps packets, including their payload Buffers, for the next run', async () => {
+    const first = createFileStore(file)
+    await call(first, 'put', packet(1, 'one'))
+    await call(first, 'put', packet(2, 'two'))
+    await call(first, 'del', { messageId: 1 })
+
+    const second = createFileStore(file)
+    assert.equal(second.size, 1)
+    const stored = await call(second, 'get', { messageId: 2 })
+    assert.ok(Buffer.isBuffer(stored.payload))
+    assert.equal(stored.payload.toString(), 'two')
+  })
+
+  it('streams the stored packets', async () => {
+    const store = createFileStore(file)
+    await call(store, 'put', packet(1))
+    await call(store, 'put', packet(2))
+    const ids = []
+    for await (const p of store.createStream()) ids.push(p.messageId)
+    assert.deepEqual(ids, [1, 2])
+  })
+
+  it('saves the packets as JSON', async () => {
+    const store = createFileStore(file)
+    await call(store, 'put', packet(7))
+    assert.equal(JSON.parse(await readFile(file, 'utf8'))[0].messageId, 7)
+  })
+
+  it('rejects corrupt store files', async () => {
+    await writeFile(file, '{nope')
+    assert.throws(() => createFileStore(file), /Invalid packet store .*outgoing\.json/)
+  })
+})
+
+describe('openPacketStores', () => {
+  it('creates the directory with an incoming and an outgoing store', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'mqtt-tail-'))
+    try {
+      const { incomingStore, outgoingStore } = openPacketStores(join(dir, 'a', 'b'))
+      await call(incomingStore, 'put', packet(1))
+      await call(outgoingStore, 'put', packet(2))
+      assert.equal(JSON.parse(await readFile(join(dir, 'a', 'b', 'incoming.json'), 'utf8')).length, 1)
+    } finally {
+      await rm(dir, { recursive: true, force: true })
+    }
+  })
+})
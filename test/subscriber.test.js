@@ -1,6 +1,12 @@
 import { describe, it } from 'node:test'
 import assert from 'node:assert/strict'
-import { buildBrokerUrl, compileFilter } from '../src/subscriber.js'
+import { mkdtemp, rm } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import {
+  buildBrokerUrl, buildConnectOptions, buildMessageFilter, compileFilter, parseMqttVersion, resolveProtocol,
+  stableClientId, parseSessionExpiry,
+} from '../src/subscriber.js'
 
 // --- buildBrokerUrl ----------------------------------------------------------
 
@@ -36,6 +42,176 @@ describe('buildBrokerUrl', () => {
   it('explicit port overrides tls default port', () => {
     assert.equal(buildBrokerUrl({ tls: true, port: 443 }), 'mqtts://localhost:443')
   })
+
+  it('uses explicit mqtt protocol with default port', () => {
+    assert.equal(buildBrokerUrl({ protocol: 'mqtt' }), 'mqtt://localhost:1883')
+  })
+
+  it('uses explicit mqtts protocol with default port', () => {
+    assert.equal(buildBrokerUrl({ protocol: 'mqtts' }), 'mqtts://localhost:8883')
+  })
+
+  it('uses ws protocol with default port 80 and /mqtt path', () => {
+    assert.equal(buildBrokerUrl({ protocol: 'ws' }), 'ws://localhost:80/mqtt')
+  })
+
+  it('uses wss protocol with default port 443 and /mqtt path', () => {
+    assert.equal(buildBrokerUrl({ protocol: 'wss' }), 'wss://localhost:443/mqtt')
+  })
+
+  it('accepts protocol case-insensitively', () => {
+    assert.equal(buildBrokerUrl({ protocol: 'WSS' }), 'wss://localhost:443/mqtt')
+  })
+
+  for (const field of ['tls', 'ca', 'cert', 'key']) {
+    const value = field === 'tls' ? true : `/path/to/${field}.pem`
+
+    it(`upgrades ws to wss when ${field} is provided`, () => {
+      assert.equal(buildBrokerUrl({ protocol: 'ws', [field]: value }), 'wss://localhost:443/mqtt')
+    })
+
+    it(`upgrades mqtt to mqtts when ${field} is provided`, () => {
+      assert.equal(buildBrokerUrl({ protocol: 'mqtt', [field]: value }), 'mqtts://localhost:8883')
+    })
+
+    it(`keeps wss when ${field} is provided`, () => {
+      assert.equal(buildBrokerUrl({ protocol: 'wss', [field]: value }), 'wss://localhost:443/mqtt')
+    })
+
+    it(`keeps mqtts when ${field} is provided`, () => {
+      assert.equal(buildBrokerUrl({ protocol: 'mqtts', [field]: value }), 'mqtts://localhost:8883')
+    })
+  }
+
+  it('explicit port overrides ws default port', () => {
+    assert.equal(buildBrokerUrl({ protocol: 'ws', port: 9001 }), 'ws://localhost:9001/mqtt')
+  })
+
+  it('explicit port overrides wss default port', () => {
+    assert.equal(buildBrokerUrl({ protocol: 'wss', host: 'proxy.example.com', port: 8443 }), 'wss://proxy.example.com:8443/mqtt')
+  })
+
+  it('uses custom ws path', () => {
+    assert.equal(buildBrokerUrl({ protocol: 'ws', wsPath: '/broker/ws' }), 'ws://localhost:80/broker/ws')
+  })
+
+  it('adds a leading slash to ws path', () => {
+    assert.equal(buildBrokerUrl({ protocol: 'ws', wsPath: 'mqtt-ws' }), 'ws://localhost:80/mqtt-ws')
+  })
+
+  it('ignores ws path for mqtt protocols', () => {
+    assert.equal(buildBrokerUrl({ protocol: 'mqtt', wsPath: '/ws' }), 'mqtt://localhost:1883')
+  })
+
+  it('throws on unknown protocol', () => {
+    assert.throws(() => buildBrokerUrl({ protocol: 'http' }), /Invalid protocol "http"/)
+  })
+})
+
+// --- resolveProtocol ---------------------------------------------------------
+
+describe('resolveProtocol', () => {
+  it('defaults to mqtt', () => {
+    assert.equal(resolveProtocol({}), 'mqtt')
+  })
+
+  it('defaults to mqtts with tls', () => {
+    assert.equal(resolveProtocol({ tls: true }), 'mqtts')
+  })
+
+  it('returns explicit protocol', () => {
+    assert.equal(resolveProtocol({ protocol: 'ws' }), 'ws')
+  })
+})
+
+// --- buildConnectOptions -----------------------------------------------------
+
+describe('buildConnectOptions', () => {
+  it('enables certificate verification for wss', async () => {
+    const connectOpts = await buildConnectOptions({ protocol: 'wss' })
+    assert.equal(connectOpts.rejectUnauthorized, true)
+  })
+
+  it('does not set TLS options for plain ws', async () => {
+    const connectOpts = await buildConnectOptions({ protocol: 'ws' })
+    assert.equal(connectOpts.rejectUnauthorized, undefined)
+  })
+
+  it('leaves protocolVersion to mqtt.js by default', async () => {
+    const connectOpts = await buildConnectOptions({})
+    assert.equal(connectOpts.protocolVersion, undefined)
+  })
+
+  it('sets protocolVersion from mqttVersion', async () => {
+    const connectOpts = await buildConnectOptions({ mqttVersion: '5' })
+    assert.equal(connectOpts.protocolVersion, 5)
+  })
+
+  it('uses a clean session with a random client ID by default', async () => {
+    const a = await buildConnectOptions({})
+    const b = await buildConnectOptions({})
+    assert.equal(a.clean, true)
+    assert.notEqual(a.clientId, b.clientId)
+  })
+})
+
+describe('buildConnectOptions with --persistent', () => {
+  it('keeps the session with a stable client ID', async () => {
+    const connectOpts = await buildConnectOptions({ persistent: true })
+    assert.equal(connectOpts.clean, false)
+    assert.equal(connectOpts.clientId, stableClientId({}))
+    assert.equal(connectOpts.properties, undefined)
+  })
+
+  it('prefers an explicit client ID', async () => {
+    const connectOpts = await buildConnectOptions({ persistent: true, clientId: 'logger-1' })
+    assert.equal(connectOpts.clientId, 'logger-1')
+  })
+
+  it('sets the MQTT 5 session expiry (default: one day)', async () => {
+    const byDefault = await buildConnectOptions({ persistent: true, mqttVersion: '5' })
+    assert.deepEqual(byDefault.properties, { sessionExpiryInterval: 86_400 })
+    const custom = await buildConnectOptions({ persistent: true, mqttVersion: '5', sessionExpiry: '2h' })
+    assert.deepEqual(custom.properties, { sessionExpiryInterval: 7200 })
+  })
+
+  it('rejects session options without --persistent or MQTT 5', async () => {
+    await assert.rejects(buildConnectOptions({ sessionExpiry: '1h' }), /--session-expiry needs --persistent/)
+    await assert.rejects(buildConnectOptions({ store: '/tmp/x' }), /--store needs --persistent/)
+    await assert.rejects(buildConnectOptions({ persistent: true, sessionExpiry: '1h' }), /--session-expiry needs --mqtt-version 5/)
+  })
+
+  it('opens the on-disk packet stores', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'mqtt-tail-'))
+    try {
+      const connectOpts = await buildConnectOptions({ persistent: true, store: join(dir, 'store') })
+      assert.equal(typeof connectOpts.incomingStore.put, 'function')
+      assert.equal(typeof connectOpts.outgoingStore.createStream, 'function')
+    } finally {
+      await rm(dir, { recursive: true, force: true })
+    }
+  })
+})
+
+describe('stableClientId', () => {
+  it('is the same on every call and differs per profile', () => {
+    assert.match(stableClientId({}), /^mqtt-tail-[0-9a-f]{8}$/)
+    assert.equal(stableClientId({}), stableClientId({}))
+    assert.notEqual(stableClientId({ profile: 'prod' }), stableClientId({}))
+  })
+})
+
+describe('parseSessionExpiry', () => {
+  it('parses durations into seconds', () => {
+    assert.equal(parseSessionExpiry(undefined), 86_400)
+    assert.equal(parseSessionExpiry('90m'), 5400)
+    assert.equal(parseSessionExpiry('1500ms'), 2)
+    assert.equal(parseSessionExpiry('never'), 0xffffffff)
+  })
+
+  it('rejects other values', () => {
+    assert.throws(() => parseSessionExpiry('soon'), /Invalid --session-expiry "soon"/)
+  })
 })
 
 // --- compileFilter -----------------------------------------------------------
@@ -70,4 +246,68 @@ describe('compileFilter', () => {
     assert.ok(!re.test('sensors/temp'))
     assert.ok(re.test('sensors/TEMP'))
   })
+
+  it('throws on invalid patterns', () => {
+    assert.throws(() => compileFilter('(', '--payload-filter'), /Invalid --payload-filter regex "\("/)
+  })
+})
+
+// --- parseMqttVersion --------------------------------------------------------
+
+describe('parseMqttVersion', () => {
+  it('returns undefined when unset', () => {
+    assert.equal(parseMqttVersion(undefined), undefined)
+    assert.equal(parseMqttVersion(''), undefined)
+  })
+
+  it('accepts 3, 4 and 5 as strings or numbers', () => {
+    assert.equal(parseMqttVersion('3'), 3)
+    assert.equal(parseMqttVersion(4), 4)
+    assert.equal(parseMqttVersion('5'), 5)
+  })
+
+  it('throws on unsupported versions', () => {
+    assert.throws(() => parseMqttVersion('6'), /Invalid MQTT version "6"/)
+  })
+})
+
+// --- buildMessageFilter ------------------------------------------------------
+
+describe('buildMessageFilter', () => {
+  const packet   = { qos: 0, retain: false }
+  const retained = { qos: 0, retain: true }
+  const payload  = Buffer.from('status: ok')
+
+  it('keeps everything without filters', () => {
+    assert.equal(buildMessageFilter({})('a/b', payload, retained), null)
+  })
+
+  it('drops retained messages with retained=false', () => {
+    const drop = buildMessageFilter({ retained: false })
+    assert.equal(drop('a/b', payload, retained), 'retained')
+    assert.equal(drop('a/b', payload, packet), null)
+  })
+
+  it('drops topics not matching the topic filter', () => {
+    const drop = buildMessageFilter({ filter: '^sensors/' })
+    assert.equal(drop('control/x', payload, packet), 'topic filter')
+    assert.equal(drop('sensors/x', payload, packet), null)
+  })
+
+  it('drops payloads not matching the where expression', () => {
+    const drop = buildMessageFilter({ where: 'temp > 30' })
+    assert.equal(drop('a', Buffer.from('{"temp":20}'), packet), 'where')
+    assert.equal(drop('a', Buffer.from('{"temp":40}'), packet), null)
+  })
+
+  it('drops payloads not matching the payload filter', () => {
+    const drop = buildMessageFilter({ payloadFilter: 'error' })
+    assert.equal(drop('a', payload, packet), 'payload filter')
+    assert.equal(drop('a', Buffer.from('error!'), packet), null)
+  })
+
+  it('throws on invalid filters', () => {
+    assert.throws(() => buildMessageFilter({ filter: '[' }), /Invalid --filter regex "\["/)
+    assert.throws(() => buildMessageFilter({ where: 'temp >' }))
+  })
 })
@@ -0,0 +1,197 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseWhere, evaluateWhere, resolvePath, compileWhere } from '../src/where.js'
+
+const where = (expr, value) => evaluateWhere(parseWhere(expr), value)
+
+// --- parseWhere --------------------------------------------------------------
+
+describe('parseWhere', () => {
+  it('parses a comparison', () => {
+    assert.deepEqual(parseWhere('temp > 30'), {
+      type: 'compare',
+      op: '>',
+      left: { type: 'path', segments: ['temp'] },
+      right: { type: 'literal', value: 30 },
+    })
+  })
+
+  it('parses dotted, indexed and quoted path segments', () => {
+    assert.deepEqual(parseWhere('a.b[0]["c d"].e'), { type: 'path', segments: ['a', 'b', 0, 'c d', 'e'] })
+  })
+
+  it('parses $ as the payload root', () => {
+    assert.deepEqual(parseWhere('$'), { type: 'path', segments: [] })
+    assert.deepEqual(parseWhere('$.a'), { type: 'path', segments: ['a'] })
+  })
+
+  it('allows a path to start with an index', () => {
+    assert.deepEqual(parseWhere('[0].id'), { type: 'path', segments: [0, 'id'] })
+  })
+
+  it('allows hyphens inside names', () => {
+    assert.deepEqual(parseWhere('device-id'), { type: 'path', segments: ['device-id'] })
+  })
+
+  it('allows keywords as keys after a dot', () => {
+    assert.deepEqual(parseWhere('$.not'), { type: 'path', segments: ['not'] })
+  })
+
+  it('binds and tighter than or', () => {
+    const ast = parseWhere('a or b and c')
+    assert.equal(ast.type, 'or')
+    assert.equal(ast.right.type, 'and')
+  })
+
+  it('treats symbolic and keyword operators the same', () => {
+    assert.deepEqual(parseWhere('!a && b || c'), parseWhere('not a and b or c'))
+  })
+
+  it('parses string escapes', () => {
+    assert.deepEqual(parseWhere("s == 'it\\'s'").right, { type: 'literal', value: "it's" })
+  })
+
+  it('parses negative and decimal numbers', () => {
+    assert.equal(parseWhere('t > -1.5e2').right.value, -150)
+  })
+
+  const invalid = [
+    ['', /unexpected end of expression/],
+    ['temp >', /unexpected end of expression/],
+    ['temp = 30', /unexpected character "="/],
+    ['(a == 1', /expected "\)"/],
+    ["s == 'open", /unterminated string/],
+    ['a b', /unexpected "b"/],
+    ['a[b]', /expected an index or quoted key/],
+    ['exists 5', /expected a field path/],
+    ['a.', /expected a field name after "."/],
+  ]
+  for (const [expr, message] of invalid) {
+    it(`rejects ${JSON.stringify(expr)}`, () => {
+      assert.throws(() => parseWhere(expr), message)
+    })
+  }
+
+  it('reports the error position', () => {
+    assert.throws(() => parseWhere('a == 1 ; b'), /at position 8/)
+  })
+})
+
+// --- resolvePath -------------------------------------------------------------
+
+describe('resolvePath', () => {
+  const doc = { a: { b: [{ c: 1 }] }, n: null }
+
+  it('resolves nested fields and array indexes', () => {
+    assert.equal(resolvePath(doc, ['a', 'b', 0, 'c']), 1)
+  })
+
+  it('returns undefined for missing fields', () => {
+    assert.equal(resolvePath(doc, ['a', 'x']), undefined)
+    assert.equal(resolvePath(doc, ['a', 'b', 5]), undefined)
+  })
+
+  it('returns undefined when stepping into a scalar or null', () => {
+    assert.equal(resolvePath(doc, ['a', 'b', 0, 'c', 'd']), undefined)
+    assert.equal(resolvePath(doc, ['n', 'x']), undefined)
+  })
+
+  it('does not resolve inherited properties', () => {
+    assert.equal(resolvePath({}, ['constructor']), undefined)
+  })
+})
+
+// --- evaluateWhere -----------------------------------------------------------
+
+describe('evaluateWhere', () => {
+  const doc = { temperature: 31.5, status: 'error', tags: ['a'], online: true, nested: { count: 0 }, empty: null }
+
+  it('compares numbers', () => {
+    assert.equal(where('temperature > 30', doc), true)
+    assert.equal(where('temperature <= 30', doc), false)
+    assert.equal(where('temperature >= 31.5', doc), true)
+    assert.equal(where('temperature < 40', doc), true)
+  })
+
+  it('compares strings', () => {
+    assert.equal(where("status == 'error'", doc), true)
+    assert.equal(where('status != "error"', doc), false)
+    assert.equal(where("status > 'a'", doc), true)
+  })
+
+  it('does not coerce types', () => {
+    assert.equal(where("temperature == '31.5'", doc), false)
+    assert.equal(where("temperature > '30'", doc), false)
+  })
+
+  it('compares booleans and null', () => {
+    assert.equal(where('online == true', doc), true)
+    assert.equal(where('empty == null', doc), true)
+  })
+
+  it('combines with and / or / not', () => {
+    assert.equal(where("temperature > 30 and status == 'error'", doc), true)
+    assert.equal(where("temperature > 40 or status == 'error'", doc), true)
+    assert.equal(where('not online', doc), false)
+    assert.equal(where('not (temperature > 40)', doc), true)
+  })
+
+  it('treats a bare path as a truthiness check', () => {
+    assert.equal(where('online', doc), true)
+    assert.equal(where('nested.count', doc), false)
+    assert.equal(where('missing', doc), false)
+  })
+
+  it('tests presence with exists', () => {
+    assert.equal(where('exists nested.count', doc), true)
+    assert.equal(where('exists empty', doc), true)
+    assert.equal(where('exists missing', doc), false)
+    assert.equal(where('not exists missing', doc), true)
+  })
+
+  it('makes every comparison with a missing field false', () => {
+    assert.equal(where('missing == 1', doc), false)
+    assert.equal(where('missing != 1', doc), false)
+    assert.equal(where('missing < 1', doc), false)
+  })
+
+  it('indexes into arrays', () => {
+    assert.equal(where("tags[0] == 'a'", doc), true)
+  })
+
+  it('compares the root of scalar payloads with $', () => {
+    assert.equal(where('$ > 20', 25), true)
+    assert.equal(where("$ == 'ON'", 'ON'), true)
+  })
+})
+
+// --- compileWhere ------------------------------------------------------------
+
+describe('compileWhere', () => {
+  it('returns null for an empty expression', () => {
+    assert.equal(compileWhere(''), null)
+    assert.equal(compileWhere(undefined), null)
+  })
+
+  it('matches JSON payload buffers', () => {
+    const match = compileWhere('temp > 30')
+    assert.equal(match(Buffer.from('{"temp":35}')), true)
+    assert.equal(match(Buffer.from('{"temp":25}')), false)
+  })
+
+  it('treats non-JSON payloads as a string root without fields', () => {
+    assert.equal(compileWhere('temp > 30')(Buffer.from('temp=35')), false)
+    assert.equal(compileWhere('exists temp')(Buffer.from('temp=35')), false)
+    assert.equal(compileWhere("$ == 'ON'")(Buffer.from('ON')), true)
+  })
+
+  it('uses an already decoded value instead of parsing the payload', () => {
+    const match = compileWhere('temp > 30')
+    assert.equal(match(Buffer.from([0xa1]), { temp: 35 }), true)
+    assert.equal(match(Buffer.from('{"temp":35}'), { temp: 25 }), false)
+  })
+
+  it('throws on syntax errors', () => {
+    assert.throws(() => compileWhere('temp >'), /Invalid --where expression/)
+  })
+})